@@ -35,14 +35,21 @@
               mkdir -p $out/lib/static-nix-cache $out/bin
               cp -r node_modules $out/lib/static-nix-cache/
               cp -r src $out/lib/static-nix-cache/
-              cp index.js generate-static.js package.json $out/lib/static-nix-cache/
+              cp index.js generate-static.js resign.js verify.js package.json $out/lib/static-nix-cache/
 
               makeWrapper ${pkgs.nodejs}/bin/node $out/bin/static-nix-cache \
+                --prefix PATH : ${pkgs.lib.makeBinPath [ pkgs.xz pkgs.zstd pkgs.bzip2 ]} \
                 --add-flags "$out/lib/static-nix-cache/index.js"
 
               makeWrapper ${pkgs.nodejs}/bin/node $out/bin/static-nix-cache-generate-static \
                 --add-flags "$out/lib/static-nix-cache/generate-static.js"
 
+              makeWrapper ${pkgs.nodejs}/bin/node $out/bin/static-nix-cache-resign \
+                --add-flags "$out/lib/static-nix-cache/resign.js"
+
+              makeWrapper ${pkgs.nodejs}/bin/node $out/bin/static-nix-cache-verify \
+                --add-flags "$out/lib/static-nix-cache/verify.js"
+
               runHook postInstall
             '';
 
@@ -1,14 +1,28 @@
 #!/usr/bin/env node
 'use strict';
 
+const fsp = require('fs/promises');
 const path = require('path');
+const { parseArgs } = require('util');
 const { generateStaticSite } = require('./src/generate-static');
 const config = require('./src/config');
 
 async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      target: { type: 'string', default: 'cloudflare' },
+      force: { type: 'boolean', default: false },
+    },
+  });
   const outputDir = process.env.OUTPUT_DIR || './static-cache';
+  const absoluteNarUrls = process.env.ABSOLUTE_NAR_URLS === 'true';
   const localStoragePath = config.localStoragePath;
   const narinfoDirPath = path.join(localStoragePath, 'narinfo');
+  const realisationsDirPath = path.join(localStoragePath, 'realisations');
+  const listingsDirPath = path.join(localStoragePath, 'listings');
+  let logs = await listLocalLogs(path.join(localStoragePath, 'log'));
+  let chunkedNars = [];
+  let baseReleaseNars = [];
 
   const { owner, repo, releaseTag, token } = config.github;
 
@@ -16,16 +30,24 @@ async function main() {
     console.error('Error: GITHUB_OWNER and GITHUB_REPO must be set.');
     console.error('');
     console.error('Usage:');
-    console.error('  GITHUB_OWNER=<owner> GITHUB_REPO=<repo> node generate-static.js');
+    console.error('  GITHUB_OWNER=<owner> GITHUB_REPO=<repo> node generate-static.js [--target <host>] [--force]');
+    console.error('');
+    console.error('Options:');
+    console.error('  --target <host>      Redirect format: cloudflare, netlify, vercel, s3, nginx, html (default: cloudflare)');
+    console.error('  --force              Rewrite every narinfo, even unchanged ones');
     console.error('');
     console.error('Environment variables:');
     console.error('  GITHUB_OWNER         GitHub repository owner (required)');
     console.error('  GITHUB_REPO          GitHub repository name (required)');
     console.error('  GITHUB_RELEASE_TAG   Release tag for NAR files (default: nix-cache)');
+    console.error('  GITHUB_SHARD_PREFIX_LENGTH  Shard NARs over releases by this many filename characters (default: 0)');
+    console.error('  GITHUB_METADATA_BRANCH      Branch to read narinfo from as well as the release (default: none)');
+    console.error('  GITHUB_NARINFO_INDEX        Read narinfo from the release\'s narinfo index (default: false)');
     console.error('  LOCAL_STORAGE_PATH   Path to static-nix-cache local storage (default: ./cache)');
     console.error('  OUTPUT_DIR           Output directory for static site (default: ./static-cache)');
     console.error('  STORE_DIR            Nix store directory (default: /nix/store)');
     console.error('  CACHE_PRIORITY       Cache priority (default: 30)');
+    console.error('  ABSOLUTE_NAR_URLS    Rewrite narinfo URL fields to absolute release URLs (default: false)');
     process.exit(1);
   }
 
@@ -40,32 +62,100 @@ async function main() {
       repo,
       releaseTag,
       localPath: localStoragePath,
+      maxRetries: config.github.maxRetries,
+      shardPrefixLength: config.github.shardPrefixLength,
+      metadataBranch: config.github.metadataBranch,
+      narinfoIndex: config.github.narinfoIndex,
     });
     await storage.fetchAllNarinfo();
+    await storage.fetchAllRealisations();
+    await storage.fetchAllListings();
+    logs = await storage.listLogs();
+    chunkedNars = await storage.listChunkedNars();
+    baseReleaseNars = await storage.listBaseReleaseNars();
+    const { requests, retries, rateLimited } = storage.client.metrics;
+    console.log(`GitHub API: ${requests} request(s), ${retries} retried (${rateLimited} rate limited)`);
   }
 
   console.log('Generating static Nix binary cache site...');
   console.log(`  Source narinfo dir: ${narinfoDirPath}`);
   console.log(`  Output dir:        ${outputDir}`);
   console.log(`  GitHub:            ${owner}/${repo} @ ${releaseTag}`);
+  console.log(`  Redirect target:   ${args.target}`);
 
   const result = await generateStaticSite({
     narinfoDirPath,
+    realisationsDirPath,
+    listingsDirPath,
+    logs,
+    chunkedNars,
     outputDir,
     storeDir: config.storeDir,
     priority: config.priority,
     githubOwner: owner,
     githubRepo: repo,
     githubReleaseTag: releaseTag,
+    githubShardPrefixLength: config.github.shardPrefixLength,
+    baseReleaseNars,
+    absoluteNarUrls,
+    target: args.target,
+    force: args.force,
   });
 
   console.log('');
+  const { added, updated, removed, unchanged } = result.changes;
   console.log(`Generated ${result.narinfoCount} narinfo file(s)`);
+  if (result.realisationCount) {
+    console.log(`Copied ${result.realisationCount} realisation(s)`);
+  }
+  if (result.listingCount) {
+    console.log(`Copied ${result.listingCount} NAR listing(s)`);
+  }
+  if (result.logCount) {
+    console.log(`Redirecting ${result.logCount} build log(s) to the release`);
+  }
+  console.log(`  ${added.length} added, ${updated.length} updated, ${removed.length} removed, ${unchanged} unchanged`);
+  if (result.chunked.length) {
+    console.warn(`Left out ${result.chunked.length} narinfo whose NAR is stored in parts (serve these with the server):`);
+    for (const filename of result.chunked) {
+      console.warn(`  ${filename}`);
+    }
+  }
   console.log(`NAR redirects point to: ${result.narBaseUrl}`);
+  if (result.shardCount) {
+    console.log(`  and ${result.shardCount} shard release(s) ${releaseTag}-<prefix>`);
+  }
+  if (result.baseReleaseNarCount) {
+    console.log(`  (${result.baseReleaseNarCount} NAR(s) uploaded before sharding stay on ${releaseTag})`);
+  }
+  if (absoluteNarUrls) {
+    console.log(`Rewrote ${result.rewrittenCount} narinfo URL(s) to absolute release URLs`);
+    for (const { filename, reason } of result.unrewritten) {
+      console.warn(`  Warning: could not rewrite ${filename}: ${reason}`);
+    }
+  }
   console.log(`Static site ready at: ${result.outputDir}`);
   console.log('');
+  console.log(`Redirect files (${result.target}): ${result.redirectFiles.length ? result.redirectFiles.join(', ') : 'none'}`);
+  console.log('');
   console.log('Deploy this directory to your static hosting provider.');
-  console.log('For Cloudflare Pages: npx wrangler pages deploy ' + result.outputDir);
+  if (result.target === 'cloudflare') {
+    console.log('For Cloudflare Pages: npx wrangler pages deploy ' + result.outputDir);
+  }
+}
+
+/**
+ * Derivation names of the build logs in a local storage log directory.
+ * @param {string} logDir
+ * @returns {Promise<string[]>}
+ */
+async function listLocalLogs(logDir) {
+  try {
+    const entries = await fsp.readdir(logDir);
+    return entries.filter(name => name.endsWith('.gz')).map(name => name.slice(0, -'.gz'.length));
+  } catch {
+    return [];
+  }
 }
 
 main().catch(err => {
@@ -2,16 +2,42 @@
 
 const { createApp } = require('./src/server');
 const config = require('./src/config');
+const { createStorage } = require('./src/storage');
+const { configuredSigningKeys, keyName } = require('./src/signing');
 
-const app = createApp();
+const storage = createStorage(config);
+const app = createApp({ _storage: storage });
 
-app.listen(config.port, () => {
+const server = app.listen(config.port, () => {
   console.log(`static-nix-cache Nix binary cache listening on port ${config.port}`);
   console.log(`  Storage backend: ${config.storageBackend}`);
   console.log(`  Store dir:       ${config.storeDir}`);
   console.log(`  Priority:        ${config.priority}`);
-  if (config.signingKey) {
-    const keyName = config.signingKey.split(':')[0];
-    console.log(`  Signing key:     ${keyName}`);
+  const signingKeys = configuredSigningKeys(config);
+  if (signingKeys.length) {
+    console.log(`  Signing keys:    ${signingKeys.map(keyName).join(', ')}`);
+  }
+  if (config.trustedPublicKeys.length) {
+    console.log(`  Trusted keys:    ${config.trustedPublicKeys.map(keyName).join(', ')}`);
   }
 });
+
+// Backends that batch writes (the github-releases metadata branch and
+// narinfo index) write what is still pending before the process exits
+let stopping = false;
+async function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  console.log(`Received ${signal}, shutting down`);
+  server.close();
+  try {
+    if (typeof storage.flush === 'function') await storage.flush();
+  } catch (err) {
+    console.error(`Failed to write pending metadata: ${err.message}`);
+    process.exitCode = 1;
+  }
+  process.exit();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+'use strict';
+
+const { parseArgs } = require('util');
+const { resignCache } = require('./src/resign');
+const { createStorage } = require('./src/storage');
+const { configuredSigningKeys, keyName } = require('./src/signing');
+const config = require('./src/config');
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      drop: { type: 'string', multiple: true, default: [] },
+      'dry-run': { type: 'boolean', default: false },
+    },
+  });
+  const signingKeys = configuredSigningKeys(config);
+
+  if (!signingKeys.length && !args.drop.length) {
+    console.error('Error: SIGNING_KEY or SIGNING_KEYS must be set (or --drop given).');
+    console.error('');
+    console.error('Usage:');
+    console.error('  SIGNING_KEYS=<key>[,<key>...] node resign.js [--drop <keyname>]... [--dry-run]');
+    console.error('');
+    console.error('Adds a signature from every configured key to each narinfo in the');
+    console.error('configured storage backend, keeping existing signatures.');
+    console.error('');
+    console.error('Options:');
+    console.error('  --drop <keyname>     Remove signatures made by this key (repeatable)');
+    console.error('  --dry-run            Report what would change without writing');
+    console.error('');
+    console.error('Environment variables:');
+    console.error('  SIGNING_KEY          Signing key <keyname>:<base64-ed25519-private>');
+    console.error('  SIGNING_KEYS         Additional signing keys, comma-separated');
+    console.error('  STORAGE_BACKEND      local, s3, or github-releases (default: local)');
+    console.error('  (plus the storage settings for the chosen backend)');
+    process.exit(1);
+  }
+
+  const storage = createStorage(config);
+
+  // The github-releases backend keeps narinfo locally; pull in everything
+  // pushed by other jobs first so the whole cache is re-signed.
+  if (typeof storage.fetchAllNarinfo === 'function' && config.github.token) {
+    await storage.fetchAllNarinfo();
+  }
+
+  console.log('Re-signing narinfo...');
+  console.log(`  Storage backend: ${config.storageBackend}`);
+  console.log(`  Signing with:    ${signingKeys.map(keyName).join(', ') || 'none'}`);
+  if (args.drop.length) {
+    console.log(`  Dropping:        ${args.drop.join(', ')}`);
+  }
+  if (args['dry-run']) {
+    console.log('  Dry run:         no narinfo will be written');
+  }
+
+  const result = await resignCache(storage, {
+    signingKeys,
+    dropKeyNames: args.drop,
+    dryRun: args['dry-run'],
+  });
+
+  console.log('');
+  console.log(`Checked ${result.total} narinfo file(s)`);
+  console.log(`  ${result.updated.length} ${args['dry-run'] ? 'would be updated' : 'updated'}, ${result.unchanged} unchanged, ${result.failed.length} failed`);
+  for (const { hash, reason } of result.failed) {
+    console.warn(`  Warning: skipped ${hash}: ${reason}`);
+  }
+  if (result.failed.length) {
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
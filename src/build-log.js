@@ -0,0 +1,39 @@
+'use strict';
+
+const stream = require('stream');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { createDecompressStream, contentEncodingCompression } = require('./compression');
+const { STORE_PATH_BASENAME } = require('./narinfo');
+
+const pipeline = promisify(stream.pipeline);
+
+/**
+ * Whether `name` is a derivation basename ("<hash>-<name>.drv"), the key Nix
+ * uses for build logs (`log/<drv>`).
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isDrvName(name) {
+  return name.endsWith('.drv') && STORE_PATH_BASENAME.test(name);
+}
+
+/**
+ * Decode an uploaded build log and gzip it for storage.
+ * @param {stream.Readable} input
+ * @param {string} [contentEncoding='identity'] - the request's Content-Encoding
+ * @returns {Promise<Buffer>} gzip-compressed log
+ */
+async function gzipLog(input, contentEncoding = 'identity') {
+  const compression = contentEncodingCompression(contentEncoding);
+  if (!compression) {
+    throw new Error(`Unsupported Content-Encoding "${contentEncoding}"`);
+  }
+  const chunks = [];
+  await pipeline(input, createDecompressStream(compression), zlib.createGzip(), async function* (source) {
+    for await (const chunk of source) chunks.push(chunk);
+  });
+  return Buffer.concat(chunks);
+}
+
+module.exports = { isDrvName, gzipLog };
@@ -0,0 +1,145 @@
+'use strict';
+
+const { spawn } = require('child_process');
+const { Duplex, PassThrough } = require('stream');
+const zlib = require('zlib');
+
+/**
+ * NAR compression methods understood by Nix, with the file extension Nix
+ * gives compressed NARs and the content type we serve them with.
+ */
+const COMPRESSIONS = {
+  none: { extension: '.nar', contentType: 'application/x-nix-nar' },
+  xz: { extension: '.nar.xz', contentType: 'application/x-xz' },
+  bzip2: { extension: '.nar.bz2', contentType: 'application/x-bzip2' },
+  zstd: { extension: '.nar.zst', contentType: 'application/zstd' },
+  br: { extension: '.nar.br', contentType: 'application/x-brotli' },
+  gzip: { extension: '.nar.gz', contentType: 'application/gzip' },
+  lz4: { extension: '.nar.lz4', contentType: 'application/x-lz4' },
+  lzip: { extension: '.nar.lz', contentType: 'application/x-lzip' },
+};
+
+/**
+ * Determine the compression of a NAR from its filename.
+ * @param {string} filename - e.g. "<hash>.nar.xz"
+ * @returns {string|null} compression name, or null if not a NAR filename
+ */
+function compressionFromFilename(filename) {
+  for (const [name, { extension }] of Object.entries(COMPRESSIONS)) {
+    if (filename.endsWith(extension)) return name;
+  }
+  return null;
+}
+
+/**
+ * Content type to serve a NAR file with, based on its extension.
+ * @param {string} filename
+ * @returns {string}
+ */
+function narContentType(filename) {
+  const compression = compressionFromFilename(filename);
+  return compression ? COMPRESSIONS[compression].contentType : 'application/octet-stream';
+}
+
+/**
+ * `Content-Encoding` values accepted on uploads of logs and listings, mapped
+ * to the compression method used to decode them. Nix sends one of these when
+ * `log-compression` or `ls-compression` is set on the cache URL.
+ */
+const CONTENT_ENCODINGS = {
+  identity: 'none',
+  gzip: 'gzip',
+  br: 'br',
+  xz: 'xz',
+  zstd: 'zstd',
+  bzip2: 'bzip2',
+};
+
+// External tools used for compressions Node's zlib does not provide
+const COMMANDS = {
+  xz: { command: 'xz', compress: ['-c', '-T0'], decompress: ['-dc'] },
+  bzip2: { command: 'bzip2', compress: ['-c'], decompress: ['-dc'] },
+  zstd: { command: 'zstd', compress: ['-c', '-q', '-T0'], decompress: ['-dc', '-q'] },
+  lz4: { command: 'lz4', compress: ['-c', '-q'], decompress: ['-dc', '-q'] },
+  lzip: { command: 'lzip', compress: ['-c'], decompress: ['-dc'] },
+};
+
+/**
+ * Wrap a filter process (stdin → stdout) as a duplex stream. The stream is
+ * destroyed with an error if the process fails to start or exits non-zero.
+ * @param {string} command
+ * @param {string[]} args
+ * @returns {Duplex}
+ */
+function spawnFilter(command, args) {
+  const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+
+  // Only end the readable side once the exit code is known, so truncated
+  // output from a failing process is never mistaken for success.
+  const output = new PassThrough();
+  child.stdout.pipe(output, { end: false });
+  const duplex = Duplex.from({ writable: child.stdin, readable: output });
+
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  child.on('error', err => duplex.destroy(err));
+  child.on('close', code => {
+    if (code === 0) {
+      output.end();
+    } else {
+      duplex.destroy(new Error(`${command} exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`));
+    }
+  });
+  duplex.on('close', () => child.kill());
+  return duplex;
+}
+
+function createStream(compression, direction) {
+  if (compression === 'none') return new PassThrough();
+  if (compression === 'gzip') return direction === 'compress' ? zlib.createGzip() : zlib.createGunzip();
+  if (compression === 'br') {
+    return direction === 'compress' ? zlib.createBrotliCompress() : zlib.createBrotliDecompress();
+  }
+  const tool = COMMANDS[compression];
+  if (!tool) {
+    throw new Error(`Unsupported compression "${compression}"`);
+  }
+  return spawnFilter(tool.command, tool[direction]);
+}
+
+/**
+ * Create a stream that compresses its input with the given method.
+ * @param {string} compression - one of the keys of COMPRESSIONS
+ * @returns {Duplex}
+ */
+function createCompressStream(compression) {
+  return createStream(compression, 'compress');
+}
+
+/**
+ * Create a stream that decompresses input compressed with the given method.
+ * @param {string} compression - one of the keys of COMPRESSIONS
+ * @returns {Duplex}
+ */
+function createDecompressStream(compression) {
+  return createStream(compression, 'decompress');
+}
+
+/**
+ * The compression method for a request's `Content-Encoding`.
+ * @param {string} [contentEncoding='identity']
+ * @returns {string|null} one of the values of CONTENT_ENCODINGS, or null if unsupported
+ */
+function contentEncodingCompression(contentEncoding = 'identity') {
+  return CONTENT_ENCODINGS[contentEncoding.trim().toLowerCase()] || null;
+}
+
+module.exports = {
+  COMPRESSIONS,
+  CONTENT_ENCODINGS,
+  contentEncodingCompression,
+  compressionFromFilename,
+  narContentType,
+  createCompressStream,
+  createDecompressStream,
+};
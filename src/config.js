@@ -22,6 +22,8 @@ module.exports = {
     secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
     // Set to true to force path-style URLs (needed for some S3-compatible stores)
     forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    // Lifetime in seconds of the presigned URLs NAR downloads redirect to
+    presignExpiresIn: parseInt(process.env.S3_PRESIGN_EXPIRES || '3600', 10),
   },
 
   // GitHub Releases config (used by 'github-releases' storage backend)
@@ -31,12 +33,75 @@ module.exports = {
     repo: process.env.GITHUB_REPO || '',
     releaseTag: process.env.GITHUB_RELEASE_TAG || 'nix-cache',
     pruneRetentionDays: parseInt(process.env.GITHUB_PRUNE_RETENTION_DAYS || '0', 10),
+    // Retries of GitHub API requests that fail with 5xx, a network error or
+    // a rate limit
+    maxRetries: parseInt(process.env.GITHUB_MAX_RETRIES || '5', 10),
+    // NARs larger than this are spooled to a temporary file for upload
+    // instead of being held in memory
+    uploadMemoryLimit: parseInt(process.env.GITHUB_UPLOAD_MEMORY_LIMIT_MB || '64', 10) * 1024 * 1024,
+    // NARs larger than this are uploaded as several part assets (release
+    // assets must be under 2 GiB)
+    partSize: parseInt(process.env.GITHUB_PART_SIZE_MB || '2000', 10) * 1024 * 1024,
+    // Spread NARs over releases named `<releaseTag>-<prefix>` by this many
+    // leading characters of their filename (0 keeps them all on one release)
+    shardPrefixLength: parseInt(process.env.GITHUB_SHARD_PREFIX_LENGTH || '0', 10),
+    // Commit narinfo to this branch (in batches) instead of uploading each
+    // as a release asset; empty to use release assets
+    metadataBranch: process.env.GITHUB_METADATA_BRANCH || '',
+    metadataBatchSize: parseInt(process.env.GITHUB_METADATA_BATCH_SIZE || '100', 10),
+    metadataFlushSeconds: parseInt(process.env.GITHUB_METADATA_FLUSH_SECONDS || '10', 10),
+    // Keep all narinfo in one index asset, written when the server stops,
+    // instead of one release asset each
+    narinfoIndex: process.env.GITHUB_NARINFO_INDEX === 'true',
+    // How often a lookup that misses may list the release again
+    assetIndexRefreshSeconds: parseInt(process.env.GITHUB_ASSET_INDEX_REFRESH || '30', 10),
+  },
+
+  // Read-through cache in front of the storage backend (for s3 and
+  // github-releases): an in-memory LRU of metadata lookups and, with
+  // READ_CACHE_DIR, a size-capped disk cache of downloaded NARs
+  readCache: {
+    enabled: process.env.READ_CACHE === 'true',
+    maxEntries: parseInt(process.env.READ_CACHE_ENTRIES || '10000', 10),
+    maxBytes: parseInt(process.env.READ_CACHE_MAX_MB || '64', 10) * 1024 * 1024,
+    negativeTtlMs: parseInt(process.env.READ_CACHE_NEGATIVE_TTL || '60', 10) * 1000,
+    diskPath: process.env.READ_CACHE_DIR || '',
+    diskMaxBytes: parseInt(process.env.READ_CACHE_DIR_MAX_MB || '1024', 10) * 1024 * 1024,
   },
 
   // Signing key: '<keyname>:<base64-encoded-ed25519-private-key>'
   // Generate with: nix-store --generate-binary-cache-key <keyname> private.pem public.pem
   signingKey: process.env.SIGNING_KEY || '',
 
+  // Additional signing keys, comma- or whitespace-separated. Every key signs
+  // each narinfo, so a new key can be introduced before the old one is retired.
+  signingKeys: (process.env.SIGNING_KEYS || '').split(/[\s,]+/).filter(Boolean),
+
+  // Public keys ('<keyname>:<base64-public-key>', comma- or whitespace-separated)
+  // that uploaded narinfo must be signed by; empty = accept unsigned uploads
+  trustedPublicKeys: (process.env.TRUSTED_PUBLIC_KEYS || '').split(/[\s,]+/).filter(Boolean),
+
+  // Keep signatures from other keys (e.g. upstream caches) when re-signing
+  preserveSignatures: process.env.PRESERVE_SIGNATURES === 'true',
+
+  // Recompress NARs uploaded uncompressed ('xz' or 'zstd'; empty = store as-is)
+  recompress: process.env.RECOMPRESS || '',
+
+  // Hash NARs that were not uploaded to this process when a narinfo for them
+  // is uploaded, instead of only checking their size
+  verifyStoredNarHashes: process.env.VERIFY_STORED_NAR_HASHES === 'true',
+
+  // Reject narinfo whose references or NAR are not in the cache (409 Conflict)
+  requireCompleteClosure: process.env.REQUIRE_COMPLETE_CLOSURE === 'true',
+
+  // Generate a `.ls` file listing from each uploaded NAR when the client did
+  // not upload one itself
+  generateListings: process.env.GENERATE_LISTINGS === 'true',
+
+  // Answer NAR downloads with a redirect to the backend (release download or
+  // presigned S3 URL) instead of proxying the bytes
+  narRedirect: process.env.NAR_REDIRECT === 'true',
+
   // Upload secret token for write operations (PUT/POST)
   uploadSecret: process.env.UPLOAD_SECRET || '',
 };
@@ -1,8 +1,15 @@
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
 const fsp = require('fs/promises');
 const path = require('path');
+const { parseNarinfo, serializeNarinfo, narFilename } = require('./narinfo');
+const GitHubReleasesStorage = require('./storage/github-releases');
+const { getRedirectEmitter } = require('./redirects');
+
+const MANIFEST_FILENAME = '.static-nix-cache-manifest.json';
+const MANIFEST_VERSION = 1;
 
 /**
  * Generate a static Nix binary cache site from locally stored narinfo files.
@@ -12,29 +19,82 @@ const path = require('path');
  * Nix binary cache substituter.
  *
  * NAR binary files are expected to be hosted on GitHub Releases. The
- * generated site includes a `_redirects` file (Cloudflare Pages compatible)
- * that redirects `/nar/*` requests to the GitHub Release download URLs.
+ * generated site includes host-specific redirect configuration (by default a
+ * Cloudflare Pages `_redirects` file) that redirects `/nar/*` requests to the
+ * GitHub Release download URLs. See `src/redirects` for the supported targets.
+ *
+ * Hosts that ignore `_redirects` (e.g. GitHub Pages) can instead be served by
+ * setting `absoluteNarUrls`, which rewrites each narinfo `URL:` field to the
+ * absolute release asset URL. `URL` is not part of the signed fingerprint, so
+ * existing signatures remain valid.
+ *
+ * Generation is incremental: a manifest in the output directory records what
+ * was written last time, so repeated runs only write added or changed narinfo
+ * and delete ones that disappeared from the source directory.
+ *
+ * Realisations (`realisations/<id>.doi`, used by Nix's `ca-derivations`
+ * feature) are copied as-is when `realisationsDirPath` is given, and so are
+ * NAR listings (`<hash>.ls`) from `listingsDirPath`. Build logs
+ * live on the release next to the NARs; when `logs` is non-empty a `/log/`
+ * redirect to the release is emitted as well.
+ *
+ * NARs over the release asset size limit are stored in parts, which a
+ * redirect cannot join back together. narinfo for the NARs named in
+ * `chunkedNars` are left out of the site so that Nix falls back to another
+ * substituter (or builds) instead of failing to download them; they are
+ * reported in `chunked`.
+ *
+ * With `githubShardPrefixLength` set, NARs are on shard releases
+ * (`<tag>-<prefix>`, see GitHubReleasesStorage): each shard in use gets its
+ * own `/nar/<prefix>` redirect, ahead of the catch-all `/nar/` redirect to
+ * the base release, and absolute NAR URLs point at the shard. NARs uploaded
+ * before sharding was enabled stay on the base release; those named in
+ * `baseReleaseNars` are redirected there file by file, ahead of the shards.
  *
  * @param {object} options
  * @param {string} options.narinfoDirPath   - path to the directory containing narinfo files
+ * @param {string} [options.realisationsDirPath] - path to the directory containing realisations
+ * @param {string} [options.listingsDirPath] - path to the directory containing `.ls` listings
+ * @param {string[]} [options.logs=[]]     - derivation names of build logs on the release
+ * @param {string[]} [options.chunkedNars=[]] - NAR filenames stored in parts on the release
  * @param {string} options.outputDir        - directory to write generated static files
  * @param {string} options.storeDir         - Nix store directory (default: /nix/store)
  * @param {number} options.priority         - cache priority (default: 30)
  * @param {string} options.githubOwner      - GitHub repo owner
  * @param {string} options.githubRepo       - GitHub repo name
  * @param {string} options.githubReleaseTag - GitHub release tag name
+ * @param {number} [options.githubShardPrefixLength=0] - leading filename
+ *   characters NARs are sharded over releases by (0 = no sharding)
+ * @param {string[]} [options.baseReleaseNars=[]] - NAR filenames on the base
+ *   release although sharding would put them on a shard release
+ * @param {boolean} [options.absoluteNarUrls=false] - rewrite narinfo `URL:` fields
+ *   to absolute GitHub Release download URLs
+ * @param {string} [options.target='cloudflare'] - redirect emitter target
+ * @param {boolean} [options.force=false] - rewrite every narinfo, even those the
+ *   manifest from a previous run records as unchanged
  */
 async function generateStaticSite(options) {
   const {
     narinfoDirPath,
+    realisationsDirPath,
+    listingsDirPath,
+    logs = [],
+    chunkedNars = [],
     outputDir,
     storeDir = '/nix/store',
     priority = 30,
     githubOwner,
     githubRepo,
     githubReleaseTag,
+    githubShardPrefixLength = 0,
+    baseReleaseNars = [],
+    absoluteNarUrls = false,
+    target = 'cloudflare',
+    force = false,
   } = options;
 
+  const emitter = getRedirectEmitter(target);
+
   // Create output directory
   await fsp.mkdir(outputDir, { recursive: true });
 
@@ -45,7 +105,7 @@ async function generateStaticSite(options) {
     `Priority: ${priority}\n`;
   await fsp.writeFile(path.join(outputDir, 'nix-cache-info'), cacheInfo, 'utf8');
 
-  // 2. Copy narinfo files to output directory
+  // 2. Copy narinfo files to output directory, skipping unchanged ones
   const narinfoDir = narinfoDirPath;
   let entries;
   try {
@@ -54,23 +114,255 @@ async function generateStaticSite(options) {
     entries = [];
   }
 
-  const narinfoFiles = entries.filter(f => f.endsWith('.narinfo'));
+  const releaseBaseUrl = tag =>
+    `https://github.com/${githubOwner}/${githubRepo}/releases/download/${encodeURIComponent(tag)}`;
+  const onBaseRelease = new Set(baseReleaseNars);
+  const narReleaseTag = filename => (onBaseRelease.has(filename)
+    ? githubReleaseTag
+    : GitHubReleasesStorage.shardReleaseTag(githubReleaseTag, githubShardPrefixLength, filename));
+  const narBaseUrl = releaseBaseUrl(githubReleaseTag);
+  const narDownloadUrl = filename =>
+    GitHubReleasesStorage.releaseDownloadUrl(githubOwner, githubRepo, narReleaseTag(filename), filename);
+
+  // Anything that changes how a narinfo is transformed invalidates the
+  // mtime shortcut, so the manifest records the settings it was built with.
+  const settings = JSON.stringify({
+    absoluteNarUrls,
+    narBaseUrl,
+    shardPrefixLength: githubShardPrefixLength,
+    baseReleaseNars: crypto.createHash('sha256').update([...onBaseRelease].sort().join('\n')).digest('hex'),
+  });
+  // Read even when forced: the manifest is what finds narinfo to remove
+  const manifest = await readManifest(outputDir);
+  const trustMtimes = !force && manifest.settings === settings;
+  const nextManifest = { ...emptyManifest(), settings };
+  const changes = { added: [], updated: [], removed: [], unchanged: 0 };
+  const chunkedNarSet = new Set(chunkedNars);
+  const chunked = [];
+
+  const narinfoFiles = entries.filter(f => f.endsWith('.narinfo')).sort();
   for (const filename of narinfoFiles) {
-    const content = await fsp.readFile(path.join(narinfoDir, filename), 'utf8');
-    await fsp.writeFile(path.join(outputDir, filename), content, 'utf8');
+    const sourcePath = path.join(narinfoDir, filename);
+    const outputPath = path.join(outputDir, filename);
+    const { mtimeMs } = await fsp.stat(sourcePath);
+    const previous = manifest.files[filename];
+    const mtimeUnchanged = previous && trustMtimes && previous.mtime === mtimeMs;
+
+    let content = mtimeUnchanged ? null : await fsp.readFile(sourcePath, 'utf8');
+    const nar = mtimeUnchanged ? previous.nar : relativeNarFilename(content);
+    if (chunkedNarSet.has(nar)) {
+      // Left out of the manifest, so an earlier copy is removed below
+      chunked.push(filename);
+      continue;
+    }
+
+    if (mtimeUnchanged && fs.existsSync(outputPath)) {
+      nextManifest.files[filename] = previous;
+      changes.unchanged++;
+      continue;
+    }
+
+    if (content === null) content = await fsp.readFile(sourcePath, 'utf8');
+    const entry = { hash: null, mtime: mtimeMs, nar };
+    if (absoluteNarUrls) {
+      const rewrite = rewriteNarUrl(content, narDownloadUrl);
+      if (rewrite.error) {
+        entry.rewriteError = rewrite.error;
+      } else {
+        content = rewrite.content;
+      }
+    }
+    entry.hash = crypto.createHash('sha256').update(content).digest('hex');
+    nextManifest.files[filename] = entry;
+
+    if (!force && previous && previous.hash === entry.hash && fs.existsSync(outputPath)) {
+      changes.unchanged++;
+      continue;
+    }
+
+    await fsp.writeFile(outputPath, content, 'utf8');
+    (previous ? changes.updated : changes.added).push(filename);
+  }
+
+  // Remove narinfo that disappeared from the source since the last run
+  for (const filename of Object.keys(manifest.files)) {
+    if (nextManifest.files[filename]) continue;
+    await fsp.rm(path.join(outputDir, filename), { force: true });
+    changes.removed.push(filename);
+  }
+
+  await fsp.writeFile(path.join(outputDir, MANIFEST_FILENAME), JSON.stringify(nextManifest), 'utf8');
+
+  const unrewritten = [];
+  const narFilenames = new Set();
+  let rewrittenCount = 0;
+  for (const [filename, entry] of Object.entries(nextManifest.files)) {
+    if (entry.nar) narFilenames.add(entry.nar);
+    if (!absoluteNarUrls) continue;
+    if (entry.rewriteError) {
+      unrewritten.push({ filename, reason: entry.rewriteError });
+    } else {
+      rewrittenCount++;
+    }
   }
 
-  // 3. Generate _redirects file for Cloudflare Pages
-  // This redirects NAR download requests to GitHub Releases
-  const narBaseUrl = `https://github.com/${githubOwner}/${githubRepo}/releases/download/${encodeURIComponent(githubReleaseTag)}`;
-  const redirects = `/nar/:filename ${narBaseUrl}/:filename 302\n`;
-  await fsp.writeFile(path.join(outputDir, '_redirects'), redirects, 'utf8');
+  const realisationCount = realisationsDirPath
+    ? await mirrorFiles(realisationsDirPath, path.join(outputDir, 'realisations'), '.doi')
+    : 0;
+  const listingCount = listingsDirPath
+    ? await mirrorFiles(listingsDirPath, outputDir, '.ls')
+    : 0;
+
+  // 3. Generate host-specific redirect configuration
+  // This redirects NAR (and build log) download requests to GitHub Releases
+  const shards = new Map(); // shard prefix → NAR filenames
+  const unsharded = [];
+  const leftOnBase = [];
+  for (const filename of [...narFilenames].sort()) {
+    const prefix = GitHubReleasesStorage.shardPrefix(githubShardPrefixLength, filename);
+    if (prefix && onBaseRelease.has(filename)) {
+      leftOnBase.push(filename);
+      continue;
+    }
+    if (!prefix) {
+      unsharded.push(filename);
+      continue;
+    }
+    if (!shards.has(prefix)) shards.set(prefix, []);
+    shards.get(prefix).push(filename);
+  }
+  const rules = [...shards].sort(([a], [b]) => (a < b ? -1 : 1)).map(([prefix, files]) => (
+    { from: '/nar/', prefix, to: releaseBaseUrl(narReleaseTag(files[0])), files }
+  ));
+  if (leftOnBase.length) {
+    rules.unshift({ from: '/nar/', to: narBaseUrl, files: leftOnBase, exact: true });
+  }
+  rules.push({ from: '/nar/', to: narBaseUrl, files: unsharded });
+  if (logs.length) {
+    rules.push({ from: '/log/', to: narBaseUrl, files: [...logs].sort() });
+  }
+  const redirectFiles = emitter.emit(rules);
+  for (const file of redirectFiles) {
+    const filePath = path.join(outputDir, file.path);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, file.content, 'utf8');
+  }
 
   return {
-    narinfoCount: narinfoFiles.length,
+    narinfoCount: narinfoFiles.length - chunked.length,
+    chunked,
+    realisationCount,
+    listingCount,
+    logCount: logs.length,
     outputDir,
     narBaseUrl,
+    shardCount: shards.size,
+    baseReleaseNarCount: leftOnBase.length,
+    rewrittenCount,
+    unrewritten,
+    target: emitter.name,
+    redirectFiles: redirectFiles.map(f => f.path),
+    changes,
   };
 }
 
-module.exports = { generateStaticSite };
+/**
+ * Mirror the files with the given extension (realisations, listings) from a
+ * directory into the site, writing only changed files and removing ones no
+ * longer in the source.
+ * @param {string} sourceDir
+ * @param {string} targetDir
+ * @param {string} extension - e.g. ".doi"
+ * @returns {Promise<number>} number of such files in the site
+ */
+async function mirrorFiles(sourceDir, targetDir, extension) {
+  let sources;
+  try {
+    sources = (await fsp.readdir(sourceDir)).filter(f => f.endsWith(extension));
+  } catch {
+    sources = [];
+  }
+  let existing;
+  try {
+    existing = (await fsp.readdir(targetDir)).filter(f => f.endsWith(extension));
+  } catch {
+    existing = [];
+  }
+
+  if (sources.length) await fsp.mkdir(targetDir, { recursive: true });
+  for (const filename of sources) {
+    const content = await fsp.readFile(path.join(sourceDir, filename), 'utf8');
+    const targetPath = path.join(targetDir, filename);
+    if (existing.includes(filename) && await fsp.readFile(targetPath, 'utf8') === content) continue;
+    await fsp.writeFile(targetPath, content, 'utf8');
+  }
+  for (const filename of existing) {
+    if (!sources.includes(filename)) await fsp.rm(path.join(targetDir, filename), { force: true });
+  }
+  return sources.length;
+}
+
+function emptyManifest() {
+  return { version: MANIFEST_VERSION, settings: null, files: {} };
+}
+
+/**
+ * Read the generation manifest from a previous run, if any.
+ *
+ * The manifest maps each narinfo filename to the hash of the content that was
+ * written and the source mtime it was generated from. A missing or
+ * unreadable manifest simply means every file is treated as new.
+ *
+ * @param {string} outputDir
+ * @returns {Promise<object>}
+ */
+async function readManifest(outputDir) {
+  try {
+    const manifest = JSON.parse(await fsp.readFile(path.join(outputDir, MANIFEST_FILENAME), 'utf8'));
+    if (manifest.version === MANIFEST_VERSION && manifest.files && typeof manifest.files === 'object') {
+      return manifest;
+    }
+  } catch {
+    // fall through
+  }
+  return emptyManifest();
+}
+
+/**
+ * Extract the NAR filename from a narinfo whose `URL:` is relative to the
+ * cache root (`nar/<filename>`).
+ * @param {string} content - raw narinfo text
+ * @returns {string|null}
+ */
+function relativeNarFilename(content) {
+  const narinfo = parseNarinfo(content);
+  return narinfo.url && narinfo.url.startsWith('nar/') ? narFilename(narinfo) : null;
+}
+
+/**
+ * Rewrite the `URL:` field of a narinfo to an absolute download URL. URLs
+ * that are already absolute are left as they are.
+ *
+ * @param {string} content                     - raw narinfo text
+ * @param {(filename: string) => string} narDownloadUrl
+ * @returns {{ content?: string, error?: string }}
+ */
+function rewriteNarUrl(content, narDownloadUrl) {
+  const narinfo = parseNarinfo(content);
+  if (!narinfo.url) {
+    return { error: 'missing URL field' };
+  }
+  if (/^https?:\/\//.test(narinfo.url)) {
+    return { content };
+  }
+  if (!narinfo.url.startsWith('nar/') || !narFilename(narinfo)) {
+    return { error: `unexpected URL "${narinfo.url}"` };
+  }
+  if (!narinfo.storePath || !narinfo.narHash || !Number.isFinite(narinfo.narSize)) {
+    return { error: 'missing StorePath, NarHash or NarSize' };
+  }
+
+  return { content: serializeNarinfo({ ...narinfo, url: narDownloadUrl(narFilename(narinfo)) }) };
+}
+
+module.exports = { generateStaticSite, MANIFEST_FILENAME };
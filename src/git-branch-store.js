@@ -0,0 +1,213 @@
+'use strict';
+
+const fsp = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_FLUSH_SECONDS = 10;
+// A commit beaten by a concurrent writer is rebuilt on the new head this
+// many times before giving up
+const MAX_COMMIT_ATTEMPTS = 5;
+
+/**
+ * Text files kept in a branch of a GitHub repository, written through the
+ * Git Data API without a checkout.
+ *
+ * Writes are queued and committed in batches: as soon as `batchSize` files
+ * are pending, `flushSeconds` after the first pending write, or on
+ * `flush()`. The first commit creates the branch as an orphan branch. When
+ * another writer (e.g. a parallel matrix job) moves the branch between
+ * reading and updating it, the commit is rebuilt on top of the new head.
+ *
+ * Failed commits keep their files pending for the next one; only an explicit
+ * `flush()` reports the failure.
+ */
+class GitBranchStore {
+  /**
+   * @param {object} options
+   * @param {import('./github-client').GitHubClient} options.client
+   * @param {string} [options.apiUrl='https://api.github.com']
+   * @param {string} options.owner
+   * @param {string} options.repo
+   * @param {string} options.branch
+   * @param {number} [options.batchSize=100]  - pending files that trigger a commit
+   * @param {number} [options.flushSeconds=10] - longest a write stays pending
+   */
+  constructor({
+    client,
+    apiUrl = 'https://api.github.com',
+    owner,
+    repo,
+    branch,
+    batchSize = DEFAULT_BATCH_SIZE,
+    flushSeconds = DEFAULT_FLUSH_SECONDS,
+  }) {
+    this.client = client;
+    this.apiUrl = apiUrl;
+    this.owner = owner;
+    this.repo = repo;
+    this.branch = branch;
+    this.batchSize = batchSize;
+    this.flushMs = flushSeconds * 1000;
+    this._pending = new Map(); // path in the branch → content
+    this._timer = null;
+    this._flushing = null;
+  }
+
+  /**
+   * Queue a file to be committed, replacing any pending content for it.
+   * @param {string} filePath - path in the branch
+   * @param {string} content
+   */
+  async put(filePath, content) {
+    this._pending.set(filePath, content);
+    if (this._pending.size >= this.batchSize) {
+      await this.flush().catch(err => this._warnFlushFailed(err));
+    } else if (!this._timer) {
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this.flush().catch(err => this._warnFlushFailed(err));
+      }, this.flushMs);
+      this._timer.unref();
+    }
+  }
+
+  /**
+   * Commit every pending file, after any commit already in progress.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    while (this._flushing) {
+      await this._flushing.catch(() => {});
+    }
+    if (!this._pending.size) return;
+
+    const batch = this._pending;
+    this._pending = new Map();
+    this._flushing = this._commit(batch).catch(err => {
+      // Keep the files for the next commit, unless written again meanwhile
+      for (const [filePath, content] of batch) {
+        if (!this._pending.has(filePath)) this._pending.set(filePath, content);
+      }
+      throw err;
+    }).finally(() => {
+      this._flushing = null;
+    });
+    await this._flushing;
+  }
+
+  _warnFlushFailed(err) {
+    console.warn(`[git-branch] Warning: could not commit to ${this.branch} (${this._pending.size} file(s) pending): ${err.message}`);
+  }
+
+  /**
+   * Download the files in the branch's top directory ending in `extension`
+   * into `localDir`, skipping files that already exist there.
+   * @param {string} extension - e.g. ".narinfo"
+   * @param {string} localDir
+   * @returns {Promise<number>} number of files fetched
+   */
+  async fetchAll(extension, localDir) {
+    const head = await this._head();
+    if (!head) {
+      console.log(`[git-branch] Branch ${this.branch} does not exist yet`);
+      return 0;
+    }
+    const commit = await this._api('GET', `/git/commits/${head}`);
+    const tree = await this._api('GET', `/git/trees/${commit.tree.sha}`);
+    if (tree.truncated) {
+      console.warn(`[git-branch] Warning: the listing of ${this.branch} was truncated; some files are not fetched`);
+    }
+
+    const files = tree.tree.filter(entry => entry.type === 'blob' && entry.path.endsWith(extension));
+    let fetched = 0;
+    for (const entry of files) {
+      const localFile = path.join(localDir, entry.path);
+      try {
+        await fsp.access(localFile);
+        continue;
+      } catch {
+        // not fetched yet
+      }
+      const blob = await this._api('GET', `/git/blobs/${entry.sha}`);
+      await fsp.writeFile(localFile, Buffer.from(blob.content, blob.encoding));
+      fetched++;
+    }
+
+    console.log(`[git-branch] Fetched ${fetched} file(s) from ${this.branch} (${files.length} total on branch)`);
+    return fetched;
+  }
+
+  /**
+   * Commit `files` on top of the branch head and move the branch to it.
+   * @param {Map<string, string>} files
+   */
+  async _commit(files) {
+    for (let attempt = 1; ; attempt++) {
+      const head = await this._head();
+      const baseTree = head ? (await this._api('GET', `/git/commits/${head}`)).tree.sha : null;
+      const tree = await this._api('POST', '/git/trees', {
+        ...(baseTree ? { base_tree: baseTree } : {}),
+        tree: [...files].map(([filePath, content]) => ({ path: filePath, mode: '100644', type: 'blob', content })),
+      });
+      const commit = await this._api('POST', '/git/commits', {
+        message: `Add ${files.size} file(s)`,
+        tree: tree.sha,
+        parents: head ? [head] : [],
+      });
+
+      // Not forced: GitHub refuses with 422 if the branch moved (or, for a
+      // new branch, was created) since it was read
+      const resp = head
+        ? await this._request('PATCH', `/git/refs/heads/${this._branchPath()}`, { sha: commit.sha })
+        : await this._request('POST', '/git/refs', { ref: `refs/heads/${this.branch}`, sha: commit.sha });
+      if (resp.ok) {
+        console.log(`[git-branch] Committed ${files.size} file(s) to ${this.branch} (${commit.sha.slice(0, 12)})`);
+        return;
+      }
+      const errBody = await resp.text();
+      if (resp.status !== 422 || attempt >= MAX_COMMIT_ATTEMPTS) {
+        throw new Error(`Failed to update branch ${this.branch}: ${resp.status} ${errBody}`);
+      }
+      console.log(`[git-branch] ${this.branch} was updated concurrently; committing again on the new head`);
+    }
+  }
+
+  /**
+   * The commit SHA the branch points at, or null if it does not exist.
+   * @returns {Promise<string|null>}
+   */
+  async _head() {
+    const resp = await this._request('GET', `/git/ref/heads/${this._branchPath()}`);
+    if (resp.status === 404) return null;
+    if (!resp.ok) {
+      throw new Error(`Failed to read branch ${this.branch}: ${resp.status} ${await resp.text()}`);
+    }
+    return (await resp.json()).object.sha;
+  }
+
+  _branchPath() {
+    return this.branch.split('/').map(encodeURIComponent).join('/');
+  }
+
+  _request(method, apiPath, body) {
+    const headers = this.client.headers();
+    return this.client.request(`${this.apiUrl}/repos/${this.owner}/${this.repo}${apiPath}`, body === undefined
+      ? { method, headers }
+      : { method, headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  }
+
+  async _api(method, apiPath, body) {
+    const resp = await this._request(method, apiPath, body);
+    if (!resp.ok) {
+      throw new Error(`${method} ${apiPath} failed: ${resp.status} ${await resp.text()}`);
+    }
+    return resp.json();
+  }
+}
+
+module.exports = { GitBranchStore };
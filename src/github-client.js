@@ -0,0 +1,188 @@
+'use strict';
+
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 60 * 1000;
+// Rate limit resets further away than this are not waited for
+const DEFAULT_MAX_RATE_LIMIT_WAIT_MS = 15 * 60 * 1000;
+// GitHub asks for at least a minute when a secondary rate limit response
+// carries no header saying how long
+const SECONDARY_RATE_LIMIT_WAIT_MS = 60 * 1000;
+
+const RETRYABLE_STATUSES = new Set([500, 502, 503, 504]);
+
+/**
+ * HTTP client for the GitHub REST and upload APIs.
+ *
+ * Requests are retried with exponential backoff on 5xx responses and network
+ * errors (connection resets, timeouts), and after rate limiting (429, or 403
+ * from a primary or secondary rate limit) once `Retry-After` or
+ * `X-RateLimit-Reset` says the limit has lifted. A retry sends the request
+ * body again, so bodies must be strings, Buffers, or functions returning a
+ * fresh body (e.g. a file stream) for every attempt.
+ *
+ * `metrics` counts what happened across all requests made by the client.
+ */
+class GitHubClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.token]
+   * @param {number} [options.maxRetries=5]         - retries per request
+   * @param {number} [options.baseDelayMs=1000]     - first backoff delay, doubled per retry
+   * @param {number} [options.maxDelayMs=60000]     - longest backoff delay
+   * @param {number} [options.maxRateLimitWaitMs]   - longest wait for a rate limit to reset (15 min)
+   * @param {Function} [options.sleep]              - `ms => Promise`, for tests
+   */
+  constructor({
+    token = '',
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    maxDelayMs = DEFAULT_MAX_DELAY_MS,
+    maxRateLimitWaitMs = DEFAULT_MAX_RATE_LIMIT_WAIT_MS,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  } = {}) {
+    this.token = token;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.maxRateLimitWaitMs = maxRateLimitWaitMs;
+    this.sleep = sleep;
+    this.metrics = { requests: 0, retries: 0, rateLimited: 0, failures: 0 };
+  }
+
+  headers() {
+    return {
+      Authorization: `token ${this.token}`,
+      Accept: 'application/vnd.github.v3+json',
+      'User-Agent': 'static-nix-cache',
+      'X-GitHub-Api-Version': '2022-11-28',
+    };
+  }
+
+  /**
+   * `fetch` with retries. Resolves to the last response, OK or not, once it
+   * is not worth retrying; rejects only if the last attempt failed to
+   * connect.
+   * @param {string} url
+   * @param {RequestInit} [init]
+   * @returns {Promise<Response>}
+   */
+  async request(url, init = {}) {
+    const method = init.method || 'GET';
+    for (let attempt = 0; ; attempt++) {
+      this.metrics.requests++;
+      let resp;
+      try {
+        resp = await fetch(url, attemptInit(init));
+      } catch (err) {
+        if (attempt >= this.maxRetries || !isNetworkError(err)) {
+          this.metrics.failures++;
+          throw err;
+        }
+        await this._retry(attempt, this._backoff(attempt), `${method} ${url} failed (${networkErrorCode(err)})`);
+        continue;
+      }
+
+      const wait = await this._retryDelay(resp, attempt);
+      if (wait === null || attempt >= this.maxRetries) {
+        if (!resp.ok) this.metrics.failures++;
+        return resp;
+      }
+      if (resp.body && typeof resp.body.cancel === 'function') {
+        await resp.body.cancel().catch(() => {});
+      }
+      await this._retry(attempt, wait, `${method} ${url} returned ${resp.status}`);
+    }
+  }
+
+  async _retry(attempt, wait, reason) {
+    this.metrics.retries++;
+    console.warn(`[github] ${reason}; retrying in ${Math.ceil(wait / 1000)}s (retry ${attempt + 1}/${this.maxRetries})`);
+    await this.sleep(wait);
+  }
+
+  _backoff(attempt) {
+    return Math.min(this.baseDelayMs * 2 ** attempt, this.maxDelayMs);
+  }
+
+  /**
+   * How long to wait before retrying after `resp`, or null not to retry.
+   */
+  async _retryDelay(resp, attempt) {
+    if (RETRYABLE_STATUSES.has(resp.status)) return this._backoff(attempt);
+    if (resp.status !== 403 && resp.status !== 429) return null;
+
+    const wait = await rateLimitWait(resp);
+    if (wait === null) return null;
+    if (wait > this.maxRateLimitWaitMs) {
+      console.warn(`[github] Rate limited for another ${Math.ceil(wait / 1000)}s; not waiting`);
+      return null;
+    }
+    this.metrics.rateLimited++;
+    return Math.max(wait, this._backoff(attempt));
+  }
+}
+
+function attemptInit(init) {
+  if (typeof init.body !== 'function') return init;
+  const body = init.body();
+  // fetch only sends streams in half-duplex mode
+  return typeof body.pipe === 'function' ? { ...init, body, duplex: 'half' } : { ...init, body };
+}
+
+function header(resp, name) {
+  return resp.headers && typeof resp.headers.get === 'function' ? resp.headers.get(name) : null;
+}
+
+/**
+ * How long a rate limited response asks to wait, or null if the response is
+ * not about rate limiting (e.g. a 403 for missing permissions).
+ */
+async function rateLimitWait(resp) {
+  const retryAfter = header(resp, 'retry-after');
+  if (retryAfter !== null) {
+    // Seconds, or an HTTP date
+    const wait = /^\d+$/.test(retryAfter) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now();
+    if (!Number.isNaN(wait)) return Math.max(wait, 0);
+  }
+  if (header(resp, 'x-ratelimit-remaining') === '0') {
+    const reset = Number(header(resp, 'x-ratelimit-reset'));
+    // One extra second: GitHub's reset time is rounded down
+    return reset ? Math.max(reset * 1000 - Date.now(), 0) + 1000 : SECONDARY_RATE_LIMIT_WAIT_MS;
+  }
+  if (resp.status === 429) return SECONDARY_RATE_LIMIT_WAIT_MS;
+
+  // A secondary rate limit 403 without headers only says so in its body
+  if (typeof resp.clone !== 'function') return null;
+  const body = await resp.clone().text().catch(() => '');
+  return /rate limit/i.test(body) ? SECONDARY_RATE_LIMIT_WAIT_MS : null;
+}
+
+function networkErrorCode(err) {
+  return (err.cause && err.cause.code) || err.code || err.message;
+}
+
+// fetch rejects with "fetch failed" for connection failures, carrying the
+// socket error as `cause`; aborts and invalid requests are not retried
+function isNetworkError(err) {
+  return err.message === 'fetch failed' || Boolean(err.code && /^(E[A-Z]|UND_ERR_)/.test(err.code));
+}
+
+/**
+ * Whether a failed asset upload was rejected because an asset with that name
+ * already exists, e.g. when an earlier attempt succeeded but its response
+ * was lost.
+ * @param {Response} resp
+ * @returns {Promise<boolean>}
+ */
+async function isAlreadyExists(resp) {
+  if (resp.status !== 422) return false;
+  try {
+    const body = await (typeof resp.clone === 'function' ? resp.clone() : resp).json();
+    return Array.isArray(body.errors) && body.errors.some(e => e && e.code === 'already_exists');
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { GitHubClient, isAlreadyExists };
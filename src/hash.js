@@ -0,0 +1,136 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// Nix's base32 alphabet (omits e, o, u and t)
+const BASE32_CHARS = '0123456789abcdfghijklmnpqrsvwxyz';
+
+const DIGEST_SIZES = { md5: 16, sha1: 20, sha256: 32, sha512: 64 };
+
+/**
+ * Encode bytes using Nix's base32 variant.
+ * @param {Buffer} bytes
+ * @returns {string}
+ */
+function toNixBase32(bytes) {
+  const len = Math.ceil((bytes.length * 8) / 5);
+  let out = '';
+  for (let n = len - 1; n >= 0; n--) {
+    const b = n * 5;
+    const i = Math.floor(b / 8);
+    const j = b % 8;
+    const c = (bytes[i] >> j) | (i + 1 < bytes.length ? bytes[i + 1] << (8 - j) : 0);
+    out += BASE32_CHARS[c & 0x1f];
+  }
+  return out;
+}
+
+/**
+ * Decode a Nix base32 string.
+ * @param {string} str
+ * @param {number} size - expected number of bytes
+ * @returns {Buffer|null} null if the string is not valid for `size` bytes
+ */
+function fromNixBase32(str, size) {
+  if (str.length !== Math.ceil((size * 8) / 5)) return null;
+  const bytes = Buffer.alloc(size);
+  for (let n = 0; n < str.length; n++) {
+    const digit = BASE32_CHARS.indexOf(str[str.length - n - 1]);
+    if (digit === -1) return null;
+    const b = n * 5;
+    const i = Math.floor(b / 8);
+    const j = b % 8;
+    bytes[i] |= (digit << j) & 0xff;
+    const carry = digit >> (8 - j);
+    if (i < size - 1) {
+      bytes[i + 1] |= carry;
+    } else if (carry) {
+      return null;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Parse a Nix hash string into its algorithm and raw digest.
+ *
+ * Accepts `<algo>:<base32>`, `<algo>:<base16>`, `<algo>:<base64>` and SRI
+ * (`<algo>-<base64>`) forms.
+ *
+ * @param {string} str
+ * @returns {{ algorithm: string, digest: Buffer }|null} null if malformed
+ */
+function parseHash(str) {
+  const match = /^(md5|sha1|sha256|sha512)([:-])(.+)$/.exec(str || '');
+  if (!match) return null;
+  const [, algorithm, sep, rest] = match;
+  const size = DIGEST_SIZES[algorithm];
+
+  let digest = null;
+  if (sep === ':' && rest.length === size * 2 && /^[0-9a-f]+$/i.test(rest)) {
+    digest = Buffer.from(rest, 'hex');
+  } else if (sep === ':' && rest.length === Math.ceil((size * 8) / 5)) {
+    digest = fromNixBase32(rest, size);
+  } else if (/^[A-Za-z0-9+/]+={0,2}$/.test(rest)) {
+    const decoded = Buffer.from(rest, 'base64');
+    if (decoded.length === size && decoded.toString('base64') === rest) digest = decoded;
+  }
+
+  return digest ? { algorithm, digest } : null;
+}
+
+/**
+ * Format a digest the way Nix writes it in narinfo files (`<algo>:<base32>`).
+ * @param {string} algorithm
+ * @param {Buffer} digest
+ * @returns {string}
+ */
+function formatNixHash(algorithm, digest) {
+  return `${algorithm}:${toNixBase32(digest)}`;
+}
+
+/**
+ * Create a pass-through stream that hashes and counts the bytes flowing
+ * through it. Once the stream has finished, `result()` returns the totals.
+ *
+ * @param {string} [algorithm='sha256']
+ * @returns {Transform & { result: () => { size: number, digest: Buffer } }}
+ */
+function createHashingStream(algorithm = 'sha256') {
+  const hash = crypto.createHash(algorithm);
+  let size = 0;
+  let digest = null;
+
+  const hashing = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      digest = hash.digest();
+      callback();
+    },
+  });
+  hashing.result = () => ({ size, digest });
+  return hashing;
+}
+
+/**
+ * Hash and count everything a readable stream produces.
+ * @param {import('stream').Readable} readable
+ * @param {string} [algorithm='sha256']
+ * @returns {Promise<{ size: number, digest: Buffer }>}
+ */
+async function hashStream(readable, algorithm = 'sha256') {
+  const hash = crypto.createHash(algorithm);
+  let size = 0;
+  for await (const chunk of readable) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { size, digest: hash.digest() };
+}
+
+module.exports = { toNixBase32, fromNixBase32, parseHash, formatNixHash, createHashingStream, hashStream };
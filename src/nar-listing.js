@@ -0,0 +1,65 @@
+'use strict';
+
+const stream = require('stream');
+const { promisify } = require('util');
+const { createDecompressStream, contentEncodingCompression } = require('./compression');
+const { readNarTree } = require('./nar');
+
+const pipeline = promisify(stream.pipeline);
+
+/**
+ * Build the `.ls` listing Nix publishes for a NAR (`write-nar-listing=1`):
+ *
+ *   {"version":1,"root":{"type":"directory","entries":{"bin":{…}}}}
+ *
+ * @param {stream.Readable} input - NAR, compressed with `compression`
+ * @param {string} [compression='none']
+ * @returns {Promise<{ version: 1, root: object }>}
+ */
+async function listNar(input, compression = 'none') {
+  return { version: 1, root: await readNarTree(input, { compression }) };
+}
+
+/**
+ * Read an uploaded listing, decoding its `Content-Encoding`.
+ * @param {stream.Readable} input
+ * @param {string} [contentEncoding='identity']
+ * @returns {Promise<string>}
+ */
+async function readListing(input, contentEncoding = 'identity') {
+  const compression = contentEncodingCompression(contentEncoding);
+  if (!compression) {
+    throw new Error(`Unsupported Content-Encoding "${contentEncoding}"`);
+  }
+  const chunks = [];
+  await pipeline(input, createDecompressStream(compression), async function* (source) {
+    for await (const chunk of source) chunks.push(chunk);
+  });
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Check that `text` looks like a NAR listing.
+ * @param {string} text
+ * @returns {string|null} description of the problem, or null if valid
+ */
+function validateListing(text) {
+  let listing;
+  try {
+    listing = JSON.parse(text);
+  } catch {
+    return 'Listing is not valid JSON';
+  }
+  if (!listing || typeof listing !== 'object' || Array.isArray(listing)) {
+    return 'Listing is not a JSON object';
+  }
+  if (listing.version !== 1) {
+    return `version: unsupported listing version ${JSON.stringify(listing.version)}`;
+  }
+  if (!listing.root || typeof listing.root !== 'object' || typeof listing.root.type !== 'string') {
+    return 'root: missing';
+  }
+  return null;
+}
+
+module.exports = { listNar, readListing, validateListing };
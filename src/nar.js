@@ -0,0 +1,222 @@
+'use strict';
+
+const stream = require('stream');
+const { createDecompressStream } = require('./compression');
+
+// Longest string token accepted outside file contents (names, symlink targets)
+const MAX_TOKEN_LENGTH = 4096;
+
+/**
+ * Pulls exact byte counts out of a readable stream, tracking the offset so
+ * file contents can be located in the NAR (`narOffset` in listings).
+ */
+class NarReader {
+  constructor(readable) {
+    this._chunks = readable[Symbol.asyncIterator]();
+    this._buffer = Buffer.alloc(0);
+    this.offset = 0;
+  }
+
+  async _fill(length) {
+    while (this._buffer.length < length) {
+      const { value, done } = await this._chunks.next();
+      if (done) throw new Error('Unexpected end of NAR');
+      this._buffer = this._buffer.length ? Buffer.concat([this._buffer, value]) : value;
+    }
+  }
+
+  async read(length) {
+    await this._fill(length);
+    const bytes = this._buffer.subarray(0, length);
+    this._buffer = this._buffer.subarray(length);
+    this.offset += length;
+    return bytes;
+  }
+
+  async skip(length) {
+    while (length > 0) {
+      if (!this._buffer.length) await this._fill(1);
+      const taken = Math.min(length, this._buffer.length);
+      this._buffer = this._buffer.subarray(taken);
+      this.offset += taken;
+      length -= taken;
+    }
+  }
+
+  async readInt() {
+    const value = (await this.read(8)).readBigUInt64LE(0);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) throw new Error('NAR integer out of range');
+    return Number(value);
+  }
+
+  async readString() {
+    const length = await this.readInt();
+    if (length > MAX_TOKEN_LENGTH) throw new Error(`NAR string of ${length} bytes is too long`);
+    const value = (await this.read(length)).toString('utf8');
+    await this.skip(padding(length));
+    return value;
+  }
+
+  async expect(token) {
+    const value = await this.readString();
+    if (value !== token) throw new Error(`Expected "${token}" in NAR, got "${value}"`);
+  }
+}
+
+// Strings and file contents are zero-padded to a multiple of 8 bytes
+function padding(length) {
+  return (8 - (length % 8)) % 8;
+}
+
+/**
+ * Yield the entries of a node and, for directories, of everything below it
+ * (parents before children, children in NAR order, which is sorted by name).
+ */
+async function* readNode(reader, path) {
+  await reader.expect('(');
+  await reader.expect('type');
+  const type = await reader.readString();
+
+  if (type === 'regular') {
+    let tag = await reader.readString();
+    const executable = tag === 'executable';
+    if (executable) {
+      await reader.expect('');
+      tag = await reader.readString();
+    }
+    if (tag !== 'contents') throw new Error(`Expected "contents" in NAR, got "${tag}"`);
+    const size = await reader.readInt();
+    const narOffset = reader.offset;
+
+    let consumed = false;
+    yield {
+      path,
+      type,
+      size,
+      executable,
+      narOffset,
+      readContents: async () => {
+        if (consumed) throw new Error(`Contents of "${path}" were already read`);
+        consumed = true;
+        return reader.read(size);
+      },
+    };
+    await reader.skip((consumed ? 0 : size) + padding(size));
+    await reader.expect(')');
+    return;
+  }
+
+  if (type === 'symlink') {
+    await reader.expect('target');
+    const target = await reader.readString();
+    await reader.expect(')');
+    yield { path, type, target };
+    return;
+  }
+
+  if (type === 'directory') {
+    yield { path, type };
+    let previous = null;
+    for (let tag = await reader.readString(); tag !== ')'; tag = await reader.readString()) {
+      if (tag !== 'entry') throw new Error(`Expected "entry" in NAR, got "${tag}"`);
+      await reader.expect('(');
+      await reader.expect('name');
+      const name = await reader.readString();
+      if (!name || name === '.' || name === '..' || name.includes('/') || name.includes('\0')) {
+        throw new Error(`Invalid file name "${name}" in NAR`);
+      }
+      if (previous !== null && Buffer.compare(Buffer.from(previous), Buffer.from(name)) >= 0) {
+        throw new Error(`NAR entry "${name}" is out of order`);
+      }
+      previous = name;
+      await reader.expect('node');
+      yield* readNode(reader, path ? `${path}/${name}` : name);
+      await reader.expect(')');
+    }
+    return;
+  }
+
+  throw new Error(`Unknown NAR node type "${type}"`);
+}
+
+/**
+ * Read a NAR archive as a stream of file system entries.
+ *
+ * Each entry has a `path` relative to the root of the archive ("" for the
+ * root itself, "bin/hello" below it) and a `type`:
+ *
+ *   { path, type: 'directory' }
+ *   { path, type: 'regular', size, executable, narOffset, readContents }
+ *   { path, type: 'symlink', target }
+ *
+ * `narOffset` is where the file's contents start in the uncompressed NAR.
+ * File contents are skipped unless `readContents()` is awaited before asking
+ * for the next entry; it resolves to a Buffer of `size` bytes.
+ *
+ * Iteration stops at the end of the root node; the rest of `input` is
+ * drained so that a stream shared with another consumer keeps flowing.
+ *
+ * @param {stream.Readable} input - NAR, compressed with `compression`
+ * @param {object} [options]
+ * @param {string} [options.compression='none'] - e.g. "xz" or "zstd"
+ * @returns {AsyncGenerator<object>}
+ */
+async function* readNar(input, { compression = 'none' } = {}) {
+  const decompressed = input.pipe(createDecompressStream(compression));
+  const forwardError = err => decompressed.destroy(err);
+  input.on('error', forwardError);
+  try {
+    const reader = new NarReader(decompressed);
+    await reader.expect('nix-archive-1');
+    yield* readNode(reader, '');
+  } finally {
+    input.off('error', forwardError);
+    input.unpipe(decompressed);
+    decompressed.destroy();
+    input.resume();
+  }
+}
+
+/**
+ * Read a NAR archive into a tree: directories have `entries` keyed by name,
+ * regular files `size`, `narOffset` and `executable` (only when set),
+ * symlinks `target`. This is the `root` of a `.ls` listing.
+ *
+ * @param {stream.Readable} input
+ * @param {object} [options] - as for readNar
+ * @returns {Promise<object>}
+ */
+async function readNarTree(input, options) {
+  let root = null;
+  const directories = new Map();
+  for await (const entry of readNar(input, options)) {
+    let node;
+    if (entry.type === 'directory') {
+      node = { type: 'directory', entries: {} };
+      directories.set(entry.path, node);
+    } else if (entry.type === 'regular') {
+      node = entry.executable
+        ? { type: 'regular', size: entry.size, executable: true, narOffset: entry.narOffset }
+        : { type: 'regular', size: entry.size, narOffset: entry.narOffset };
+    } else {
+      node = { type: 'symlink', target: entry.target };
+    }
+
+    if (!entry.path) {
+      root = node;
+      continue;
+    }
+    const slash = entry.path.lastIndexOf('/');
+    const parent = directories.get(slash === -1 ? '' : entry.path.slice(0, slash));
+    // Not a plain assignment: a file may be called "__proto__"
+    Object.defineProperty(parent.entries, entry.path.slice(slash + 1), {
+      value: node,
+      enumerable: true,
+      writable: true,
+      configurable: true,
+    });
+  }
+  return root;
+}
+
+module.exports = { readNar, readNarTree };
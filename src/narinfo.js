@@ -0,0 +1,241 @@
+'use strict';
+
+const { parseHash, formatNixHash } = require('./hash');
+const { COMPRESSIONS, compressionFromFilename } = require('./compression');
+
+/**
+ * narinfo fields in the order Nix writes them, mapped to object properties.
+ * `References` and `Sig` are handled separately (list-valued).
+ */
+const FIELDS = [
+  ['StorePath', 'storePath'],
+  ['URL', 'url'],
+  ['Compression', 'compression'],
+  ['FileHash', 'fileHash'],
+  ['FileSize', 'fileSize'],
+  ['NarHash', 'narHash'],
+  ['NarSize', 'narSize'],
+  ['References', 'references'],
+  ['Deriver', 'deriver'],
+  ['System', 'system'],
+  ['Sig', 'sigs'],
+  ['CA', 'ca'],
+];
+
+const PROPERTIES = new Map(FIELDS);
+const NUMERIC = new Set(['fileSize', 'narSize']);
+
+// Store path basenames are "<32-char nix base32 hash>-<name>"
+const STORE_PATH_BASENAME = /^[0-9a-df-np-sv-z]{32}-[A-Za-z0-9+\-._?=]+$/;
+
+/**
+ * Parse narinfo text into an object.
+ *
+ * Every field Nix writes is supported; `References` becomes an array of store
+ * path basenames and `Sig` an array of signatures. Unknown fields are kept in
+ * `extra` (as `[key, value]` pairs) so serializing preserves them.
+ *
+ * @param {string} text
+ * @returns {{
+ *   storePath?: string, url?: string, compression?: string,
+ *   fileHash?: string, fileSize?: number, narHash?: string, narSize?: number,
+ *   references: string[], deriver?: string, system?: string,
+ *   sigs: string[], ca?: string, extra: Array<[string, string]>
+ * }}
+ */
+function parseNarinfo(text) {
+  const narinfo = { references: [], sigs: [], extra: [] };
+
+  for (const line of text.split('\n')) {
+    const idx = line.indexOf(':');
+    if (idx === -1) continue;
+    const key = line.slice(0, idx).trim();
+    const value = line.slice(idx + 1).trim();
+    const prop = PROPERTIES.get(key);
+
+    if (!prop) {
+      narinfo.extra.push([key, value]);
+    } else if (prop === 'references') {
+      narinfo.references.push(...value.split(/\s+/).filter(Boolean));
+    } else if (prop === 'sigs') {
+      if (value) narinfo.sigs.push(value);
+    } else if (NUMERIC.has(prop)) {
+      narinfo[prop] = /^\d+$/.test(value) ? Number(value) : NaN;
+    } else {
+      narinfo[prop] = value;
+    }
+  }
+
+  return narinfo;
+}
+
+/**
+ * Serialize a narinfo object back to text, in the field order Nix uses.
+ * @param {object} narinfo - as returned by parseNarinfo
+ * @returns {string}
+ */
+function serializeNarinfo(narinfo) {
+  const lines = [];
+  for (const [key, prop] of FIELDS) {
+    if (prop === 'references') {
+      lines.push(`References: ${(narinfo.references || []).join(' ')}`);
+    } else if (prop === 'sigs') {
+      for (const sig of narinfo.sigs || []) lines.push(`Sig: ${sig}`);
+    } else if (narinfo[prop] !== undefined && narinfo[prop] !== null) {
+      lines.push(`${key}: ${narinfo[prop]}`);
+    }
+  }
+  for (const [key, value] of narinfo.extra || []) {
+    lines.push(`${key}: ${value}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Check a parsed narinfo for missing required fields and malformed values.
+ * @param {object} narinfo - as returned by parseNarinfo
+ * @returns {string[]} problems, each prefixed with the field name (empty if valid)
+ */
+function validateNarinfo(narinfo) {
+  const errors = [];
+
+  if (!narinfo.storePath) {
+    errors.push('StorePath: missing');
+  } else if (!narinfo.storePath.startsWith('/') || !narinfo.storePath.slice(narinfo.storePath.lastIndexOf('/') + 1).includes('-')) {
+    errors.push(`StorePath: malformed store path "${narinfo.storePath}"`);
+  }
+
+  if (!narinfo.url) errors.push('URL: missing');
+
+  if (!narinfo.narHash) {
+    errors.push('NarHash: missing');
+  } else if (!parseHash(narinfo.narHash)) {
+    errors.push(`NarHash: malformed hash "${narinfo.narHash}"`);
+  }
+  if (narinfo.fileHash !== undefined && !parseHash(narinfo.fileHash)) {
+    errors.push(`FileHash: malformed hash "${narinfo.fileHash}"`);
+  }
+
+  if (narinfo.narSize === undefined) {
+    errors.push('NarSize: missing');
+  } else if (!Number.isSafeInteger(narinfo.narSize)) {
+    errors.push('NarSize: not a non-negative integer');
+  }
+  if (narinfo.fileSize !== undefined && !Number.isSafeInteger(narinfo.fileSize)) {
+    errors.push('FileSize: not a non-negative integer');
+  }
+
+  for (const ref of narinfo.references || []) {
+    if (!STORE_PATH_BASENAME.test(ref)) {
+      errors.push(`References: malformed reference "${ref}"`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the object `signing.fingerprint` expects from a parsed narinfo:
+ * references expanded to full store paths and NarHash normalized to the
+ * `sha256:<base32>` form Nix signs.
+ *
+ * @param {object} narinfo - as returned by parseNarinfo
+ * @returns {{ storePath: string, narHash: string, narSize: number, references: string[] }}
+ */
+function fingerprintFields(narinfo) {
+  const storePath = narinfo.storePath || '';
+  const storeDir = storePath.slice(0, storePath.lastIndexOf('/'));
+  const parsedHash = parseHash(narinfo.narHash);
+  return {
+    storePath,
+    narHash: parsedHash ? formatNixHash(parsedHash.algorithm, parsedHash.digest) : narinfo.narHash,
+    narSize: narinfo.narSize,
+    references: narinfo.references.map(ref => (ref.startsWith('/') ? ref : `${storeDir}/${ref}`)),
+  };
+}
+
+/**
+ * The NAR filename a narinfo points at, for relative (`nar/<file>`) and
+ * absolute URLs.
+ * @param {object} narinfo - as returned by parseNarinfo
+ * @returns {string|null}
+ */
+function narFilename(narinfo) {
+  if (!narinfo.url) return null;
+  if (/^https?:\/\//.test(narinfo.url)) {
+    const { pathname } = new URL(narinfo.url);
+    return decodeURIComponent(pathname.slice(pathname.lastIndexOf('/') + 1)) || null;
+  }
+  const filename = narinfo.url.startsWith('nar/') ? narinfo.url.slice(4) : narinfo.url;
+  return filename || null;
+}
+
+/**
+ * Check that a narinfo's `Compression` is known and matches the extension of
+ * the NAR file its `URL` points at.
+ * @param {object} narinfo - parsed, validated narinfo
+ * @returns {string|null} description of the offending field, or null
+ */
+function checkNarCompression(narinfo) {
+  // Nix treats a missing Compression field as bzip2
+  const compression = narinfo.compression || 'bzip2';
+  if (!COMPRESSIONS[compression]) {
+    return `Compression: unknown compression "${compression}"`;
+  }
+  const urlCompression = compressionFromFilename(narFilename(narinfo));
+  if (urlCompression !== compression) {
+    return `Compression: narinfo says "${compression}" but URL ${narinfo.url} ` +
+      `${urlCompression ? `is "${urlCompression}"` : 'is not a NAR file'}`;
+  }
+  return null;
+}
+
+/**
+ * Compare a narinfo against the size and sha256 digest of its stored NAR
+ * file: `FileHash`/`FileSize`, plus `NarHash`/`NarSize` for uncompressed NARs.
+ * Without a digest only the sizes are compared.
+ * @param {object} narinfo - parsed, validated narinfo
+ * @param {{ size: number, digest?: Buffer }} stored
+ * @returns {string|null} description of the offending field, or null
+ */
+function checkNarFile(narinfo, stored) {
+  const checks = [['FileSize', 'fileSize', 'FileHash', 'fileHash']];
+  if ((narinfo.compression || 'bzip2') === 'none') checks.push(['NarSize', 'narSize', 'NarHash', 'narHash']);
+
+  for (const [sizeField, sizeProp, hashField, hashProp] of checks) {
+    if (narinfo[sizeProp] !== undefined && narinfo[sizeProp] !== stored.size) {
+      return `${sizeField}: narinfo says ${narinfo[sizeProp]} but the stored NAR is ${stored.size} bytes`;
+    }
+    if (narinfo[hashProp] !== undefined && stored.digest) {
+      const expected = parseHash(narinfo[hashProp]);
+      if (expected.algorithm !== 'sha256') {
+        return `${hashField}: expected a sha256 hash, got "${narinfo[hashProp]}"`;
+      }
+      if (!expected.digest.equals(stored.digest)) {
+        return `${hashField}: narinfo says ${narinfo[hashProp]} but the stored NAR hashes to ${formatNixHash('sha256', stored.digest)}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * The hash part of a store path or store path basename.
+ * @param {string} storePath
+ * @returns {string}
+ */
+function storePathHash(storePath) {
+  return storePath.slice(storePath.lastIndexOf('/') + 1).split('-')[0];
+}
+
+module.exports = {
+  parseNarinfo,
+  serializeNarinfo,
+  validateNarinfo,
+  fingerprintFields,
+  narFilename,
+  checkNarCompression,
+  checkNarFile,
+  storePathHash,
+  STORE_PATH_BASENAME,
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+const { parseHash } = require('./hash');
+const { STORE_PATH_BASENAME } = require('./narinfo');
+
+// Realisation ids are "<drv hash>!<output name>", e.g. "sha256:1a2b…!out"
+const REALISATION_ID = /^([a-z0-9]+:[A-Za-z0-9+/=]+)!([A-Za-z0-9+\-._?=]+)$/;
+
+/**
+ * Parse a realisation (`realisations/<id>.doi`), the JSON document Nix's
+ * `ca-derivations` feature uses to map a derivation output to a store path:
+ *
+ *   {"id":"sha256:…!out","outPath":"<hash>-<name>","signatures":[…],"dependentRealisations":{}}
+ *
+ * @param {string} text
+ * @returns {object|null} the parsed object (missing list/map fields filled in),
+ *   or null if `text` is not a JSON object
+ */
+function parseRealisation(text) {
+  let realisation;
+  try {
+    realisation = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!realisation || typeof realisation !== 'object' || Array.isArray(realisation)) {
+    return null;
+  }
+  if (realisation.signatures === undefined) realisation.signatures = [];
+  if (realisation.dependentRealisations === undefined) realisation.dependentRealisations = {};
+  return realisation;
+}
+
+/**
+ * Check a parsed realisation for missing and malformed fields.
+ * @param {object} realisation - as returned by parseRealisation
+ * @returns {string[]} problems, each prefixed with the field name (empty if valid)
+ */
+function validateRealisation(realisation) {
+  const errors = [];
+
+  if (typeof realisation.id !== 'string') {
+    errors.push('id: missing');
+  } else if (!isRealisationId(realisation.id)) {
+    errors.push(`id: malformed realisation id "${realisation.id}"`);
+  }
+
+  if (typeof realisation.outPath !== 'string') {
+    errors.push('outPath: missing');
+  } else if (!STORE_PATH_BASENAME.test(realisation.outPath)) {
+    errors.push(`outPath: malformed store path "${realisation.outPath}"`);
+  }
+
+  if (!Array.isArray(realisation.signatures) || !realisation.signatures.every(sig => typeof sig === 'string')) {
+    errors.push('signatures: not a list of strings');
+  }
+
+  const deps = realisation.dependentRealisations;
+  if (!deps || typeof deps !== 'object' || Array.isArray(deps)) {
+    errors.push('dependentRealisations: not an object');
+  } else {
+    for (const [id, outPath] of Object.entries(deps)) {
+      if (!isRealisationId(id) || typeof outPath !== 'string' || !STORE_PATH_BASENAME.test(outPath)) {
+        errors.push(`dependentRealisations: malformed entry "${id}"`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Whether `id` is a well-formed realisation id ("<drv hash>!<output name>").
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isRealisationId(id) {
+  const match = REALISATION_ID.exec(id);
+  return Boolean(match && parseHash(match[1]));
+}
+
+/**
+ * Serialize a realisation the way Nix writes it (compact JSON).
+ * @param {object} realisation
+ * @returns {string}
+ */
+function serializeRealisation(realisation) {
+  return JSON.stringify(realisation);
+}
+
+/**
+ * Build the string Nix signs for a realisation: the JSON document without
+ * `signatures`, with object keys sorted and no whitespace.
+ * @param {object} realisation
+ * @returns {string}
+ */
+function realisationFingerprint(realisation) {
+  const { signatures, ...unsigned } = realisation;
+  return JSON.stringify(sortKeys(unsigned));
+}
+
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+module.exports = {
+  parseRealisation,
+  validateRealisation,
+  isRealisationId,
+  serializeRealisation,
+  realisationFingerprint,
+};
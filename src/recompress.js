@@ -0,0 +1,63 @@
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { COMPRESSIONS, createCompressStream } = require('./compression');
+const { createHashingStream, toNixBase32, formatNixHash } = require('./hash');
+
+// Compressions the server can recompress uploads to
+const RECOMPRESS_TARGETS = ['xz', 'zstd'];
+
+/**
+ * Compress an uncompressed NAR stream into a temporary file.
+ *
+ * Returns the name Nix would give the compressed NAR (the base32 FileHash
+ * plus the compression's extension) along with its size and digest. The
+ * caller must call `cleanup()` once the temporary file has been stored.
+ *
+ * @param {import('stream').Readable} input - uncompressed NAR bytes
+ * @param {string} compression             - target compression (xz or zstd)
+ * @returns {Promise<{ filename: string, compression: string, size: number, digest: Buffer, tmpPath: string, cleanup: () => Promise<void> }>}
+ */
+async function recompressToFile(input, compression) {
+  const tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'static-nix-cache-recompress-'));
+  const cleanup = () => fsp.rm(tmpDir, { recursive: true, force: true });
+  const tmpPath = path.join(tmpDir, 'nar');
+
+  try {
+    const hashing = createHashingStream();
+    await pipeline(input, createCompressStream(compression), hashing, fs.createWriteStream(tmpPath));
+    const { size, digest } = hashing.result();
+    return {
+      filename: `${toNixBase32(digest)}${COMPRESSIONS[compression].extension}`,
+      compression,
+      size,
+      digest,
+      tmpPath,
+      cleanup,
+    };
+  } catch (err) {
+    await cleanup();
+    throw err;
+  }
+}
+
+/**
+ * Point a parsed narinfo at a recompressed NAR by rewriting its `URL`,
+ * `Compression`, `FileHash` and `FileSize` fields. None of these are part of
+ * the signed fingerprint, so existing signatures remain valid.
+ *
+ * @param {object} narinfo - parsed narinfo (modified in place)
+ * @param {{ filename: string, compression: string, size: number, digest: Buffer }} recompressed
+ */
+function applyRecompression(narinfo, recompressed) {
+  narinfo.url = `nar/${recompressed.filename}`;
+  narinfo.compression = recompressed.compression;
+  narinfo.fileHash = formatNixHash('sha256', recompressed.digest);
+  narinfo.fileSize = recompressed.size;
+}
+
+module.exports = { RECOMPRESS_TARGETS, recompressToFile, applyRecompression };
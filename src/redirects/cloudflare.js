@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Cloudflare Pages `_redirects` file.
+ *
+ * Placeholders only match whole path segments, so rules with a filename
+ * prefix use a splat instead. Exact rules get one line per file.
+ */
+module.exports = {
+  name: 'cloudflare',
+  description: 'Cloudflare Pages _redirects file',
+
+  emit(rules) {
+    const lines = rules.flatMap(rule => {
+      if (rule.exact) return rule.files.map(filename => `${rule.from}${filename} ${rule.to}/${filename} 302`);
+      return rule.prefix
+        ? `${rule.from}${rule.prefix}* ${rule.to}/${rule.prefix}:splat 302`
+        : `${rule.from}:filename ${rule.to}/:filename 302`;
+    });
+    return [{ path: '_redirects', content: lines.join('\n') + '\n' }];
+  },
+};
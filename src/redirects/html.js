@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Per-file HTML meta-refresh pages for hosts without any redirect support.
+ *
+ * Each known file gets a `<from><filename>.html` page. Hosts that serve
+ * `foo.html` for `/foo` (e.g. GitHub Pages) will then redirect browsers.
+ * Nix itself does not follow meta-refresh, so combine this target with
+ * absolute NAR URLs.
+ */
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+module.exports = {
+  name: 'html',
+  description: 'Per-file HTML meta-refresh pages',
+
+  emit(rules) {
+    const files = [];
+    for (const rule of rules) {
+      for (const filename of rule.files || []) {
+        const url = escapeHtml(`${rule.to}/${encodeURIComponent(filename)}`);
+        files.push({
+          path: `${rule.from.replace(/^\//, '')}${filename}.html`,
+          content:
+            '<!DOCTYPE html>\n' +
+            '<html>\n' +
+            '<head>\n' +
+            '<meta charset="utf-8">\n' +
+            `<meta http-equiv="refresh" content="0; url=${url}">\n` +
+            `<link rel="canonical" href="${url}">\n` +
+            '<title>Redirecting…</title>\n' +
+            '</head>\n' +
+            `<body><a href="${url}">${escapeHtml(filename)}</a></body>\n` +
+            '</html>\n',
+        });
+      }
+    }
+    return files;
+  },
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+const cloudflare = require('./cloudflare');
+const netlify = require('./netlify');
+const vercel = require('./vercel');
+const s3 = require('./s3');
+const nginx = require('./nginx');
+const html = require('./html');
+
+/**
+ * Redirect emitters, keyed by `--target` name.
+ *
+ * Each emitter exposes:
+ *   name        - target name
+ *   description - short human-readable summary
+ *   emit(rules) - returns the files to write: [{ path, content }]
+ *
+ * A rule describes one redirected prefix of the static site:
+ *   { from: '/nar/', to: 'https://github.com/.../releases/download/<tag>', files: ['<filename>', ...] }
+ * Requests for `<from><filename>` are redirected to `<to>/<filename>`.
+ * `files` lists the filenames known at generation time (only needed by
+ * emitters that cannot express wildcard rules).
+ *
+ * A rule may also have a `prefix`, to redirect only the filenames starting
+ * with it (e.g. NARs on a shard release). Rules are given most specific
+ * first, and emitters keep them in that order for hosts where the first
+ * matching rule wins.
+ *
+ * A rule with `exact: true` redirects only the filenames in `files`, each by
+ * its full path (e.g. NARs left on the base release that a shard prefix
+ * rule would otherwise send to the shard).
+ */
+const emitters = { cloudflare, netlify, vercel, s3, nginx, html };
+
+/**
+ * Look up a redirect emitter by target name.
+ * @param {string} target
+ * @returns {{ name: string, description: string, emit: Function }}
+ */
+function getRedirectEmitter(target) {
+  const emitter = Object.prototype.hasOwnProperty.call(emitters, target) ? emitters[target] : null;
+  if (!emitter) {
+    throw new Error(`Unknown redirect target "${target}" (expected one of: ${Object.keys(emitters).join(', ')})`);
+  }
+  return emitter;
+}
+
+module.exports = { getRedirectEmitter, redirectTargets: Object.keys(emitters) };
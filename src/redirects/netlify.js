@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Netlify `_redirects` file plus the equivalent `netlify.toml` rules.
+ *
+ * Netlify reads `_redirects` from the publish directory; `netlify.toml` is
+ * provided for sites that keep their redirect rules in the base directory.
+ */
+module.exports = {
+  name: 'netlify',
+  description: 'Netlify _redirects and netlify.toml',
+
+  emit(rules) {
+    // Exact rules become one redirect per file, without a splat
+    const redirects = rules.flatMap(rule => (rule.exact
+      ? rule.files.map(filename => ({ from: `${rule.from}${filename}`, to: `${rule.to}/${filename}` }))
+      : [{ from: `${rule.from}${rule.prefix || ''}*`, to: `${rule.to}/${rule.prefix || ''}:splat` }]));
+    const lines = redirects.map(({ from, to }) => `${from} ${to} 302`);
+    const toml = redirects.map(({ from, to }) =>
+      '[[redirects]]\n' +
+      `  from = "${from}"\n` +
+      `  to = "${to}"\n` +
+      '  status = 302\n'
+    );
+    return [
+      { path: '_redirects', content: lines.join('\n') + '\n' },
+      { path: 'netlify.toml', content: toml.join('\n') },
+    ];
+  },
+};
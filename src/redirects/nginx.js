@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * nginx `location` snippet, meant to be included in a `server` block.
+ *
+ * nginx picks the longest matching prefix location, and exact (`=`)
+ * locations before any prefix, so the order of the rules does not matter
+ * here.
+ */
+module.exports = {
+  name: 'nginx',
+  description: 'nginx location snippet (nginx-redirects.conf)',
+
+  emit(rules) {
+    const blocks = rules.flatMap(rule => {
+      if (rule.exact) {
+        return rule.files.map(filename =>
+          `location = ${rule.from}${filename} {\n` +
+          `    return 302 ${rule.to}/${filename};\n` +
+          '}\n');
+      }
+      const prefix = rule.prefix || '';
+      return `location ${rule.from}${prefix} {\n` +
+        `    rewrite ^${rule.from}${prefix}(.*)$ ${rule.to}/${prefix}$1 redirect;\n` +
+        '}\n';
+    });
+    return [{ path: 'nginx-redirects.conf', content: blocks.join('\n') }];
+  },
+};
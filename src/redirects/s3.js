@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * S3 static website hosting routing rules.
+ *
+ * The output is the `RoutingRules` array accepted by
+ * `aws s3api put-bucket-website` (inside `WebsiteConfiguration`).
+ */
+module.exports = {
+  name: 's3',
+  description: 'S3 static website routing rules (s3-routing-rules.json)',
+
+  emit(rules) {
+    // A whole filename as the key prefix makes an exact rule
+    const routingRules = rules.flatMap(rule => {
+      const target = new URL(rule.to);
+      return (rule.exact ? rule.files : [rule.prefix || '']).map(prefix => ({
+        Condition: { KeyPrefixEquals: `${rule.from.replace(/^\//, '')}${prefix}` },
+        Redirect: {
+          Protocol: target.protocol.replace(/:$/, ''),
+          HostName: target.host,
+          ReplaceKeyPrefixWith: `${target.pathname.replace(/^\//, '')}/${prefix}`,
+          HttpRedirectCode: '302',
+        },
+      }));
+    });
+    return [{ path: 's3-routing-rules.json', content: JSON.stringify(routingRules, null, 2) + '\n' }];
+  },
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Vercel `vercel.json` rewrites.
+ */
+module.exports = {
+  name: 'vercel',
+  description: 'Vercel vercel.json rewrites',
+
+  emit(rules) {
+    const config = {
+      rewrites: rules.flatMap(rule => (rule.exact
+        ? rule.files.map(filename => ({ source: `${rule.from}${filename}`, destination: `${rule.to}/${filename}` }))
+        : [{
+          source: `${rule.from}${rule.prefix || ''}:filename`,
+          destination: `${rule.to}/${rule.prefix || ''}:filename`,
+        }])),
+    };
+    return [{ path: 'vercel.json', content: JSON.stringify(config, null, 2) + '\n' }];
+  },
+};
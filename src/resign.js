@@ -0,0 +1,71 @@
+'use strict';
+
+const { parseNarinfo, serializeNarinfo, validateNarinfo } = require('./narinfo');
+const { addSignatures, keyName } = require('./signing');
+
+/**
+ * Add signatures to every narinfo in a storage backend.
+ *
+ * Used to rotate signing keys: sign everything with the new key while keeping
+ * the old key's signatures, switch consumers over to the new public key, then
+ * run again with `dropKeyNames` set to the old key name to retire it.
+ *
+ * Existing signatures are always kept (apart from those in `dropKeyNames`),
+ * and narinfo whose signatures end up unchanged are not written back.
+ * Backends that batch narinfo writes are flushed once everything is re-signed.
+ *
+ * @param {object} storage                 - storage backend instance (must implement `listNarinfo`)
+ * @param {object} options
+ * @param {string[]} options.signingKeys   - "<keyname>:<base64-private-key>" strings to sign with
+ * @param {string[]} [options.dropKeyNames=[]] - key names whose signatures are removed
+ * @param {boolean} [options.dryRun=false] - report what would change without writing
+ * @returns {Promise<{ total: number, updated: string[], unchanged: number, failed: { hash: string, reason: string }[] }>}
+ */
+async function resignCache(storage, { signingKeys, dropKeyNames = [], dryRun = false }) {
+  const dropped = new Set(dropKeyNames);
+  for (const key of signingKeys) {
+    if (dropped.has(keyName(key))) {
+      throw new Error(`Cannot both sign with and drop key "${keyName(key)}"`);
+    }
+  }
+
+  const hashes = await storage.listNarinfo();
+  const result = { total: hashes.length, updated: [], unchanged: 0, failed: [] };
+
+  for (const hash of hashes) {
+    const content = await storage.getNarinfo(hash);
+    if (content === null) {
+      result.failed.push({ hash, reason: 'disappeared while re-signing' });
+      continue;
+    }
+
+    const narinfo = parseNarinfo(content);
+    const errors = validateNarinfo(narinfo);
+    if (errors.length) {
+      result.failed.push({ hash, reason: errors.join('; ') });
+      continue;
+    }
+
+    const before = [...narinfo.sigs].sort().join('\n');
+    addSignatures(narinfo, signingKeys, { preserveSignatures: true });
+    narinfo.sigs = narinfo.sigs.filter(sig => !dropped.has(keyName(sig)));
+
+    if ([...narinfo.sigs].sort().join('\n') === before) {
+      result.unchanged++;
+      continue;
+    }
+
+    if (!dryRun) {
+      await storage.putNarinfo(hash, serializeNarinfo(narinfo));
+    }
+    result.updated.push(hash);
+  }
+
+  if (!dryRun && result.updated.length && typeof storage.flush === 'function') {
+    await storage.flush();
+  }
+
+  return result;
+}
+
+module.exports = { resignCache };
@@ -1,8 +1,50 @@
 'use strict';
 
 const express = require('express');
+const fs = require('fs');
+const stream = require('stream');
+const zlib = require('zlib');
+const { promisify } = require('util');
 const { requireUploadSecret } = require('../middleware/auth');
-const { signNarinfo } = require('../signing');
+const {
+  configuredSigningKeys,
+  addSignatures,
+  addRealisationSignatures,
+  hasTrustedSignature,
+  hasTrustedRealisationSignature,
+} = require('../signing');
+const {
+  parseNarinfo,
+  serializeNarinfo,
+  validateNarinfo,
+  fingerprintFields,
+  narFilename,
+  checkNarCompression,
+  checkNarFile,
+  storePathHash,
+} = require('../narinfo');
+const {
+  parseRealisation,
+  validateRealisation,
+  isRealisationId,
+  serializeRealisation,
+} = require('../realisation');
+const { isDrvName, gzipLog } = require('../build-log');
+const { listNar, readListing, validateListing } = require('../nar-listing');
+const {
+  CONTENT_ENCODINGS,
+  compressionFromFilename,
+  contentEncodingCompression,
+  narContentType,
+} = require('../compression');
+const { createHashingStream, hashStream } = require('../hash');
+const { UploadTracker } = require('../upload-tracker');
+const { RECOMPRESS_TARGETS, recompressToFile, applyRecompression } = require('../recompress');
+
+// NAR compressions whose uploads can be parsed into listings
+const LISTABLE_COMPRESSIONS = ['none', 'xz', 'zstd', 'bzip2', 'gzip', 'br'];
+
+const gunzip = promisify(zlib.gunzip);
 
 /**
  * Build the Express router for the Nix binary cache HTTP API.
@@ -12,8 +54,19 @@ const { signNarinfo } = require('../signing');
  *   HEAD /:hash.narinfo               - check presence of a store path
  *   GET  /:hash.narinfo               - fetch narinfo for a store path
  *   PUT  /:hash.narinfo               - upload narinfo
- *   GET  /nar/:filename               - download NAR file
+ *   HEAD /:hash.ls                    - check presence of a NAR listing
+ *   GET  /:hash.ls                    - fetch a NAR listing (`nix store ls`)
+ *   PUT  /:hash.ls                    - upload a NAR listing
+ *   HEAD /nar/:filename               - NAR size and validators
+ *   GET  /nar/:filename               - download NAR file (supports Range),
+ *                                       or redirect to it with `narRedirect`
  *   PUT  /nar/:filename               - upload NAR file
+ *   HEAD /realisations/:id.doi        - check presence of a realisation
+ *   GET  /realisations/:id.doi        - fetch a realisation (ca-derivations)
+ *   PUT  /realisations/:id.doi        - upload a realisation
+ *   HEAD /log/:drv                    - check presence of a build log
+ *   GET  /log/:drv                    - fetch a build log (`nix log`)
+ *   PUT  /log/:drv                    - upload a build log (`nix store copy-log`)
  *
  * @param {object} storage - storage backend instance
  * @param {object} config  - application config
@@ -22,6 +75,21 @@ const { signNarinfo } = require('../signing');
 function createCacheRouter(storage, config) {
   const router = express.Router();
   const authMiddleware = requireUploadSecret(config.uploadSecret);
+  const uploads = new UploadTracker();
+  const signingKeys = configuredSigningKeys(config);
+  const trustedPublicKeys = config.trustedPublicKeys || [];
+
+  if (config.recompress && !RECOMPRESS_TARGETS.includes(config.recompress)) {
+    throw new Error(`Invalid recompress setting "${config.recompress}" (expected one of: ${RECOMPRESS_TARGETS.join(', ')})`);
+  }
+  if (config.narRedirect && typeof storage.getNarRedirectUrl !== 'function') {
+    throw new Error('NAR redirects are not supported by this storage backend (use github-releases or s3)');
+  }
+  for (const publicKey of trustedPublicKeys) {
+    if (!/^[^:]+:[A-Za-z0-9+/]{43}=$/.test(publicKey)) {
+      throw new Error(`Invalid trusted public key "${publicKey}" (expected "<keyname>:<base64-ed25519-public-key>")`);
+    }
+  }
 
   // ---------------------------------------------------------------------------
   // GET /nix-cache-info
@@ -64,7 +132,7 @@ function createCacheRouter(storage, config) {
   });
 
   // ---------------------------------------------------------------------------
-  // PUT /:hash.narinfo  – upload narinfo (optionally re-sign with our key)
+  // PUT /:hash.narinfo  – upload narinfo (optionally re-sign with our keys)
   // ---------------------------------------------------------------------------
   router.put('/:hash.narinfo', authMiddleware, express.text({ type: '*/*', limit: '1mb' }), async (req, res) => {
     try {
@@ -73,11 +141,56 @@ function createCacheRouter(storage, config) {
         return res.status(400).json({ error: 'Empty body' });
       }
 
-      if (config.signingKey) {
-        content = addSignature(content, config.signingKey);
+      const narinfo = parseNarinfo(content);
+      const errors = validateNarinfo(narinfo);
+      if (errors.length) {
+        return res.status(400).json({ error: errors.join('; ') });
+      }
+
+      if (trustedPublicKeys.length && !hasTrustedSignature(narinfo, trustedPublicKeys)) {
+        return res.status(403).json({
+          error: narinfo.sigs.length
+            ? 'Sig: no valid signature from a trusted key'
+            : 'Sig: narinfo is not signed',
+        });
+      }
+
+      if (config.requireCompleteClosure) {
+        const missing = await findMissingClosure(narinfo, uploads, storage);
+        if (missing.narinfo.length || missing.nar.length) {
+          return res.status(409).json({ error: 'Incomplete closure', missing });
+        }
+      }
+
+      const problem = await verifyNarFile(narinfo, uploads, storage, { rehash: config.verifyStoredNarHashes });
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      // Point the narinfo at the recompressed copy of its NAR, if any
+      const uploadedFilename = narFilename(narinfo);
+      const recompressed = uploads.getRecompression(uploadedFilename);
+      if (recompressed) {
+        applyRecompression(narinfo, recompressed);
+      }
+
+      if (signingKeys.length) {
+        addSignatures(narinfo, signingKeys, { preserveSignatures: config.preserveSignatures });
+      }
+
+      // Store uploads verbatim unless we changed them
+      if (recompressed || signingKeys.length) {
+        content = serializeNarinfo(narinfo);
       }
 
       await storage.putNarinfo(req.params.hash, content);
+      uploads.recordNarinfo(req.params.hash);
+
+      // Publish the listing generated from the NAR unless the client sent one
+      const listing = uploads.takeListing(uploadedFilename);
+      if (listing && !(await storage.hasListing(req.params.hash))) {
+        await storage.putListing(req.params.hash, listing);
+      }
       res.sendStatus(200);
     } catch (err) {
       res.sendStatus(500);
@@ -85,17 +198,82 @@ function createCacheRouter(storage, config) {
   });
 
   // ---------------------------------------------------------------------------
-  // GET /nar/:filename  – download a NAR file
+  // HEAD /:hash.ls
   // ---------------------------------------------------------------------------
-  router.get('/nar/:filename', async (req, res) => {
+  router.head('/:hash.ls', async (req, res) => {
     try {
-      const narStream = await storage.getNarStream(req.params.filename);
-      if (narStream === null) {
+      const exists = await storage.hasListing(req.params.hash);
+      res.sendStatus(exists ? 200 : 404);
+    } catch (err) {
+      res.sendStatus(500);
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // GET /:hash.ls  – file listing of a store path's NAR
+  // ---------------------------------------------------------------------------
+  router.get('/:hash.ls', async (req, res) => {
+    try {
+      const content = await storage.getListing(req.params.hash);
+      if (content === null) {
         return res.sendStatus(404);
       }
-      res.type('application/x-nix-nar');
-      narStream.pipe(res);
-      narStream.on('error', () => res.destroy());
+      res.type('application/json');
+      res.send(content);
+    } catch (err) {
+      res.sendStatus(500);
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // PUT /:hash.ls  – upload a listing (Nix's `write-nar-listing=1`)
+  // ---------------------------------------------------------------------------
+  router.put('/:hash.ls', authMiddleware, async (req, res) => {
+    try {
+      const encoding = req.get('Content-Encoding') || 'identity';
+      if (!contentEncodingCompression(encoding)) {
+        return res.status(415).json({
+          error: `Unsupported Content-Encoding "${encoding}" (expected one of: ${Object.keys(CONTENT_ENCODINGS).join(', ')})`,
+        });
+      }
+
+      let content;
+      try {
+        content = await readListing(req, encoding);
+      } catch (err) {
+        return res.status(400).json({ error: `Could not decode listing: ${err.message}` });
+      }
+
+      const problem = validateListing(content);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+
+      await storage.putListing(req.params.hash, content);
+      res.sendStatus(200);
+    } catch (err) {
+      res.sendStatus(500);
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // GET|HEAD /nar/:filename  – download a NAR file
+  // ---------------------------------------------------------------------------
+  router.get('/nar/:filename', async (req, res) => {
+    try {
+      if (config.narRedirect) {
+        const url = await storage.getNarRedirectUrl(req.params.filename);
+        if (url) {
+          // Presigned URLs expire, so the redirect itself must not be cached
+          res.set('Cache-Control', 'no-store');
+          return res.redirect(302, url);
+        }
+        // No single URL to send the client to (a NAR stored in parts): serve it
+      }
+      if (typeof storage.statNar !== 'function') {
+        return await sendNarStream(req, res);
+      }
+      await sendNar(req, res);
     } catch (err) {
       res.sendStatus(500);
     }
@@ -106,55 +284,380 @@ function createCacheRouter(storage, config) {
   // ---------------------------------------------------------------------------
   router.put('/nar/:filename', authMiddleware, async (req, res) => {
     try {
-      await storage.putNarStream(req.params.filename, req);
+      // Hash the NAR while streaming it so the narinfo that follows can be
+      // checked against what was actually stored.
+      const { filename } = req.params;
+      const hashing = createHashingStream();
+      stream.pipeline(req, hashing, () => {});
+
+      // Parse a second copy of the upload into a `.ls` listing
+      const compression = compressionFromFilename(filename);
+      let body = hashing;
+      let listing = null;
+      if (config.generateListings && LISTABLE_COMPRESSIONS.includes(compression)) {
+        body = new stream.PassThrough();
+        const listed = new stream.PassThrough();
+        hashing.pipe(body);
+        hashing.pipe(listed);
+        // `pipe()` does not pass on errors: an aborted upload has to end
+        // both copies, or storing it would wait forever
+        stream.finished(hashing, err => {
+          if (err) for (const copy of [body, listed]) copy.destroy(err);
+        });
+        // A NAR that cannot be listed is still stored, just without a listing
+        listed.on('error', () => {});
+        listing = listNar(listed, compression).catch(() => {
+          hashing.unpipe(listed);
+          listed.resume();
+          return null;
+        });
+      }
+
+      if (config.recompress && compression === 'none') {
+        await putRecompressedNar(filename, body);
+      } else {
+        await storage.putNarStream(filename, body);
+      }
+
+      const uploaded = hashing.result();
+      if (uploaded.digest) uploads.recordNar(filename, uploaded);
+      const generated = await listing;
+      if (generated) uploads.recordListing(filename, JSON.stringify(generated));
+      res.sendStatus(200);
+    } catch (err) {
+      res.sendStatus(500);
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // HEAD /realisations/:id.doi
+  // ---------------------------------------------------------------------------
+  router.head('/realisations/:id.doi', async (req, res) => {
+    try {
+      if (!isRealisationId(req.params.id)) return res.sendStatus(404);
+      const exists = await storage.hasRealisation(req.params.id);
+      res.sendStatus(exists ? 200 : 404);
+    } catch (err) {
+      res.sendStatus(500);
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // GET /realisations/:id.doi
+  // ---------------------------------------------------------------------------
+  router.get('/realisations/:id.doi', async (req, res) => {
+    try {
+      if (!isRealisationId(req.params.id)) return res.sendStatus(404);
+      const content = await storage.getRealisation(req.params.id);
+      if (content === null) {
+        return res.sendStatus(404);
+      }
+      res.type('application/json');
+      res.send(content);
+    } catch (err) {
+      res.sendStatus(500);
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // PUT /realisations/:id.doi  – upload a realisation (optionally re-sign)
+  // ---------------------------------------------------------------------------
+  router.put('/realisations/:id.doi', authMiddleware, express.text({ type: '*/*', limit: '1mb' }), async (req, res) => {
+    try {
+      let content = req.body;
+      if (typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({ error: 'Empty body' });
+      }
+
+      const realisation = parseRealisation(content);
+      if (!realisation) {
+        return res.status(400).json({ error: 'Body is not a JSON object' });
+      }
+      const errors = validateRealisation(realisation);
+      if (!errors.length && realisation.id !== req.params.id) {
+        errors.push(`id: "${realisation.id}" does not match the URL`);
+      }
+      if (errors.length) {
+        return res.status(400).json({ error: errors.join('; ') });
+      }
+
+      if (trustedPublicKeys.length && !hasTrustedRealisationSignature(realisation, trustedPublicKeys)) {
+        return res.status(403).json({
+          error: realisation.signatures.length
+            ? 'signatures: no valid signature from a trusted key'
+            : 'signatures: realisation is not signed',
+        });
+      }
+
+      if (signingKeys.length) {
+        addRealisationSignatures(realisation, signingKeys, { preserveSignatures: config.preserveSignatures });
+        content = serializeRealisation(realisation);
+      }
+
+      await storage.putRealisation(req.params.id, content);
       res.sendStatus(200);
     } catch (err) {
       res.sendStatus(500);
     }
   });
 
+  // ---------------------------------------------------------------------------
+  // HEAD /log/:drv
+  // ---------------------------------------------------------------------------
+  router.head('/log/:drv', async (req, res) => {
+    try {
+      if (!isDrvName(req.params.drv)) return res.sendStatus(404);
+      const exists = await storage.hasLog(req.params.drv);
+      res.sendStatus(exists ? 200 : 404);
+    } catch (err) {
+      res.sendStatus(500);
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // GET /log/:drv  – logs are stored gzipped and sent as-is when accepted
+  // ---------------------------------------------------------------------------
+  router.get('/log/:drv', async (req, res) => {
+    try {
+      if (!isDrvName(req.params.drv)) return res.sendStatus(404);
+      const compressed = await storage.getLog(req.params.drv);
+      if (compressed === null) {
+        return res.sendStatus(404);
+      }
+      res.type('text/plain; charset=utf-8');
+      res.vary('Accept-Encoding');
+      if (req.acceptsEncodings('gzip', 'identity') === 'gzip') {
+        res.set('Content-Encoding', 'gzip');
+        return res.send(compressed);
+      }
+      res.send(await gunzip(compressed));
+    } catch (err) {
+      res.sendStatus(500);
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // PUT /log/:drv  – upload a build log
+  // ---------------------------------------------------------------------------
+  router.put('/log/:drv', authMiddleware, async (req, res) => {
+    try {
+      if (!isDrvName(req.params.drv)) {
+        return res.status(400).json({ error: `Not a derivation name: ${req.params.drv}` });
+      }
+      const encoding = req.get('Content-Encoding') || 'identity';
+      if (!contentEncodingCompression(encoding)) {
+        return res.status(415).json({
+          error: `Unsupported Content-Encoding "${encoding}" (expected one of: ${Object.keys(CONTENT_ENCODINGS).join(', ')})`,
+        });
+      }
+
+      let compressed;
+      try {
+        compressed = await gzipLog(req, encoding);
+      } catch (err) {
+        return res.status(400).json({ error: `Could not decode log: ${err.message}` });
+      }
+
+      await storage.putLog(req.params.drv, compressed);
+      res.sendStatus(200);
+    } catch (err) {
+      res.sendStatus(500);
+    }
+  });
+
+  /**
+   * Send a NAR with `Content-Length`, validators (`ETag`, `Last-Modified`)
+   * and support for conditional and single-range requests, using the
+   * backend's `statNar` and `getNarRange`.
+   */
+  async function sendNar(req, res) {
+    const { filename } = req.params;
+    const stat = await storage.statNar(filename);
+    if (!stat) {
+      return res.sendStatus(404);
+    }
+
+    res.type(narContentType(filename));
+    if (stat.etag) res.set('ETag', stat.etag);
+    if (stat.lastModified) res.set('Last-Modified', stat.lastModified.toUTCString());
+    const rangesSupported = typeof storage.getNarRange === 'function';
+    if (rangesSupported) res.set('Accept-Ranges', 'bytes');
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const range = rangesSupported ? requestedRange(req, stat) : null;
+    if (range === -1) {
+      res.set('Content-Range', `bytes */${stat.size}`);
+      return res.sendStatus(416);
+    }
+
+    let body = null;
+    if (req.method !== 'HEAD') {
+      body = range
+        ? await storage.getNarRange(filename, range)
+        : await storage.getNarStream(filename);
+      if (body === null) {
+        return res.sendStatus(404);
+      }
+    }
+
+    if (range) {
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.set('Content-Length', String(stat.size));
+    }
+
+    if (!body) {
+      return res.end();
+    }
+    // Ends the NAR stream too when the client goes away
+    stream.pipeline(body, res, () => {});
+  }
+
+  /**
+   * Send a NAR from a backend without `statNar`: the whole file, without
+   * length or validators.
+   */
+  async function sendNarStream(req, res) {
+    const { filename } = req.params;
+    if (req.method === 'HEAD') {
+      return res.sendStatus((await storage.hasNar(filename)) ? 200 : 404);
+    }
+    const narStream = await storage.getNarStream(filename);
+    if (narStream === null) {
+      return res.sendStatus(404);
+    }
+    res.type(narContentType(filename));
+    stream.pipeline(narStream, res, () => {});
+  }
+
+  /**
+   * Store an uncompressed NAR upload recompressed with `config.recompress`,
+   * remembering the new name so the narinfo that follows can be rewritten.
+   */
+  async function putRecompressedNar(filename, input) {
+    const recompressed = await recompressToFile(input, config.recompress);
+    try {
+      await storage.putNarStream(recompressed.filename, fs.createReadStream(recompressed.tmpPath));
+    } finally {
+      await recompressed.cleanup();
+    }
+    const { filename: storedAs, compression, size, digest } = recompressed;
+    uploads.recordNar(storedAs, { size, digest });
+    uploads.recordRecompression(filename, { filename: storedAs, compression, size, digest });
+  }
+
   return router;
 }
 
 /**
- * Parse a narinfo text body into an object for signing.
- * @param {string} text
- * @returns {object}
+ * The byte range a request asks for, if it should be honoured.
+ *
+ * Only single ranges are served as 206; multiple ranges and malformed
+ * headers get the whole file. An `If-Range` validator that no longer
+ * matches the NAR also means the whole file is sent.
+ *
+ * @param {express.Request} req
+ * @param {{ size: number, etag?: string, lastModified?: Date }} stat
+ * @returns {{ start: number, end: number }|null|-1} the range (`end`
+ *   inclusive), null for the whole file, or -1 if it cannot be satisfied
  */
-function parseNarinfo(text) {
-  const obj = {};
-  const references = [];
-  for (const line of text.split('\n')) {
-    const idx = line.indexOf(':');
-    if (idx === -1) continue;
-    const key = line.slice(0, idx).trim();
-    const value = line.slice(idx + 1).trim();
-    if (key === 'StorePath') obj.storePath = value;
-    else if (key === 'NarHash') obj.narHash = value;
-    else if (key === 'NarSize') obj.narSize = parseInt(value, 10);
-    else if (key === 'References') {
-      references.push(...value.split(/\s+/).filter(Boolean));
+function requestedRange(req, stat) {
+  if (!req.get('Range')) return null;
+
+  const ifRange = req.get('If-Range');
+  if (ifRange) {
+    let matches;
+    if (ifRange.startsWith('"')) {
+      matches = ifRange === stat.etag;
+    } else if (ifRange.startsWith('W/')) {
+      matches = false; // weak validators never match If-Range
+    } else {
+      matches = Boolean(stat.lastModified) && Date.parse(ifRange) === Math.floor(stat.lastModified.getTime() / 1000) * 1000;
     }
+    if (!matches) return null;
   }
-  obj.references = references;
-  return obj;
+
+  const ranges = req.range(stat.size, { combine: true });
+  if (ranges === -1) return -1;
+  if (ranges === -2 || ranges === undefined || ranges.type !== 'bytes' || ranges.length !== 1) return null;
+  return { start: ranges[0].start, end: ranges[0].end };
 }
 
 /**
- * Add (or replace) our signature in a narinfo text.
- * @param {string} content      - raw narinfo text
- * @param {string} signingKey   - "<keyname>:<base64-private-key>"
- * @returns {string}
+ * Find the parts of a narinfo's closure that the cache does not have.
+ *
+ * Every store path in `References` (other than the path itself) must have a
+ * narinfo, either in storage or accepted earlier in this upload session, and
+ * the NAR named by `URL` must exist.
+ *
+ * @param {object} narinfo         - parsed narinfo
+ * @param {UploadTracker} uploads
+ * @param {object} storage         - storage backend instance
+ * @returns {Promise<{ narinfo: string[], nar: string[] }>} missing store paths and NAR URLs
  */
-function addSignature(content, signingKey) {
-  const narinfo = parseNarinfo(content);
-  const sig = signNarinfo(narinfo, signingKey);
-
-  // Remove any existing Sig lines, then append ours
-  const lines = content.split('\n').filter(l => !l.startsWith('Sig:'));
-  // Ensure no trailing blank line before we add ours
-  const trimmed = lines.join('\n').trimEnd();
-  return `${trimmed}\nSig: ${sig}\n`;
+async function findMissingClosure(narinfo, uploads, storage) {
+  const { storePath, references } = fingerprintFields(narinfo);
+
+  const missingNarinfo = [];
+  await Promise.all(references.filter(ref => ref !== storePath).map(async ref => {
+    const hash = storePathHash(ref);
+    if (uploads.hasNarinfo(hash) || await storage.hasNarinfo(hash)) return;
+    missingNarinfo.push(ref);
+  }));
+
+  const missingNar = [];
+  const filename = narFilename(narinfo);
+  if (!uploads.getNar(filename) && !(await storage.hasNar(filename))) {
+    missingNar.push(narinfo.url);
+  }
+
+  return { narinfo: missingNarinfo.sort(), nar: missingNar };
+}
+
+/**
+ * Verify that a narinfo describes a NAR that exists and is intact.
+ *
+ * The compression must match the extension of the `URL:` file, and
+ * `FileHash`/`FileSize` (plus `NarHash`/`NarSize` for uncompressed NARs) must
+ * match the stored NAR. NARs uploaded to this server process were hashed
+ * while streaming. Any other NAR is only checked to exist and, when the
+ * backend has `statNar`, to have the right size; with `rehash` it is read
+ * back from storage and hashed instead.
+ *
+ * @param {object} narinfo         - parsed, validated narinfo
+ * @param {UploadTracker} uploads
+ * @param {object} storage         - storage backend instance
+ * @param {object} [options]
+ * @param {boolean} [options.rehash=false] - hash NARs not uploaded to this process
+ * @returns {Promise<string|null>} description of the offending field, or null
+ */
+async function verifyNarFile(narinfo, uploads, storage, { rehash = false } = {}) {
+  const compressionProblem = checkNarCompression(narinfo);
+  if (compressionProblem) return compressionProblem;
+
+  const filename = narFilename(narinfo);
+  const missing = `URL: NAR ${narinfo.url} has not been uploaded`;
+  const uploaded = uploads.getNar(filename);
+  if (uploaded) return checkNarFile(narinfo, uploaded);
+
+  if (rehash) {
+    const narStream = await storage.getNarStream(filename);
+    if (!narStream) return missing;
+    const stored = await hashStream(narStream);
+    uploads.recordNar(filename, stored);
+    return checkNarFile(narinfo, stored);
+  }
+
+  if (typeof storage.statNar !== 'function') {
+    return (await storage.hasNar(filename)) ? null : missing;
+  }
+  const stat = await storage.statNar(filename);
+  return stat ? checkNarFile(narinfo, { size: stat.size }) : missing;
 }
 
 module.exports = { createCacheRouter };
@@ -1,6 +1,8 @@
 'use strict';
 
 const crypto = require('crypto');
+const { fingerprintFields } = require('./narinfo');
+const { realisationFingerprint } = require('./realisation');
 
 /**
  * Parse a Nix ed25519 key string in the format "<keyname>:<base64-encoded-key>".
@@ -19,6 +21,10 @@ function parseKey(keyString) {
 
 /**
  * Build the fingerprint string that Nix signs for a narinfo entry.
+ *
+ * Use `fingerprintFields` from `./narinfo` to build the input from a parsed
+ * narinfo file (which stores references as basenames).
+ *
  * @param {object} narinfo
  * @param {string} narinfo.storePath
  * @param {string} narinfo.narHash   - e.g. "sha256:abc..."
@@ -32,16 +38,16 @@ function fingerprint(narinfo) {
 }
 
 /**
- * Sign a narinfo fingerprint with an ed25519 private key.
+ * Sign a message with an ed25519 private key.
  *
  * Nix keys are 64-byte ed25519 seed+pubkey pairs (libsodium format).
  * Node's crypto module expects a PKCS#8 DER key, so we convert it.
  *
- * @param {object} narinfo
+ * @param {string} message
  * @param {string} privateKeyString - "<keyname>:<base64-encoded-64-byte-key>"
  * @returns {string} - signature in the form "<keyname>:<base64-signature>"
  */
-function signNarinfo(narinfo, privateKeyString) {
+function signMessage(message, privateKeyString) {
   const { name, key } = parseKey(privateKeyString);
 
   // Nix stores 64-byte (seed || public-key) in libsodium format.
@@ -54,20 +60,19 @@ function signNarinfo(narinfo, privateKeyString) {
   const der = Buffer.concat([oid, seed]);
 
   const privateKey = crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' });
-  const msg = Buffer.from(fingerprint(narinfo));
-  const sig = crypto.sign(null, msg, privateKey);
+  const sig = crypto.sign(null, Buffer.from(message), privateKey);
   return `${name}:${sig.toString('base64')}`;
 }
 
 /**
- * Verify a narinfo signature using an ed25519 public key.
+ * Verify a signature over a message using an ed25519 public key.
  *
- * @param {object} narinfo
- * @param {string} sigString      - "<keyname>:<base64-signature>"
+ * @param {string} message
+ * @param {string} sigString       - "<keyname>:<base64-signature>"
  * @param {string} publicKeyString - "<keyname>:<base64-encoded-32-byte-pubkey>"
  * @returns {boolean}
  */
-function verifyNarinfo(narinfo, sigString, publicKeyString) {
+function verifyMessage(message, sigString, publicKeyString) {
   const { key: pubkeyBytes } = parseKey(publicKeyString);
 
   // Build SubjectPublicKeyInfo DER for ed25519 (32 bytes)
@@ -76,8 +81,140 @@ function verifyNarinfo(narinfo, sigString, publicKeyString) {
 
   const publicKey = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
   const { key: sigBytes } = parseKey(sigString);
-  const msg = Buffer.from(fingerprint(narinfo));
-  return crypto.verify(null, msg, publicKey, sigBytes);
+  return crypto.verify(null, Buffer.from(message), publicKey, sigBytes);
+}
+
+/**
+ * Sign a narinfo fingerprint with an ed25519 private key.
+ *
+ * @param {object} narinfo
+ * @param {string} privateKeyString - "<keyname>:<base64-encoded-64-byte-key>"
+ * @returns {string} - signature in the form "<keyname>:<base64-signature>"
+ */
+function signNarinfo(narinfo, privateKeyString) {
+  return signMessage(fingerprint(narinfo), privateKeyString);
+}
+
+/**
+ * Verify a narinfo signature using an ed25519 public key.
+ *
+ * @param {object} narinfo
+ * @param {string} sigString      - "<keyname>:<base64-signature>"
+ * @param {string} publicKeyString - "<keyname>:<base64-encoded-32-byte-pubkey>"
+ * @returns {boolean}
+ */
+function verifyNarinfo(narinfo, sigString, publicKeyString) {
+  return verifyMessage(fingerprint(narinfo), sigString, publicKeyString);
+}
+
+/**
+ * Return the name part of a Nix key or signature ("<keyname>:<base64>").
+ * @param {string} keyString
+ * @returns {string}
+ */
+function keyName(keyString) {
+  return parseKey(keyString).name;
+}
+
+/**
+ * Collect the signing keys configured for the server.
+ *
+ * `signingKeys` lists every active key (e.g. the current and the next key
+ * during a rotation); the single `signingKey` is still honoured and comes
+ * after them. Duplicates are dropped.
+ *
+ * @param {object} config
+ * @returns {string[]}
+ */
+function configuredSigningKeys(config) {
+  const keys = [...(config.signingKeys || []), config.signingKey].filter(Boolean);
+  return [...new Set(keys)];
+}
+
+/**
+ * Sign a parsed narinfo with each of `signingKeys`.
+ *
+ * A new signature replaces any existing signature made under the same key
+ * name. Signatures from other keys (e.g. the upstream cache, or our previous
+ * key) are dropped unless `preserveSignatures` is set.
+ *
+ * @param {object} narinfo         - parsed narinfo (modified in place)
+ * @param {string[]} signingKeys   - "<keyname>:<base64-private-key>" strings
+ * @param {object} [options]
+ * @param {boolean} [options.preserveSignatures=false]
+ */
+function addSignatures(narinfo, signingKeys, { preserveSignatures = false } = {}) {
+  const message = fingerprint(fingerprintFields(narinfo));
+  narinfo.sigs = mergeSignatures(narinfo.sigs, message, signingKeys, preserveSignatures);
+}
+
+/**
+ * Sign a realisation with each of `signingKeys`, with the same replacement
+ * rules as `addSignatures`.
+ *
+ * @param {object} realisation     - parsed realisation (modified in place)
+ * @param {string[]} signingKeys
+ * @param {object} [options]
+ * @param {boolean} [options.preserveSignatures=false]
+ */
+function addRealisationSignatures(realisation, signingKeys, { preserveSignatures = false } = {}) {
+  const message = realisationFingerprint(realisation);
+  realisation.signatures = mergeSignatures(realisation.signatures, message, signingKeys, preserveSignatures);
+}
+
+function mergeSignatures(existing, message, signingKeys, preserveSignatures) {
+  const ours = signingKeys.map(key => signMessage(message, key));
+  const ourNames = new Set(ours.map(keyName));
+  const kept = preserveSignatures
+    ? (existing || []).filter(sig => !ourNames.has(keyName(sig)))
+    : [];
+  return [...kept, ...ours];
+}
+
+/**
+ * Check whether a parsed narinfo carries a valid signature from any of
+ * `trustedPublicKeys`, the way Nix checks `trusted-public-keys`.
+ *
+ * Signatures are matched to keys by name; malformed signatures and
+ * signatures from unknown keys are ignored.
+ *
+ * @param {object} narinfo               - parsed narinfo
+ * @param {string[]} trustedPublicKeys   - "<keyname>:<base64-public-key>" strings
+ * @returns {boolean}
+ */
+function hasTrustedSignature(narinfo, trustedPublicKeys) {
+  return anyTrusted(fingerprint(fingerprintFields(narinfo)), narinfo.sigs, trustedPublicKeys);
+}
+
+/**
+ * Check whether a parsed realisation carries a valid signature from any of
+ * `trustedPublicKeys`.
+ * @param {object} realisation
+ * @param {string[]} trustedPublicKeys
+ * @returns {boolean}
+ */
+function hasTrustedRealisationSignature(realisation, trustedPublicKeys) {
+  return anyTrusted(realisationFingerprint(realisation), realisation.signatures, trustedPublicKeys);
+}
+
+function anyTrusted(message, sigs, trustedPublicKeys) {
+  return (sigs || []).some(sig => trustedPublicKeys.some(publicKey => {
+    try {
+      return keyName(sig) === keyName(publicKey) && verifyMessage(message, sig, publicKey);
+    } catch {
+      return false;
+    }
+  }));
 }
 
-module.exports = { fingerprint, signNarinfo, verifyNarinfo };
+module.exports = {
+  fingerprint,
+  signNarinfo,
+  verifyNarinfo,
+  keyName,
+  configuredSigningKeys,
+  addSignatures,
+  addRealisationSignatures,
+  hasTrustedSignature,
+  hasTrustedRealisationSignature,
+};
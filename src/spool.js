@@ -0,0 +1,82 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+
+// Bodies up to this size stay in memory
+const DEFAULT_MEMORY_LIMIT = 64 * 1024 * 1024;
+
+/**
+ * Read a stream to the end so it can be sent with a Content-Length, and
+ * resent if a request is retried.
+ *
+ * The bytes are kept in memory up to `memoryLimit`; beyond that they go to a
+ * temporary file instead. Either way the result can hand out the whole body
+ * or a slice of it as many times as needed. The caller must call
+ * `cleanup()` once done with it.
+ *
+ * @param {import('stream').Readable} input
+ * @param {object} [options]
+ * @param {number} [options.memoryLimit=64 MiB]
+ * @returns {Promise<{ size: number, sha256: string, onDisk: boolean, body: (start?: number, end?: number) => Buffer|fs.ReadStream, cleanup: () => Promise<void> }>}
+ */
+async function spoolStream(input, { memoryLimit = DEFAULT_MEMORY_LIMIT } = {}) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  let chunks = [];
+  let tmpDir = null;
+  let tmpPath = null;
+  let file = null;
+  const cleanup = () => (tmpDir ? fsp.rm(tmpDir, { recursive: true, force: true }) : Promise.resolve());
+
+  try {
+    for await (const data of input) {
+      const chunk = Buffer.from(data);
+      hash.update(chunk);
+      size += chunk.length;
+      if (!file) {
+        chunks.push(chunk);
+        if (size <= memoryLimit) continue;
+        tmpDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'static-nix-cache-spool-'));
+        tmpPath = path.join(tmpDir, 'body');
+        file = fs.createWriteStream(tmpPath);
+        for (const pending of chunks) file.write(pending);
+        chunks = null;
+        continue;
+      }
+      if (!file.write(chunk)) await once(file, 'drain');
+    }
+    if (file) {
+      file.end();
+      await finished(file);
+    }
+  } catch (err) {
+    if (file) file.destroy();
+    await cleanup();
+    throw err;
+  }
+
+  const buffer = file ? null : Buffer.concat(chunks);
+  return {
+    size,
+    sha256: hash.digest('hex'),
+    onDisk: Boolean(file),
+    /**
+     * @param {number} [start=0]
+     * @param {number} [end=size] - exclusive
+     */
+    body(start = 0, end = size) {
+      if (buffer) return buffer.subarray(start, end);
+      if (end <= start) return Buffer.alloc(0);
+      return fs.createReadStream(tmpPath, { start, end: end - 1 });
+    },
+    cleanup,
+  };
+}
+
+module.exports = { spoolStream };
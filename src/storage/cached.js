@@ -0,0 +1,382 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+const DEFAULT_MAX_ENTRIES = 10000;
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+const DEFAULT_NEGATIVE_TTL_MS = 60 * 1000;
+
+// Backend methods passed straight through; the ones that pull metadata in
+// from elsewhere also drop every cached answer.
+const PASS_THROUGH = [
+  'getNarRedirectUrl', 'narDownloadUrl', 'listNarinfo', 'listLogs', 'listChunkedNars', 'pruneAssets', 'flush',
+];
+const INVALIDATING = ['fetchAllNarinfo', 'fetchAllRealisations', 'fetchAllListings'];
+
+/**
+ * A Map that forgets its least recently used entries beyond `maxEntries`
+ * or once their sizes add up to more than `maxBytes`. Values larger than
+ * `maxBytes` on their own are not kept at all.
+ */
+class LruMap {
+  constructor(maxEntries, maxBytes = Infinity) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this._map = new Map(); // key → { value, size }
+    this._bytes = 0;
+  }
+
+  get(key) {
+    const entry = this._map.get(key);
+    if (!entry) return undefined;
+    this._map.delete(key);
+    this._map.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, size = 0) {
+    this.delete(key);
+    if (size > this.maxBytes) return;
+    this._map.set(key, { value, size });
+    this._bytes += size;
+    while (this._map.size > this.maxEntries || this._bytes > this.maxBytes) {
+      this.delete(this._map.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    const entry = this._map.get(key);
+    if (!entry) return;
+    this._bytes -= entry.size;
+    this._map.delete(key);
+  }
+
+  clear() {
+    this._map.clear();
+    this._bytes = 0;
+  }
+}
+
+/**
+ * Read-through cache in front of another storage backend.
+ *
+ * Metadata lookups (narinfo, realisations, listings, logs, NAR existence and
+ * stats) are remembered in an in-memory LRU, bounded both by entries and by
+ * the total size of the cached contents. Answers that something does not
+ * exist expire after `negativeTtlMs`, so uploads from other writers show up;
+ * everything else stays until evicted or overwritten through this instance.
+ *
+ * With `diskPath` set, downloaded NARs are also kept on local disk, up to
+ * `diskMaxBytes` in total, least recently used first out. NARs are
+ * content-addressed, so a cached copy only goes stale when it is re-uploaded
+ * through this instance, which drops it.
+ */
+class CachedStorage {
+  /**
+   * @param {object} backend - storage backend instance to cache
+   * @param {object} [options]
+   * @param {number} [options.maxEntries=10000]   - in-memory entries
+   * @param {number} [options.maxBytes=64 MiB]    - total size of in-memory contents
+   * @param {number} [options.negativeTtlMs=60000] - how long "not found" is remembered
+   * @param {string} [options.diskPath]           - directory for cached NARs
+   * @param {number} [options.diskMaxBytes=1 GiB] - size cap of the disk cache
+   */
+  constructor(backend, {
+    maxEntries = DEFAULT_MAX_ENTRIES,
+    maxBytes = DEFAULT_MAX_BYTES,
+    negativeTtlMs = DEFAULT_NEGATIVE_TTL_MS,
+    diskPath = '',
+    diskMaxBytes = 1024 * 1024 * 1024,
+  } = {}) {
+    this.backend = backend;
+    this.negativeTtlMs = negativeTtlMs;
+    this.diskPath = diskPath;
+    this.diskMaxBytes = diskMaxBytes;
+    this._memory = new LruMap(maxEntries, maxBytes);
+    this._disk = new Map(); // disk file name → size, least recently used first
+    this._diskBytes = 0;
+    this._diskWrites = new Set(); // promises of NARs being written to disk
+
+    for (const name of PASS_THROUGH) {
+      if (typeof backend[name] === 'function') this[name] = backend[name].bind(backend);
+    }
+    for (const name of INVALIDATING) {
+      if (typeof backend[name] !== 'function') continue;
+      this[name] = async (...args) => {
+        const result = await backend[name](...args);
+        this.clear();
+        return result;
+      };
+    }
+    // Only offer the optional NAR methods the backend implements
+    if (typeof backend.statNar !== 'function') this.statNar = undefined;
+    if (typeof backend.getNarRange !== 'function') this.getNarRange = undefined;
+
+    if (diskPath) this._loadDiskCache();
+  }
+
+  /** Forget every cached metadata answer (NARs on disk are kept). */
+  clear() {
+    this._memory.clear();
+  }
+
+  async _get(kind, key, load) {
+    const cacheKey = `${kind}:${key}`;
+    const hit = this._memory.get(cacheKey);
+    if (hit && hit.expiresAt > Date.now()) return hit.value;
+    const value = await load();
+    this._remember(kind, key, value);
+    return value;
+  }
+
+  async _has(kind, key, check) {
+    const hit = this._memory.get(`${kind}:${key}`);
+    if (hit && hit.expiresAt > Date.now()) return hit.value !== null;
+    const exists = await check();
+    if (!exists) this._remember(kind, key, null);
+    return exists;
+  }
+
+  _remember(kind, key, value) {
+    this._memory.set(`${kind}:${key}`, {
+      value,
+      expiresAt: value === null ? Date.now() + this.negativeTtlMs : Infinity,
+    }, contentSize(value));
+  }
+
+  // ── narinfo ────────────────────────────────────────────────────────────────
+
+  async hasNarinfo(hash) {
+    return this._has('narinfo', hash, () => this.backend.hasNarinfo(hash));
+  }
+
+  async getNarinfo(hash) {
+    return this._get('narinfo', hash, () => this.backend.getNarinfo(hash));
+  }
+
+  async putNarinfo(hash, content) {
+    await this.backend.putNarinfo(hash, content);
+    this._remember('narinfo', hash, content);
+  }
+
+  // ── NARs ──────────────────────────────────────────────────────────────────
+
+  async hasNar(filename) {
+    if (this._disk.has(diskName(filename))) return true;
+    const exists = await this._get('nar', filename, async () => (await this.backend.hasNar(filename)) || null);
+    return exists !== null;
+  }
+
+  async statNar(filename) {
+    return this._get('nar-stat', filename, () => this.backend.statNar(filename));
+  }
+
+  async getNarStream(filename) {
+    const cached = this._openCachedNar(filename);
+    if (cached) return cached;
+
+    const hit = this._memory.get(`nar:${filename}`);
+    if (hit && hit.value === null && hit.expiresAt > Date.now()) return null;
+
+    const source = await this.backend.getNarStream(filename);
+    if (!source) {
+      this._remember('nar', filename, null);
+      return null;
+    }
+    return this.diskPath ? this._cacheToDisk(filename, source) : source;
+  }
+
+  async getNarRange(filename, range) {
+    const name = diskName(filename);
+    if (this._disk.has(name)) {
+      this._touchDisk(name);
+      return fs.createReadStream(path.join(this.diskPath, name), range);
+    }
+    return this.backend.getNarRange(filename, range);
+  }
+
+  async putNarStream(filename, readableStream) {
+    await this.backend.putNarStream(filename, readableStream);
+    this._memory.delete(`nar-stat:${filename}`);
+    this._remember('nar', filename, true);
+    await this._dropDisk(diskName(filename));
+  }
+
+  // ── realisations, listings and logs ───────────────────────────────────────
+
+  async hasRealisation(id) {
+    return this._has('realisation', id, () => this.backend.hasRealisation(id));
+  }
+
+  async getRealisation(id) {
+    return this._get('realisation', id, () => this.backend.getRealisation(id));
+  }
+
+  async putRealisation(id, content) {
+    await this.backend.putRealisation(id, content);
+    this._remember('realisation', id, content);
+  }
+
+  async hasListing(hash) {
+    return this._has('listing', hash, () => this.backend.hasListing(hash));
+  }
+
+  async getListing(hash) {
+    return this._get('listing', hash, () => this.backend.getListing(hash));
+  }
+
+  async putListing(hash, content) {
+    await this.backend.putListing(hash, content);
+    this._remember('listing', hash, content);
+  }
+
+  async hasLog(drv) {
+    return this._has('log', drv, () => this.backend.hasLog(drv));
+  }
+
+  async getLog(drv) {
+    return this._get('log', drv, () => this.backend.getLog(drv));
+  }
+
+  async putLog(drv, compressed) {
+    await this.backend.putLog(drv, compressed);
+    this._remember('log', drv, compressed);
+  }
+
+  // ── disk cache ────────────────────────────────────────────────────────────
+
+  /**
+   * Wait until every NAR currently being written to the disk cache has been
+   * added to it or discarded.
+   * @returns {Promise<void>}
+   */
+  async whenCached() {
+    await Promise.all(this._diskWrites);
+  }
+
+  /**
+   * Pick up NARs cached by a previous run, oldest access first, and remove
+   * partial downloads it left behind.
+   */
+  _loadDiskCache() {
+    fs.mkdirSync(this.diskPath, { recursive: true });
+    const files = [];
+    for (const name of fs.readdirSync(this.diskPath)) {
+      const filePath = path.join(this.diskPath, name);
+      if (name.endsWith('.tmp')) {
+        fs.rmSync(filePath, { force: true });
+        continue;
+      }
+      const { size, atimeMs } = fs.statSync(filePath);
+      files.push({ name, size, atimeMs });
+    }
+    files.sort((a, b) => a.atimeMs - b.atimeMs);
+    for (const { name, size } of files) {
+      this._disk.set(name, size);
+      this._diskBytes += size;
+    }
+  }
+
+  _openCachedNar(filename) {
+    if (!this.diskPath) return null;
+    const name = diskName(filename);
+    if (!this._disk.has(name)) return null;
+    this._touchDisk(name);
+    return fs.createReadStream(path.join(this.diskPath, name));
+  }
+
+  _touchDisk(name) {
+    const size = this._disk.get(name);
+    this._disk.delete(name);
+    this._disk.set(name, size);
+  }
+
+  async _dropDisk(name) {
+    if (!this._disk.has(name)) return;
+    this._diskBytes -= this._disk.get(name);
+    this._disk.delete(name);
+    await fsp.rm(path.join(this.diskPath, name), { force: true });
+  }
+
+  /**
+   * Return a stream of `source` that also writes it to the disk cache. The
+   * copy is only kept once the whole NAR has been read. Until the returned
+   * stream is closed, it is read at its consumer's pace; once it is closed
+   * or fails (the client went away), the rest of the NAR is read into the
+   * cache regardless.
+   */
+  _cacheToDisk(filename, source) {
+    const name = diskName(filename);
+    const finalPath = path.join(this.diskPath, name);
+    const tmpPath = `${finalPath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    const file = fs.createWriteStream(tmpPath);
+    const output = new PassThrough();
+
+    let settle;
+    const written = new Promise(resolve => { settle = resolve; });
+    this._diskWrites.add(written);
+    written.then(() => this._diskWrites.delete(written));
+
+    const discard = () => fsp.rm(tmpPath, { force: true }).catch(() => {}).then(settle);
+    source.on('error', err => {
+      file.destroy();
+      discard();
+      output.destroy(err);
+    });
+    file.on('error', () => {
+      // Caching is best-effort: keep serving the client, if still there
+      source.unpipe(file);
+      if (output.destroyed) source.destroy();
+      discard();
+    });
+    output.on('error', () => {});
+    output.on('close', () => {
+      // Stop waiting for a consumer that is gone
+      source.unpipe(output);
+      if (file.destroyed && !file.writableFinished) source.destroy();
+    });
+    file.on('finish', () => {
+      this._addToDisk(name, tmpPath, finalPath, file.bytesWritten).catch(err => {
+        console.warn(`[read-cache] Could not cache ${filename} on disk: ${err.message}`);
+      }).then(settle);
+    });
+
+    source.pipe(file);
+    source.pipe(output);
+    return output;
+  }
+
+  async _addToDisk(name, tmpPath, finalPath, size) {
+    if (size > this.diskMaxBytes) {
+      await fsp.rm(tmpPath, { force: true });
+      return;
+    }
+    await fsp.rename(tmpPath, finalPath);
+    if (this._disk.has(name)) this._diskBytes -= this._disk.get(name);
+    this._disk.set(name, size);
+    this._diskBytes += size;
+
+    for (const [oldest] of this._disk) {
+      if (this._diskBytes <= this.diskMaxBytes) break;
+      await this._dropDisk(oldest);
+    }
+  }
+}
+
+// Size of a cached value for the memory cap; stats and flags count as nothing
+function contentSize(value) {
+  if (typeof value === 'string') return Buffer.byteLength(value);
+  if (Buffer.isBuffer(value)) return value.length;
+  return 0;
+}
+
+// NAR filenames come from request URLs; never use them as paths directly
+function diskName(filename) {
+  return crypto.createHash('sha256').update(filename).digest('hex');
+}
+
+module.exports = CachedStorage;
@@ -1,13 +1,29 @@
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
 const fsp = require('fs/promises');
 const path = require('path');
 const stream = require('stream');
+const zlib = require('zlib');
 const { promisify } = require('util');
+const { parseNarinfo, narFilename } = require('../narinfo');
+const { parseRealisation } = require('../realisation');
+const { GitHubClient, isAlreadyExists } = require('../github-client');
+const { GitBranchStore } = require('../git-branch-store');
+const { spoolStream } = require('../spool');
 
 const pipeline = promisify(stream.pipeline);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_ASSET_INDEX_REFRESH_SECONDS = 30;
+// Release assets must be under 2 GiB; larger NARs are uploaded in parts
+const DEFAULT_PART_SIZE = 2000 * 1024 * 1024;
+// Nix's base-32 alphabet, which NAR file hashes are written in
+const SHARD_PREFIX_CHAR = '[0-9a-df-np-sv-z]';
+// Generations of the narinfo index tried before giving up on writing it
+const MAX_INDEX_ATTEMPTS = 5;
 
 /**
  * GitHub Releases storage backend.
@@ -17,51 +33,144 @@ const MS_PER_DAY = 24 * 60 * 60 * 1000;
  *
  * Layout:
  *   GitHub Release assets:  <filename>        (NAR files)
+ *                           <filename>.partNNN, <filename>.parts.json
+ *                                             (NAR files over `partSize`)
+ *                           <hash>.narinfo    (copies of narinfo)
+ *                           <sanitized-id>.doi (copies of realisations)
+ *                           <hash>.ls         (copies of NAR listings)
+ *                           <drv>             (build logs, uncompressed)
  *   Local filesystem:       <localPath>/narinfo/<hash>.narinfo
+ *                           <localPath>/realisations/<id>.doi
+ *                           <localPath>/listings/<hash>.ls
+ *                           <localPath>/log/<drv>.gz
+ *
+ * Release assets are looked up in an index of the whole release, listed once
+ * and kept up to date by this instance's own uploads and deletions. A lookup
+ * that misses lists the release again, but at most once every
+ * `assetIndexRefreshSeconds`, so assets uploaded by other jobs show up after
+ * that long.
+ *
+ * With `shardPrefixLength` set, NARs (and their parts) are spread over
+ * several releases by the first characters of their filename:
+ * `<releaseTag>-<prefix>`, e.g. `nix-cache-0a`. Metadata assets stay on the
+ * `releaseTag` release, as do NARs whose name does not start with a base-32
+ * prefix. NARs uploaded before sharding was enabled are still found there.
+ *
+ * With `metadataBranch` set, narinfo are committed to that branch of the
+ * repository (as `<hash>.narinfo`, in batches, see GitBranchStore) instead
+ * of being uploaded as release assets one by one. Call `flush()` before
+ * exiting to commit the last batch.
+ *
+ * With `narinfoIndex` set, narinfo are instead kept in one gzipped index
+ * asset holding all of them, which `flush()` rewrites with the narinfo
+ * stored since (see "narinfo index" below).
  */
 class GitHubReleasesStorage {
-  constructor({ token, owner, repo, releaseTag, localPath }) {
+  constructor({
+    token,
+    owner,
+    repo,
+    releaseTag,
+    localPath,
+    assetIndexRefreshSeconds = DEFAULT_ASSET_INDEX_REFRESH_SECONDS,
+    maxRetries,
+    uploadMemoryLimit,
+    partSize = DEFAULT_PART_SIZE,
+    shardPrefixLength = 0,
+    metadataBranch = '',
+    metadataBatchSize,
+    metadataFlushSeconds,
+    narinfoIndex = false,
+    apiUrl = 'https://api.github.com',
+    uploadsUrl = 'https://uploads.github.com',
+    client,
+  }) {
     this.token = token;
     this.owner = owner;
     this.repo = repo;
     this.releaseTag = releaseTag;
     this.localPath = localPath;
-    this._releaseId = null;
+    this.apiUrl = apiUrl;
+    this.uploadsUrl = uploadsUrl;
+    this.client = client || new GitHubClient({ token, maxRetries });
+    this.uploadMemoryLimit = uploadMemoryLimit;
+    this.partSize = partSize;
+    this.shardPrefixLength = shardPrefixLength;
+    this.assetIndexRefreshMs = assetIndexRefreshSeconds * 1000;
+    this._releases = new Map(); // tag → release state, see _release()
+    this._partsManifests = new Map(); // manifest asset id → parsed manifest
+    this.metadataBranch = metadataBranch
+      ? new GitBranchStore({
+        client: this.client,
+        apiUrl,
+        owner,
+        repo,
+        branch: metadataBranch,
+        batchSize: metadataBatchSize,
+        flushSeconds: metadataFlushSeconds,
+      })
+      : null;
+    this.narinfoIndex = narinfoIndex;
+    this._indexPending = new Set(); // narinfo hashes stored since the index was last written
 
-    // Ensure local narinfo directory exists
+    // Ensure local metadata directories exist
     fs.mkdirSync(path.join(this.localPath, 'narinfo'), { recursive: true });
+    fs.mkdirSync(path.join(this.localPath, 'realisations'), { recursive: true });
+    fs.mkdirSync(path.join(this.localPath, 'listings'), { recursive: true });
+    fs.mkdirSync(path.join(this.localPath, 'log'), { recursive: true });
+  }
+
+  /**
+   * What this instance knows about the release tagged `tag`: its ID, and the
+   * asset index (asset name → asset, from the last complete listing).
+   * @param {string} tag
+   */
+  _release(tag) {
+    let release = this._releases.get(tag);
+    if (!release) {
+      release = { id: null, assets: null, listedAt: 0, listing: null };
+      this._releases.set(tag, release);
+    }
+    return release;
   }
 
   /**
    * Get or create the GitHub Release and return its ID.
+   * @param {string} [tag=this.releaseTag]
+   * @param {object} [options]
+   * @param {boolean} [options.create=true] - false to return null instead of
+   *   creating a release that does not exist
+   * @returns {Promise<number|null>}
    */
-  async _getReleaseId() {
-    if (this._releaseId) return this._releaseId;
+  async _getReleaseId(tag = this.releaseTag, { create = true } = {}) {
+    const state = this._release(tag);
+    if (state.id) return state.id;
 
     // Try to get existing release by tag
-    const getUrl = `https://api.github.com/repos/${this.owner}/${this.repo}/releases/tags/${encodeURIComponent(this.releaseTag)}`;
-    console.log(`[github-releases] Looking up release by tag: ${this.releaseTag}`);
-    const getResp = await fetch(getUrl, {
+    const getUrl = `${this.apiUrl}/repos/${this.owner}/${this.repo}/releases/tags/${encodeURIComponent(tag)}`;
+    console.log(`[github-releases] Looking up release by tag: ${tag}`);
+    const getResp = await this.client.request(getUrl, {
       headers: this._headers(),
     });
 
     if (getResp.ok) {
       const release = await getResp.json();
-      this._releaseId = release.id;
-      console.log(`[github-releases] Found existing release id=${this._releaseId}`);
-      return this._releaseId;
+      state.id = release.id;
+      console.log(`[github-releases] Found existing release id=${state.id}`);
+      return state.id;
     }
 
+    if (!create) return null;
     console.log(`[github-releases] Release not found (${getResp.status}), creating new release`);
 
     // Create release if it doesn't exist
-    const createUrl = `https://api.github.com/repos/${this.owner}/${this.repo}/releases`;
-    const createResp = await fetch(createUrl, {
+    const createUrl = `${this.apiUrl}/repos/${this.owner}/${this.repo}/releases`;
+    const createResp = await this.client.request(createUrl, {
       method: 'POST',
       headers: { ...this._headers(), 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        tag_name: this.releaseTag,
-        name: `Nix Binary Cache (${this.releaseTag})`,
+        tag_name: tag,
+        name: `Nix Binary Cache (${tag})`,
         body: 'Nix binary cache NAR files managed by static-nix-cache.',
         draft: false,
         prerelease: false,
@@ -75,18 +184,13 @@ class GitHubReleasesStorage {
     }
 
     const release = await createResp.json();
-    this._releaseId = release.id;
-    console.log(`[github-releases] Created release id=${this._releaseId}`);
-    return this._releaseId;
+    state.id = release.id;
+    console.log(`[github-releases] Created release id=${state.id}`);
+    return state.id;
   }
 
   _headers() {
-    return {
-      Authorization: `token ${this.token}`,
-      Accept: 'application/vnd.github.v3+json',
-      'User-Agent': 'static-nix-cache',
-      'X-GitHub-Api-Version': '2022-11-28',
-    };
+    return this.client.headers();
   }
 
   // ── narinfo (local filesystem) ──────────────────────────────────────────────
@@ -122,60 +226,315 @@ class GitHubReleasesStorage {
       'utf8'
     );
 
-    // Also persist to GitHub Releases so other jobs (e.g. matrix builds) and
-    // future static site generations can discover all narinfo across runs.
-    const filename = `${hash}.narinfo`;
-    const releaseId = await this._getReleaseId();
-    const body = Buffer.from(content, 'utf8');
+    // Also persist to GitHub (the metadata branch or a release asset) so
+    // other jobs (e.g. matrix builds) and future static site generations can
+    // discover all narinfo across runs.
+    if (this.narinfoIndex) this._indexPending.add(hash);
+    if (this.metadataBranch) {
+      await this.metadataBranch.put(`${hash}.narinfo`, content);
+    } else if (!this.narinfoIndex) {
+      await this._putMetadataAsset(`${hash}.narinfo`, content);
+    }
+  }
+
+  /**
+   * Commit narinfo still queued for the metadata branch, and write the
+   * narinfo index if narinfo were stored since it was last written. Throws
+   * if either fails.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.metadataBranch) await this.metadataBranch.flush();
+    if (this.narinfoIndex && this._indexPending.size) await this._writeNarinfoIndex();
+  }
+
+  /**
+   * Upload a text asset (narinfo, realisation, listing or build log), replacing any
+   * existing asset with the same name. Failures are logged, not thrown: the
+   * local copy is what the server and static site generation read.
+   * @param {string} filename
+   * @param {string} content
+   */
+  async _putMetadataAsset(filename, content) {
+    const body = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
 
     // Delete existing asset with the same name if present
     const existing = await this._findAsset(filename);
     if (existing) {
-      await fetch(
-        `https://api.github.com/repos/${this.owner}/${this.repo}/releases/assets/${existing.id}`,
-        { method: 'DELETE', headers: this._headers() }
-      );
+      await this._deleteAsset(existing);
     }
 
-    const uploadUrl = `https://uploads.github.com/repos/${this.owner}/${this.repo}/releases/${releaseId}/assets?name=${encodeURIComponent(filename)}`;
-    const resp = await fetch(uploadUrl, {
+    try {
+      await this._uploadAsset(filename, { size: body.length, body: () => body }, 'text/plain');
+    } catch (err) {
+      console.warn(`[github-releases] Warning: failed to upload metadata asset ${filename}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Upload a release asset and add it to the asset index.
+   *
+   * GitHub rejects an upload with 422 `already_exists` when the name is
+   * taken, which is what a retried upload sees if the first attempt went
+   * through but its response was lost. An existing asset of the same size
+   * (and digest, where both are known) is taken to be that upload; anything
+   * else (e.g. a broken earlier upload) is deleted and the upload tried once
+   * more.
+   *
+   * @param {string} filename
+   * @param {{ size: number, sha256?: string, body: () => Buffer|stream.Readable }} content
+   *   - `body` is called for a fresh body on every attempt
+   * @param {string} contentType
+   * @param {string} [tag=this.releaseTag] - release to upload to
+   * @param {object} [options]
+   * @param {boolean} [options.replace=true] - false to throw an error with
+   *   code `already_exists` instead of replacing an asset that is not this
+   *   upload; the asset is then only taken to be this upload if its digest
+   *   matches
+   * @returns {Promise<void>}
+   */
+  async _uploadAsset(filename, { size, sha256, body }, contentType, tag = this.releaseTag, { replace = true } = {}) {
+    const releaseId = await this._getReleaseId(tag);
+    const uploadUrl = `${this.uploadsUrl}/repos/${this.owner}/${this.repo}/releases/${releaseId}/assets?name=${encodeURIComponent(filename)}`;
+    const upload = () => this.client.request(uploadUrl, {
       method: 'POST',
       headers: {
         ...this._headers(),
-        'Content-Type': 'text/plain',
-        'Content-Length': String(body.length),
+        'Content-Type': contentType,
+        'Content-Length': String(size),
       },
       body,
     });
 
+    let resp = await upload();
+    if (await isAlreadyExists(resp)) {
+      await this._refreshAssets(tag);
+      const existing = this._release(tag).assets.get(filename);
+      const sameDigest = replace
+        ? !sha256 || !existing || !existing.digest || existing.digest === `sha256:${sha256}`
+        : Boolean(existing && existing.digest === `sha256:${sha256}`);
+      if (existing && existing.size === size && sameDigest && existing.state !== 'starter') {
+        console.log(`[github-releases] Asset ${filename} is already uploaded (id=${existing.id})`);
+        return;
+      }
+      if (!replace) {
+        // Also when the conflicting asset is not listed yet
+        const err = new Error(`Asset ${filename} already exists`);
+        err.code = 'already_exists';
+        throw err;
+      }
+      if (existing) {
+        console.log(`[github-releases] Replacing incomplete asset ${filename} (id=${existing.id})`);
+        await this._deleteAsset(existing, tag);
+        resp = await upload();
+      }
+    }
+
     if (!resp.ok) {
-      const errBody = await resp.text();
-      console.warn(`[github-releases] Warning: failed to upload narinfo asset ${filename}: ${resp.status} ${errBody}`);
+      throw new Error(`${resp.status} ${await resp.text()}`);
+    }
+    let asset = null;
+    try {
+      asset = await resp.json();
+    } catch {
+      // no usable body
     }
+    this._indexUploadedAsset(filename, asset, tag);
+  }
+
+  /**
+   * List the hashes of all narinfo files in the local narinfo directory.
+   *
+   * Call `fetchAllNarinfo` first to include narinfo pushed by other jobs.
+   *
+   * @returns {Promise<string[]>}
+   */
+  async listNarinfo() {
+    const entries = await fsp.readdir(path.join(this.localPath, 'narinfo'));
+    return entries
+      .filter(name => name.endsWith('.narinfo'))
+      .map(name => name.slice(0, -'.narinfo'.length))
+      .sort();
   }
 
   /**
-   * Download all `.narinfo` release assets into the local narinfo directory.
+   * Download all narinfo from the metadata branch, if used, and all
+   * `.narinfo` release assets into the local narinfo directory.
    *
    * This ensures the local narinfo directory is a complete superset of all
    * narinfo ever pushed to the release (across matrix jobs, previous runs, etc.).
    * Called before static site generation so the generated site is complete.
+   * Release assets are read even with a metadata branch, for narinfo
+   * uploaded before the branch was used.
    *
-   * @returns {Promise<number>} number of narinfo files fetched from the release
+   * @returns {Promise<number>} number of narinfo files fetched
    */
   async fetchAllNarinfo() {
-    console.log('[github-releases] Fetching all narinfo from release...');
+    let fetched = 0;
+    if (this.metadataBranch) {
+      fetched += await this.metadataBranch.fetchAll('.narinfo', path.join(this.localPath, 'narinfo'));
+    }
+    if (this.narinfoIndex) {
+      fetched += await this._fetchNarinfoIndex();
+    }
+    return fetched + await this._fetchMetadataAssets('.narinfo', 'narinfo', 'narinfo file(s)');
+  }
+
+  // ── narinfo index ──────────────────────────────────────────────────────────
+  //
+  // All narinfo in one release asset, `narinfo-index.<generation>.json.gz`:
+  //
+  //   {"version":1,"narinfo":{"<hash>":"<narinfo>",…}}
+  //
+  // The latest generation is the current index. A writer reads it, adds the
+  // narinfo it stored and uploads the result as the next generation. Asset
+  // names are unique, so when two jobs write at once only one upload of that
+  // generation succeeds; the other gets `already_exists`, reads the winner's
+  // index and tries the generation after. Old generations are deleted,
+  // except the one before the current, which readers may still be fetching.
+  // A writer that fell that far behind can re-create a deleted generation,
+  // so after uploading it lists the release again and, if a later
+  // generation exists, merges into that one as well.
+
+  /**
+   * Download the narinfo index and write the narinfo in it that are not in
+   * the local narinfo directory yet.
+   * @returns {Promise<number>} number of narinfo written
+   */
+  async _fetchNarinfoIndex() {
+    const index = await this._readNarinfoIndex();
+    let fetched = 0;
+    for (const [hash, content] of Object.entries(index.narinfo)) {
+      const localFile = path.join(this.localPath, 'narinfo', `${hash}.narinfo`);
+      if (await this._exists(localFile)) continue;
+      await fsp.writeFile(localFile, content, 'utf8');
+      fetched++;
+    }
+    console.log(`[github-releases] Fetched ${fetched} narinfo file(s) from the narinfo index ` +
+      `(generation ${index.generation}, ${Object.keys(index.narinfo).length} total)`);
+    return fetched;
+  }
+
+  /**
+   * Add the narinfo stored since the last write to the index, as its next
+   * generation.
+   */
+  async _writeNarinfoIndex() {
+    const pending = [...this._indexPending];
+    for (let attempt = 1; ; attempt++) {
+      const index = await this._readNarinfoIndex();
+      for (const hash of pending) {
+        const content = await this.getNarinfo(hash);
+        if (content !== null) index.narinfo[hash] = content;
+      }
+
+      const generation = index.generation + 1;
+      const name = narinfoIndexName(generation);
+      const body = await gzip(JSON.stringify({ version: 1, narinfo: index.narinfo }));
+      const sha256 = crypto.createHash('sha256').update(body).digest('hex');
+      try {
+        await this._uploadAsset(name, { size: body.length, sha256, body: () => body }, 'application/gzip',
+          this.releaseTag, { replace: false });
+      } catch (err) {
+        if (err.code !== 'already_exists' || attempt >= MAX_INDEX_ATTEMPTS) throw err;
+        console.log(`[github-releases] ${name} was written by another job; merging into the next generation`);
+        continue;
+      }
+
+      // Having read an old generation, this job may have re-created one
+      // that was already superseded and deleted. Readers only see the latest
+      // generation, so merge into the one after it.
+      const latest = await this._latestNarinfoIndex();
+      if (latest && latest.generation > generation) {
+        if (attempt >= MAX_INDEX_ATTEMPTS) {
+          throw new Error(`${name} was superseded by generation ${latest.generation} while being written`);
+        }
+        console.log(`[github-releases] ${name} was already superseded by generation ${latest.generation}; ` +
+          'merging into the next generation');
+        continue;
+      }
+
+      console.log(`[github-releases] Wrote ${name} with ${Object.keys(index.narinfo).length} narinfo (${pending.length} new)`);
+      for (const hash of pending) this._indexPending.delete(hash);
+      await this._deleteOldNarinfoIndexes(generation);
+      return;
+    }
+  }
+
+  /**
+   * Read the latest generation of the narinfo index, listing the release
+   * first to find it. Generation 0 is the empty index before the first write.
+   * A generation deleted by another writer between listing and downloading
+   * it has been superseded, so the release is listed again.
+   * @returns {Promise<{ generation: number, narinfo: Object<string, string> }>}
+   */
+  async _readNarinfoIndex() {
+    for (let attempt = 1; ; attempt++) {
+      const latest = await this._latestNarinfoIndex();
+      if (!latest) return { generation: 0, narinfo: {} };
+
+      const resp = await this._downloadAsset(latest.asset);
+      if (resp.status === 404 && attempt < MAX_INDEX_ATTEMPTS) {
+        console.log(`[github-releases] ${latest.asset.name} was replaced by another job; reading the next generation`);
+        continue;
+      }
+      if (!resp.ok) {
+        throw new Error(`Could not download ${latest.asset.name}: ${resp.status}`);
+      }
+      const index = JSON.parse((await gunzip(Buffer.from(await resp.arrayBuffer()))).toString('utf8'));
+      if (!index || index.version !== 1 || typeof index.narinfo !== 'object' || index.narinfo === null) {
+        throw new Error(`Malformed narinfo index ${latest.asset.name}`);
+      }
+      return { generation: latest.generation, narinfo: index.narinfo };
+    }
+  }
+
+  /**
+   * List the release and find the latest generation of the narinfo index.
+   * @returns {Promise<{ generation: number, asset: object }|null>} null before the first write
+   */
+  async _latestNarinfoIndex() {
+    await this._refreshAssets(this.releaseTag);
+    let latest = null;
+    for (const asset of this._release(this.releaseTag).assets.values()) {
+      const generation = narinfoIndexGeneration(asset.name);
+      if (generation !== null && (!latest || generation > latest.generation)) latest = { generation, asset };
+    }
+    return latest;
+  }
+
+  async _deleteOldNarinfoIndexes(current) {
+    for (const asset of [...this._release(this.releaseTag).assets.values()]) {
+      const generation = narinfoIndexGeneration(asset.name);
+      if (generation === null || generation >= current - 1) continue;
+      const resp = await this._deleteAsset(asset);
+      if (!resp.ok) {
+        console.warn(`[github-releases] Warning: could not delete old narinfo index ${asset.name}: ${resp.status}`);
+      }
+    }
+  }
+
+  /**
+   * Download every release asset ending in `extension` into
+   * `<localPath>/<dirName>`, skipping files that already exist locally
+   * (just written by this job).
+   * @param {string} extension - asset name suffix, e.g. ".narinfo"
+   * @param {string} dirName   - local directory under `localPath`
+   * @param {string} label     - what the files are, for log messages
+   * @returns {Promise<number>} number of files fetched from the release
+   */
+  async _fetchMetadataAssets(extension, dirName, label) {
+    console.log(`[github-releases] Fetching all ${label} from release...`);
     const assets = await this._listAllAssets();
-    const narinfoAssets = assets.filter(a => a.name.endsWith('.narinfo'));
-    const narinfoDir = path.join(this.localPath, 'narinfo');
+    const matching = assets.filter(a => a.name.endsWith(extension));
+    const localDir = path.join(this.localPath, dirName);
     let fetched = 0;
 
-    for (const asset of narinfoAssets) {
-      const localFile = path.join(narinfoDir, asset.name);
-      // Skip if we already have this file locally (just written by this job)
+    for (const asset of matching) {
+      const localFile = path.join(localDir, asset.name);
       if (await this._exists(localFile)) continue;
 
-      const resp = await fetch(asset.url, {
+      const resp = await this.client.request(asset.url, {
         headers: {
           ...this._headers(),
           Accept: 'application/octet-stream',
@@ -184,7 +543,7 @@ class GitHubReleasesStorage {
       });
 
       if (!resp.ok) {
-        console.warn(`[github-releases] Warning: could not download narinfo asset ${asset.name}: ${resp.status}`);
+        console.warn(`[github-releases] Warning: could not download asset ${asset.name}: ${resp.status}`);
         continue;
       }
 
@@ -193,137 +552,559 @@ class GitHubReleasesStorage {
       fetched++;
     }
 
-    console.log(`[github-releases] Fetched ${fetched} narinfo file(s) from release (${narinfoAssets.length} total on release)`);
+    console.log(`[github-releases] Fetched ${fetched} ${label} from release (${matching.length} total on release)`);
     return fetched;
   }
 
-  // ── NAR files (GitHub Release assets) ───────────────────────────────────────
+  // ── realisations (local filesystem + release assets) ───────────────────────
 
-  async hasNar(filename) {
-    const asset = await this._findAsset(filename);
-    return asset !== null;
+  async hasRealisation(id) {
+    return this._exists(path.join(this.localPath, 'realisations', `${id}.doi`));
   }
 
-  async getNarStream(filename) {
-    const asset = await this._findAsset(filename);
-    if (!asset) return null;
+  async getRealisation(id) {
+    try {
+      return await fsp.readFile(path.join(this.localPath, 'realisations', `${id}.doi`), 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  async putRealisation(id, content) {
+    console.log(`[github-releases] Storing realisation ${id}`);
+    await fsp.writeFile(path.join(this.localPath, 'realisations', `${id}.doi`), content, 'utf8');
+    await this._putMetadataAsset(GitHubReleasesStorage.realisationAssetName(id), content);
+  }
+
+  /**
+   * Download all realisation (`.doi`) release assets into the local
+   * realisations directory. Asset names are sanitized, so each file is
+   * stored under the id recorded inside it.
+   *
+   * @returns {Promise<number>} number of realisations fetched from the release
+   */
+  async fetchAllRealisations() {
+    console.log('[github-releases] Fetching all realisations from release...');
+    const assets = await this._listAllAssets();
+    const realisationAssets = assets.filter(a => a.name.endsWith('.doi'));
+    let fetched = 0;
+
+    for (const asset of realisationAssets) {
+      const resp = await this.client.request(asset.url, {
+        headers: {
+          ...this._headers(),
+          Accept: 'application/octet-stream',
+        },
+        redirect: 'follow',
+      });
+
+      if (!resp.ok) {
+        console.warn(`[github-releases] Warning: could not download realisation asset ${asset.name}: ${resp.status}`);
+        continue;
+      }
+
+      const content = await resp.text();
+      const realisation = parseRealisation(content);
+      if (!realisation || typeof realisation.id !== 'string' ||
+          GitHubReleasesStorage.realisationAssetName(realisation.id) !== asset.name) {
+        console.warn(`[github-releases] Warning: skipping malformed realisation asset ${asset.name}`);
+        continue;
+      }
+
+      const localFile = path.join(this.localPath, 'realisations', `${realisation.id}.doi`);
+      if (await this._exists(localFile)) continue;
+      await fsp.writeFile(localFile, content, 'utf8');
+      fetched++;
+    }
 
-    const resp = await fetch(asset.url, {
+    console.log(`[github-releases] Fetched ${fetched} realisation(s) from release (${realisationAssets.length} total on release)`);
+    return fetched;
+  }
+
+  // ── NAR listings (local filesystem + release assets) ──────────────────────
+
+  async hasListing(hash) {
+    return this._exists(path.join(this.localPath, 'listings', `${hash}.ls`));
+  }
+
+  async getListing(hash) {
+    try {
+      return await fsp.readFile(path.join(this.localPath, 'listings', `${hash}.ls`), 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  async putListing(hash, content) {
+    console.log(`[github-releases] Storing listing ${hash}`);
+    await fsp.writeFile(path.join(this.localPath, 'listings', `${hash}.ls`), content, 'utf8');
+    await this._putMetadataAsset(`${hash}.ls`, content);
+  }
+
+  /**
+   * Download all `.ls` release assets into the local listings directory.
+   * @returns {Promise<number>} number of listings fetched from the release
+   */
+  async fetchAllListings() {
+    return this._fetchMetadataAssets('.ls', 'listings', 'listing(s)');
+  }
+
+  // ── build logs (local filesystem + release assets) ─────────────────────────
+  //
+  // Logs are kept gzipped locally but uploaded uncompressed: release downloads
+  // carry no Content-Encoding, and the static site redirects `/log/<drv>`
+  // straight to the asset, so Nix must receive plain text.
+
+  async hasLog(drv) {
+    if (await this._exists(path.join(this.localPath, 'log', `${drv}.gz`))) return true;
+    return (await this._findAsset(drv)) !== null;
+  }
+
+  /**
+   * @param {string} drv - derivation basename
+   * @returns {Promise<Buffer|null>} gzip-compressed log
+   */
+  async getLog(drv) {
+    const localFile = path.join(this.localPath, 'log', `${drv}.gz`);
+    try {
+      return await fsp.readFile(localFile);
+    } catch {
+      // fall back to the release asset (e.g. uploaded by another job)
+    }
+
+    const asset = await this._findAsset(drv);
+    if (!asset) return null;
+    const resp = await this.client.request(asset.url, {
       headers: {
         ...this._headers(),
         Accept: 'application/octet-stream',
       },
       redirect: 'follow',
     });
-
     if (!resp.ok) return null;
 
-    const { Readable } = require('stream');
-    return Readable.fromWeb(resp.body);
+    const compressed = await gzip(Buffer.from(await resp.arrayBuffer()));
+    await fsp.writeFile(localFile, compressed);
+    return compressed;
+  }
+
+  /**
+   * @param {string} drv        - derivation basename
+   * @param {Buffer} compressed - gzip-compressed log
+   */
+  async putLog(drv, compressed) {
+    console.log(`[github-releases] Storing build log ${drv}`);
+    await fsp.writeFile(path.join(this.localPath, 'log', `${drv}.gz`), compressed);
+    await this._putMetadataAsset(drv, await gunzip(compressed));
+  }
+
+  /**
+   * List the derivation names of all build logs, locally and on the release.
+   * @returns {Promise<string[]>}
+   */
+  async listLogs() {
+    const [entries, assets] = await Promise.all([
+      fsp.readdir(path.join(this.localPath, 'log')),
+      this._listAllAssets(),
+    ]);
+    const names = new Set(entries.filter(name => name.endsWith('.gz')).map(name => name.slice(0, -'.gz'.length)));
+    for (const asset of assets) {
+      if (asset.name.endsWith('.drv')) names.add(asset.name);
+    }
+    return [...names].sort();
+  }
+
+  // ── NAR files (GitHub Release assets) ───────────────────────────────────────
+  //
+  // NARs larger than `partSize` (release assets must be under 2 GiB) are
+  // stored as numbered part assets, `<filename>.part000`, `.part001`, …, and
+  // a `<filename>.parts.json` manifest listing them, uploaded last:
+  //
+  //   {"version":1,"size":…,"sha256":"…","parts":[{"name":"….part000","size":…},…]}
+  //
+  // Reads join the parts back together. The parts and manifest of a NAR are
+  // on the same release as the NAR would be.
+
+  async hasNar(filename) {
+    return (await this._locateNar(filename)) !== null;
+  }
+
+  async getNarStream(filename) {
+    const nar = await this._findNar(filename);
+    if (!nar) return null;
+    if (nar.asset) return this._downloadWhole(nar.asset);
+    return stream.Readable.from(this._readParts(filename, nar, 0, nar.manifest.size - 1));
+  }
+
+  /**
+   * The public download URL for a NAR, so clients can be redirected to
+   * GitHub instead of proxied. A NAR that is not found gets the URL it would
+   * have on its release; a NAR stored in parts has no single URL, so null is
+   * returned and the NAR must be proxied.
+   * @param {string} filename
+   * @returns {Promise<string|null>}
+   */
+  async getNarRedirectUrl(filename) {
+    const nar = await this._locateNar(filename);
+    if (!nar) return this.narDownloadUrl(filename);
+    if (nar.manifestAsset) return null;
+    return GitHubReleasesStorage.releaseDownloadUrl(this.owner, this.repo, nar.tag, filename);
+  }
+
+  /**
+   * Release assets are immutable (re-uploading creates a new asset id), so
+   * the id and size make a strong ETag. For a NAR in parts, the manifest
+   * asset stands for the whole.
+   * @param {string} filename
+   * @returns {Promise<{ size: number, etag: string, lastModified: Date|null }|null>}
+   */
+  async statNar(filename) {
+    const nar = await this._findNar(filename);
+    if (!nar) return null;
+    const asset = nar.asset || nar.manifestAsset;
+    const size = nar.asset ? asset.size : nar.manifest.size;
+    return {
+      size,
+      etag: `"${asset.id}-${size}"`,
+      lastModified: asset.updated_at ? new Date(asset.updated_at) : null,
+    };
+  }
+
+  /**
+   * @param {string} filename
+   * @param {{ start: number, end: number }} range - byte offsets, `end` inclusive
+   * @returns {Promise<stream.Readable|null>}
+   */
+  async getNarRange(filename, { start, end }) {
+    const nar = await this._findNar(filename);
+    if (!nar) return null;
+    if (nar.asset) return this._downloadRange(nar.asset, start, end);
+    return stream.Readable.from(this._readParts(filename, nar, start, end));
   }
 
   async putNarStream(filename, readableStream) {
-    const releaseId = await this._getReleaseId();
+    // GitHub's upload API requires Content-Length, so the NAR is read in
+    // full first: in memory if small, otherwise into a temporary file that
+    // the upload streams from.
+    const spooled = await spoolStream(readableStream, { memoryLimit: this.uploadMemoryLimit });
+    try {
+      const partCount = Math.ceil(spooled.size / this.partSize);
+      console.log(`[github-releases] Uploading NAR asset ${filename} (${spooled.size} bytes` +
+        `${spooled.onDisk ? ', spooled to disk' : ''}${partCount > 1 ? `, in ${partCount} parts` : ''})`);
+
+      // Delete the existing NAR with the same name if present, in either form
+      for (const { tag, asset } of await this._findNarAssets(filename)) {
+        console.log(`[github-releases] Deleting existing asset ${asset.name} (id=${asset.id})`);
+        await this._deleteAsset(asset, tag);
+      }
 
-    // Collect stream into buffer for upload.
-    // Note: GitHub's upload API requires Content-Length, so the full NAR
-    // must be buffered.  For very large NARs consider using S3 storage.
-    const chunks = [];
-    for await (const chunk of readableStream) {
-      chunks.push(Buffer.from(chunk));
+      const tag = this.narReleaseTag(filename);
+      try {
+        if (partCount > 1) {
+          await this._putNarParts(filename, spooled, partCount, tag);
+        } else {
+          await this._uploadAsset(filename, spooled, 'application/octet-stream', tag);
+        }
+      } catch (err) {
+        console.error(`[github-releases] Failed to upload asset ${filename}: ${err.message}`);
+        throw new Error(`Failed to upload release asset: ${err.message}`);
+      }
+    } finally {
+      await spooled.cleanup();
     }
-    const body = Buffer.concat(chunks);
 
-    console.log(`[github-releases] Uploading NAR asset ${filename} (${body.length} bytes)`);
+    console.log(`[github-releases] Uploaded asset ${filename} successfully`);
+  }
 
-    // Delete existing asset with the same name if present
-    const existing = await this._findAsset(filename);
-    if (existing) {
-      console.log(`[github-releases] Deleting existing asset ${filename} (id=${existing.id})`);
-      await fetch(
-        `https://api.github.com/repos/${this.owner}/${this.repo}/releases/assets/${existing.id}`,
-        { method: 'DELETE', headers: this._headers() }
-      );
+  async _putNarParts(filename, spooled, partCount, tag) {
+    const parts = [];
+    for (let i = 0; i < partCount; i++) {
+      const start = i * this.partSize;
+      const end = Math.min(start + this.partSize, spooled.size);
+      const name = partName(filename, i);
+      await this._uploadAsset(name, { size: end - start, body: () => spooled.body(start, end) }, 'application/octet-stream', tag);
+      parts.push({ name, size: end - start });
     }
+    const manifest = Buffer.from(JSON.stringify({ version: 1, size: spooled.size, sha256: spooled.sha256, parts }));
+    await this._uploadAsset(partsManifestName(filename), { size: manifest.length, body: () => manifest }, 'application/json', tag);
+  }
 
-    const uploadUrl = `https://uploads.github.com/repos/${this.owner}/${this.repo}/releases/${releaseId}/assets?name=${encodeURIComponent(filename)}`;
-    const resp = await fetch(uploadUrl, {
-      method: 'POST',
+  /**
+   * The releases a NAR may be on: its shard, then the base release, where
+   * NARs uploaded before sharding was enabled stay.
+   * @param {string} filename
+   * @returns {string[]} release tags
+   */
+  _narTags(filename) {
+    const tag = this.narReleaseTag(filename);
+    return tag === this.releaseTag ? [tag] : [tag, this.releaseTag];
+  }
+
+  /**
+   * Find the release a NAR is on and its asset there, either the NAR itself
+   * or its parts manifest.
+   * @param {string} filename
+   * @returns {Promise<{ tag: string, asset: object }|{ tag: string, manifestAsset: object }|null>}
+   */
+  async _locateNar(filename) {
+    for (const tag of this._narTags(filename)) {
+      const asset = await this._findAsset(filename, tag);
+      if (asset) return { tag, asset };
+      const manifestAsset = await this._findAsset(partsManifestName(filename), tag);
+      if (manifestAsset) return { tag, manifestAsset };
+    }
+    return null;
+  }
+
+  /**
+   * Find a NAR as a single asset or as a parts manifest, reading the latter.
+   * @param {string} filename
+   * @returns {Promise<{ tag: string, asset: object }|{ tag: string, manifestAsset: object, manifest: object }|null>}
+   */
+  async _findNar(filename) {
+    const nar = await this._locateNar(filename);
+    if (!nar || nar.asset) return nar;
+    return { ...nar, manifest: await this._readPartsManifest(nar.manifestAsset) };
+  }
+
+  /**
+   * Every asset that stores a NAR, on any release it may be on: the NAR
+   * itself, or its manifest and parts.
+   * @param {string} filename
+   * @returns {Promise<{ tag: string, asset: object }[]>}
+   */
+  async _findNarAssets(filename) {
+    const found = [];
+    for (const tag of this._narTags(filename)) {
+      const asset = await this._findAsset(filename, tag);
+      if (asset) found.push({ tag, asset });
+      const manifestAsset = await this._findAsset(partsManifestName(filename), tag);
+      if (manifestAsset) found.push({ tag, asset: manifestAsset });
+      for (const candidate of this._release(tag).assets.values()) {
+        if (partOwner(candidate.name) === filename && candidate !== manifestAsset) found.push({ tag, asset: candidate });
+      }
+    }
+    return found;
+  }
+
+  async _readPartsManifest(manifestAsset) {
+    const cached = this._partsManifests.get(manifestAsset.id);
+    if (cached) return cached;
+
+    const resp = await this._downloadAsset(manifestAsset);
+    if (!resp.ok) {
+      throw new Error(`Could not download ${manifestAsset.name}: ${resp.status}`);
+    }
+    const manifest = JSON.parse(await resp.text());
+    const valid = manifest && manifest.version === 1 && Array.isArray(manifest.parts) &&
+      manifest.parts.every(part => part && typeof part.name === 'string' && Number.isSafeInteger(part.size)) &&
+      manifest.parts.reduce((total, part) => total + part.size, 0) === manifest.size;
+    if (!valid) throw new Error(`Malformed parts manifest ${manifestAsset.name}`);
+
+    this._partsManifests.set(manifestAsset.id, manifest);
+    return manifest;
+  }
+
+  /**
+   * Yield bytes `start` to `end` (inclusive) of a NAR stored in parts,
+   * downloading only the parts that overlap them, one at a time.
+   */
+  async *_readParts(filename, { tag, manifest }, start, end) {
+    let offset = 0;
+    for (const part of manifest.parts) {
+      const partStart = offset;
+      offset += part.size;
+      if (offset <= start || partStart > end || !part.size) continue;
+
+      const asset = await this._findAsset(part.name, tag);
+      if (!asset) throw new Error(`Part ${part.name} of ${filename} is missing`);
+      const from = Math.max(start - partStart, 0);
+      const to = Math.min(end - partStart, part.size - 1);
+      const body = from === 0 && to === part.size - 1
+        ? await this._downloadWhole(asset)
+        : await this._downloadRange(asset, from, to);
+      if (!body) throw new Error(`Could not download ${part.name}`);
+      yield* body;
+    }
+  }
+
+  _downloadAsset(asset, headers = {}) {
+    return this.client.request(asset.url, {
       headers: {
         ...this._headers(),
-        'Content-Type': 'application/octet-stream',
-        'Content-Length': String(body.length),
+        Accept: 'application/octet-stream',
+        ...headers,
       },
-      body,
+      redirect: 'follow',
     });
+  }
 
-    if (!resp.ok) {
-      const errBody = await resp.text();
-      console.error(`[github-releases] Failed to upload asset ${filename}: ${resp.status} ${errBody}`);
-      throw new Error(`Failed to upload release asset: ${resp.status} ${errBody}`);
-    }
+  async _downloadWhole(asset) {
+    const resp = await this._downloadAsset(asset);
+    return resp.ok ? stream.Readable.fromWeb(resp.body) : null;
+  }
 
-    console.log(`[github-releases] Uploaded asset ${filename} successfully`);
+  async _downloadRange(asset, start, end) {
+    const resp = await this._downloadAsset(asset, { Range: `bytes=${start}-${end}` });
+    if (!resp.ok) return null;
+
+    const body = stream.Readable.fromWeb(resp.body);
+    if (resp.status === 206) return body;
+    // The download host ignored the Range header; cut the range out ourselves
+    return body.pipe(sliceStream(start, end - start + 1));
   }
 
+  // ── asset index ────────────────────────────────────────────────────────────
+
   /**
-   * Find a release asset by filename (paginates through all assets).
+   * Find a release asset by filename in the asset index, listing the release
+   * first if there is no index yet or it is due for a refresh.
    * @param {string} filename
+   * @param {string} [tag=this.releaseTag]
    * @returns {Promise<object|null>}
    */
-  async _findAsset(filename) {
-    const releaseId = await this._getReleaseId();
-    let page = 1;
-
-    while (true) {
-      const url = `https://api.github.com/repos/${this.owner}/${this.repo}/releases/${releaseId}/assets?per_page=100&page=${page}`;
-      const resp = await fetch(url, { headers: this._headers() });
-
-      if (!resp.ok) return null;
-
-      const assets = await resp.json();
-      if (assets.length === 0) return null;
+  async _findAsset(filename, tag = this.releaseTag) {
+    const release = this._release(tag);
+    if (!release.assets || (!release.assets.has(filename) &&
+        Date.now() - release.listedAt >= this.assetIndexRefreshMs)) {
+      await this._refreshAssets(tag);
+    }
+    return release.assets.get(filename) || null;
+  }
 
-      const match = assets.find(a => a.name === filename);
-      if (match) return match;
+  /**
+   * List a release, sharing a listing that is already in progress.
+   * @param {string} tag
+   */
+  async _refreshAssets(tag) {
+    const release = this._release(tag);
+    if (!release.listing) {
+      release.listing = this._listAllAssets(tag).finally(() => {
+        release.listing = null;
+      });
+    }
+    await release.listing;
+  }
 
-      if (assets.length < 100) return null;
-      page++;
+  /**
+   * Record an asset just uploaded, as described by the upload response. If
+   * the response does not describe it (GitHub may rename assets), the next
+   * miss lists the release again.
+   * @param {string} filename
+   * @param {object|null} asset
+   * @param {string} tag
+   */
+  _indexUploadedAsset(filename, asset, tag) {
+    const release = this._release(tag);
+    if (!release.assets) return;
+    if (asset && asset.name === filename) {
+      release.assets.set(filename, asset);
+    } else {
+      release.listedAt = 0;
     }
   }
 
+  async _deleteAsset(asset, tag = this.releaseTag) {
+    const resp = await this.client.request(
+      `${this.apiUrl}/repos/${this.owner}/${this.repo}/releases/assets/${asset.id}`,
+      { method: 'DELETE', headers: this._headers() }
+    );
+    const { assets } = this._release(tag);
+    if (resp.ok && assets) assets.delete(asset.name);
+    return resp;
+  }
+
   /**
-   * List all release assets (paginates through all pages).
+   * List all release assets (paginates through all pages) and replace the
+   * asset index with them. Throws if the release cannot be listed, rather
+   * than report assets as missing. A shard release that does not exist yet
+   * has no assets; it is created by the first upload to it.
+   * @param {string} [tag=this.releaseTag]
    * @returns {Promise<object[]>}
    */
-  async _listAllAssets() {
-    const releaseId = await this._getReleaseId();
+  async _listAllAssets(tag = this.releaseTag) {
+    const release = this._release(tag);
+    const releaseId = await this._getReleaseId(tag, { create: tag === this.releaseTag });
+    if (!releaseId) {
+      release.assets = new Map();
+      release.listedAt = Date.now();
+      return [];
+    }
     const all = [];
     let page = 1;
 
     while (true) {
-      const url = `https://api.github.com/repos/${this.owner}/${this.repo}/releases/${releaseId}/assets?per_page=100&page=${page}`;
-      const resp = await fetch(url, { headers: this._headers() });
+      const url = `${this.apiUrl}/repos/${this.owner}/${this.repo}/releases/${releaseId}/assets?per_page=100&page=${page}`;
+      const resp = await this.client.request(url, { headers: this._headers() });
 
-      if (!resp.ok) break;
+      if (!resp.ok) {
+        throw new Error(`Failed to list release assets: ${resp.status} ${await resp.text()}`);
+      }
 
       const assets = await resp.json();
-      if (assets.length === 0) break;
-
       all.push(...assets);
       if (assets.length < 100) break;
       page++;
     }
 
+    release.assets = new Map(all.map(asset => [asset.name, asset]));
+    release.listedAt = Date.now();
     return all;
   }
 
+  /**
+   * Find the shard releases that exist, by listing the repository's
+   * releases for tags of the form `<releaseTag>-<prefix>`.
+   * @returns {Promise<string[]>} release tags
+   */
+  async _listShardTags() {
+    if (!this.shardPrefixLength) return [];
+    const pattern = new RegExp(`^${escapeRegExp(this.releaseTag)}-${SHARD_PREFIX_CHAR}{${this.shardPrefixLength}}$`);
+    const tags = [];
+    let page = 1;
+
+    while (true) {
+      const url = `${this.apiUrl}/repos/${this.owner}/${this.repo}/releases?per_page=100&page=${page}`;
+      const resp = await this.client.request(url, { headers: this._headers() });
+
+      if (!resp.ok) {
+        throw new Error(`Failed to list releases: ${resp.status} ${await resp.text()}`);
+      }
+
+      const releases = await resp.json();
+      for (const release of releases) {
+        if (!pattern.test(release.tag_name)) continue;
+        this._release(release.tag_name).id = release.id;
+        tags.push(release.tag_name);
+      }
+      if (releases.length < 100) break;
+      page++;
+    }
+
+    return tags.sort();
+  }
+
+  /**
+   * List the assets of the base release and of every shard release.
+   * @returns {Promise<{ tag: string, asset: object }[]>}
+   */
+  async _listAllReleaseAssets() {
+    const found = [];
+    for (const tag of [this.releaseTag, ...(await this._listShardTags())]) {
+      for (const asset of await this._listAllAssets(tag)) found.push({ tag, asset });
+    }
+    return found;
+  }
+
   /**
    * Read all local narinfo files and extract the NAR filenames they reference.
-   * Narinfo files contain a `URL:` field like `nar/<filename>`.
+   * Narinfo files contain a `URL:` field like `nar/<filename>` (or an absolute
+   * release download URL). The part and manifest assets among `assets` that
+   * belong to a referenced NAR are included too.
+   * @param {object[]} [assets=[]] - release assets
    * @returns {Promise<Set<string>>}
    */
-  async _getReferencedNarFilenames() {
+  async _getReferencedNarFilenames(assets = []) {
     const narinfoDir = path.join(this.localPath, 'narinfo');
     const referenced = new Set();
 
@@ -338,19 +1119,16 @@ class GitHubReleasesStorage {
       if (!entry.endsWith('.narinfo')) continue;
       try {
         const content = await fsp.readFile(path.join(narinfoDir, entry), 'utf8');
-        for (const line of content.split('\n')) {
-          if (line.startsWith('URL:')) {
-            const url = line.slice(4).trim();
-            // URL is typically "nar/<filename>" – extract just the filename
-            const filename = url.startsWith('nar/') ? url.slice(4) : url;
-            if (filename) referenced.add(filename);
-          }
-        }
+        const filename = narFilename(parseNarinfo(content));
+        if (filename) referenced.add(filename);
       } catch {
         // skip unreadable files
       }
     }
 
+    for (const asset of assets) {
+      if (referenced.has(partOwner(asset.name))) referenced.add(asset.name);
+    }
     return referenced;
   }
 
@@ -370,10 +1148,9 @@ class GitHubReleasesStorage {
   async pruneAssets({ retentionDays = 0 } = {}) {
     console.log(`[github-releases] Starting asset pruning (retentionDays=${retentionDays})`);
 
-    const [assets, referenced] = await Promise.all([
-      this._listAllAssets(),
-      this._getReferencedNarFilenames(),
-    ]);
+    const listed = await this._listAllReleaseAssets();
+    const assets = listed.map(({ asset }) => asset);
+    const referenced = await this._getReferencedNarFilenames(assets);
 
     console.log(`[github-releases] Found ${assets.length} release asset(s), ${referenced.size} referenced NAR filename(s)`);
 
@@ -385,9 +1162,10 @@ class GitHubReleasesStorage {
     const kept = [];
     const referencedNames = [];
 
-    for (const asset of assets) {
-      // Skip narinfo assets — they are metadata, not orphan candidates
-      if (asset.name.endsWith('.narinfo')) continue;
+    for (const { tag, asset } of listed) {
+      // Skip narinfo, realisation, listing and log assets and the narinfo
+      // index — they are metadata, not orphan candidates
+      if (/\.(narinfo|doi|ls|drv)$/.test(asset.name) || narinfoIndexGeneration(asset.name) !== null) continue;
 
       if (referenced.has(asset.name)) {
         referencedNames.push(asset.name);
@@ -405,10 +1183,7 @@ class GitHubReleasesStorage {
       }
 
       console.log(`[github-releases] Deleting orphaned asset ${asset.name} (id=${asset.id})`);
-      const resp = await fetch(
-        `https://api.github.com/repos/${this.owner}/${this.repo}/releases/assets/${asset.id}`,
-        { method: 'DELETE', headers: this._headers() }
-      );
+      const resp = await this._deleteAsset(asset, tag);
 
       if (resp.ok) {
         deleted.push(asset.name);
@@ -423,6 +1198,35 @@ class GitHubReleasesStorage {
     return { deleted, kept, referenced: referencedNames };
   }
 
+  /**
+   * List the NARs stored in parts, which cannot be downloaded from the
+   * release with a single request.
+   * @returns {Promise<string[]>} NAR filenames
+   */
+  async listChunkedNars() {
+    const listed = await this._listAllReleaseAssets();
+    return listed
+      .map(({ asset }) => asset)
+      .filter(asset => asset.name.endsWith('.parts.json'))
+      .map(asset => partOwner(asset.name))
+      .sort();
+  }
+
+  /**
+   * List the NARs still on the base release although sharding puts them on
+   * a shard release, because they were uploaded before sharding was enabled.
+   * Their narinfo stay, so `nix copy` does not upload them again.
+   * @returns {Promise<string[]>} NAR filenames
+   */
+  async listBaseReleaseNars() {
+    if (!this.shardPrefixLength) return [];
+    const assets = await this._listAllAssets(this.releaseTag);
+    return assets
+      .map(asset => asset.name)
+      .filter(name => /\.nar(\.\w+)?$/.test(name) && this.narReleaseTag(name) !== this.releaseTag)
+      .sort();
+  }
+
   /**
    * Return the public download URL for a NAR file on GitHub Releases.
    * This URL does not require authentication.
@@ -430,8 +1234,123 @@ class GitHubReleasesStorage {
    * @returns {string}
    */
   narDownloadUrl(filename) {
-    return `https://github.com/${this.owner}/${this.repo}/releases/download/${encodeURIComponent(this.releaseTag)}/${encodeURIComponent(filename)}`;
+    return GitHubReleasesStorage.releaseDownloadUrl(this.owner, this.repo, this.narReleaseTag(filename), filename);
   }
+
+  /**
+   * The tag of the release a NAR is uploaded to.
+   * @param {string} filename
+   * @returns {string}
+   */
+  narReleaseTag(filename) {
+    return GitHubReleasesStorage.shardReleaseTag(this.releaseTag, this.shardPrefixLength, filename);
+  }
+
+  /**
+   * The shard a NAR belongs to: the first `shardPrefixLength` characters of
+   * its filename, or null when sharding is off or the filename does not
+   * start with that many base-32 characters.
+   * @param {number} shardPrefixLength
+   * @param {string} filename
+   * @returns {string|null}
+   */
+  static shardPrefix(shardPrefixLength, filename) {
+    if (!shardPrefixLength) return null;
+    const prefix = filename.slice(0, shardPrefixLength);
+    return new RegExp(`^${SHARD_PREFIX_CHAR}{${shardPrefixLength}}$`).test(prefix) ? prefix : null;
+  }
+
+  /**
+   * The tag of the release a NAR is uploaded to, without needing a storage
+   * instance (used by the static site generator).
+   * @param {string} releaseTag
+   * @param {number} shardPrefixLength - 0 when sharding is off
+   * @param {string} filename
+   * @returns {string}
+   */
+  static shardReleaseTag(releaseTag, shardPrefixLength, filename) {
+    const prefix = GitHubReleasesStorage.shardPrefix(shardPrefixLength, filename);
+    return prefix ? `${releaseTag}-${prefix}` : releaseTag;
+  }
+
+  /**
+   * Build the public download URL for an asset on a given release without
+   * needing a storage instance (used by the static site generator).
+   * @param {string} owner
+   * @param {string} repo
+   * @param {string} releaseTag
+   * @param {string} filename
+   * @returns {string}
+   */
+  static releaseDownloadUrl(owner, repo, releaseTag, filename) {
+    return `https://github.com/${owner}/${repo}/releases/download/${encodeURIComponent(releaseTag)}/${encodeURIComponent(filename)}`;
+  }
+
+  /**
+   * Release asset name for a realisation. GitHub rewrites characters such as
+   * `:` and `!` in asset names, so they are replaced up front.
+   * @param {string} id - e.g. "sha256:…!out"
+   * @returns {string}
+   */
+  static realisationAssetName(id) {
+    return `${id.replace(/[^A-Za-z0-9._-]/g, '_')}.doi`;
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function narinfoIndexName(generation) {
+  return `narinfo-index.${generation}.json.gz`;
+}
+
+/**
+ * The generation of a narinfo index asset, or null for any other asset.
+ * @param {string} name - asset name
+ * @returns {number|null}
+ */
+function narinfoIndexGeneration(name) {
+  const match = /^narinfo-index\.(\d+)\.json\.gz$/.exec(name);
+  return match ? Number(match[1]) : null;
+}
+
+function partName(filename, index) {
+  return `${filename}.part${String(index).padStart(3, '0')}`;
+}
+
+function partsManifestName(filename) {
+  return `${filename}.parts.json`;
+}
+
+/**
+ * The NAR a part or parts manifest asset belongs to, or null for any other
+ * asset.
+ * @param {string} name - asset name
+ * @returns {string|null}
+ */
+function partOwner(name) {
+  const match = /^(.+)\.(?:part\d{3,}|parts\.json)$/.exec(name);
+  return match ? match[1] : null;
+}
+
+/**
+ * A transform that passes on `length` bytes starting at byte `start` of its
+ * input and discards the rest.
+ * @param {number} start
+ * @param {number} length
+ * @returns {stream.Transform}
+ */
+function sliceStream(start, length) {
+  let position = 0;
+  return new stream.Transform({
+    transform(chunk, encoding, callback) {
+      const from = Math.max(start - position, 0);
+      const to = Math.min(start + length - position, chunk.length);
+      position += chunk.length;
+      callback(null, from < to ? chunk.subarray(from, to) : undefined);
+    },
+  });
 }
 
 module.exports = GitHubReleasesStorage;
@@ -3,15 +3,25 @@
 const LocalStorage = require('./local');
 const S3Storage = require('./s3');
 const GitHubReleasesStorage = require('./github-releases');
+const CachedStorage = require('./cached');
 
 /**
- * Create the configured storage backend.
+ * Create the configured storage backend, behind a read-through cache when
+ * `config.readCache.enabled` is set.
  * @param {object} config - application config
- * @returns {LocalStorage|S3Storage|GitHubReleasesStorage}
+ * @returns {LocalStorage|S3Storage|GitHubReleasesStorage|CachedStorage}
  */
 function createStorage(config) {
+  const backend = createBackend(config);
+  if (config.readCache && config.readCache.enabled) {
+    return new CachedStorage(backend, config.readCache);
+  }
+  return backend;
+}
+
+function createBackend(config) {
   if (config.storageBackend === 's3') {
-    return new S3Storage(config.s3);
+    return new S3Storage({ ...config.s3, narRedirect: config.narRedirect });
   }
   if (config.storageBackend === 'github-releases') {
     return new GitHubReleasesStorage({
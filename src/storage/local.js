@@ -14,6 +14,9 @@ const pipeline = promisify(stream.pipeline);
  * Layout on disk:
  *   <root>/narinfo/<hash>.narinfo
  *   <root>/nar/<filename>
+ *   <root>/realisations/<id>.doi
+ *   <root>/listings/<hash>.ls
+ *   <root>/log/<drv>.gz                (gzip-compressed build logs)
  */
 class LocalStorage {
   constructor(rootPath) {
@@ -24,6 +27,9 @@ class LocalStorage {
   _init() {
     fs.mkdirSync(path.join(this.root, 'narinfo'), { recursive: true });
     fs.mkdirSync(path.join(this.root, 'nar'), { recursive: true });
+    fs.mkdirSync(path.join(this.root, 'realisations'), { recursive: true });
+    fs.mkdirSync(path.join(this.root, 'listings'), { recursive: true });
+    fs.mkdirSync(path.join(this.root, 'log'), { recursive: true });
   }
 
   async _exists(filePath) {
@@ -52,6 +58,18 @@ class LocalStorage {
     await fsp.writeFile(path.join(this.root, 'narinfo', `${hash}.narinfo`), content, 'utf8');
   }
 
+  /**
+   * List the hashes of all stored narinfo files.
+   * @returns {Promise<string[]>}
+   */
+  async listNarinfo() {
+    const entries = await fsp.readdir(path.join(this.root, 'narinfo'));
+    return entries
+      .filter(name => name.endsWith('.narinfo'))
+      .map(name => name.slice(0, -'.narinfo'.length))
+      .sort();
+  }
+
   async hasNar(filename) {
     return this._exists(path.join(this.root, 'nar', filename));
   }
@@ -62,11 +80,100 @@ class LocalStorage {
     return fs.createReadStream(filePath);
   }
 
+  /**
+   * @param {string} filename
+   * @returns {Promise<{ size: number, etag: string, lastModified: Date }|null>}
+   */
+  async statNar(filename) {
+    try {
+      const { size, mtime, mtimeMs } = await fsp.stat(path.join(this.root, 'nar', filename));
+      return { size, etag: `"${size.toString(16)}-${Math.floor(mtimeMs).toString(16)}"`, lastModified: mtime };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} filename
+   * @param {{ start: number, end: number }} range - byte offsets, `end` inclusive
+   * @returns {Promise<stream.Readable|null>}
+   */
+  async getNarRange(filename, { start, end }) {
+    const filePath = path.join(this.root, 'nar', filename);
+    if (!(await this._exists(filePath))) return null;
+    return fs.createReadStream(filePath, { start, end });
+  }
+
   async putNarStream(filename, readableStream) {
     const filePath = path.join(this.root, 'nar', filename);
     const writeStream = fs.createWriteStream(filePath);
     await pipeline(readableStream, writeStream);
   }
+
+  async hasRealisation(id) {
+    return this._exists(path.join(this.root, 'realisations', `${id}.doi`));
+  }
+
+  async getRealisation(id) {
+    try {
+      return await fsp.readFile(path.join(this.root, 'realisations', `${id}.doi`), 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  async putRealisation(id, content) {
+    await fsp.writeFile(path.join(this.root, 'realisations', `${id}.doi`), content, 'utf8');
+  }
+
+  async hasListing(hash) {
+    return this._exists(path.join(this.root, 'listings', `${hash}.ls`));
+  }
+
+  async getListing(hash) {
+    try {
+      return await fsp.readFile(path.join(this.root, 'listings', `${hash}.ls`), 'utf8');
+    } catch {
+      return null;
+    }
+  }
+
+  async putListing(hash, content) {
+    await fsp.writeFile(path.join(this.root, 'listings', `${hash}.ls`), content, 'utf8');
+  }
+
+  async hasLog(drv) {
+    return this._exists(path.join(this.root, 'log', `${drv}.gz`));
+  }
+
+  /**
+   * @param {string} drv - derivation basename
+   * @returns {Promise<Buffer|null>} gzip-compressed log
+   */
+  async getLog(drv) {
+    try {
+      return await fsp.readFile(path.join(this.root, 'log', `${drv}.gz`));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} drv        - derivation basename
+   * @param {Buffer} compressed - gzip-compressed log
+   */
+  async putLog(drv, compressed) {
+    await fsp.writeFile(path.join(this.root, 'log', `${drv}.gz`), compressed);
+  }
+
+  /**
+   * List the derivation names of all stored build logs.
+   * @returns {Promise<string[]>}
+   */
+  async listLogs() {
+    const entries = await fsp.readdir(path.join(this.root, 'log'));
+    return entries.filter(name => name.endsWith('.gz')).map(name => name.slice(0, -'.gz'.length)).sort();
+  }
 }
 
 module.exports = LocalStorage;
@@ -1,7 +1,17 @@
 'use strict';
 
 const { Readable } = require('stream');
-const { S3Client, GetObjectCommand, PutObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// SigV4 presigned URLs are valid for at most 7 days
+const MAX_PRESIGN_EXPIRES_IN = 7 * 24 * 60 * 60;
 
 /**
  * S3-compatible storage backend.
@@ -11,10 +21,29 @@ const { S3Client, GetObjectCommand, PutObjectCommand, HeadObjectCommand } = requ
  * Layout in bucket:
  *   narinfo/<hash>.narinfo
  *   nar/<filename>
+ *   realisations/<id>.doi
+ *   listings/<hash>.ls
+ *   log/<drv>                (gzip-compressed, Content-Encoding: gzip)
  */
 class S3Storage {
-  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+  constructor({
+    bucket,
+    region,
+    endpoint,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle,
+    presignExpiresIn = 3600,
+    narRedirect = false,
+  }) {
+    // The lifetime only matters, and is only checked, when NAR downloads
+    // redirect to presigned URLs
+    if (narRedirect &&
+        (!Number.isInteger(presignExpiresIn) || presignExpiresIn < 1 || presignExpiresIn > MAX_PRESIGN_EXPIRES_IN)) {
+      throw new Error(`Invalid presign lifetime ${presignExpiresIn} (expected 1-${MAX_PRESIGN_EXPIRES_IN} seconds)`);
+    }
     this.bucket = bucket;
+    this.presignExpiresIn = presignExpiresIn;
     this.client = new S3Client({
       region,
       endpoint,
@@ -65,6 +94,38 @@ class S3Storage {
     }));
   }
 
+  /**
+   * List the hashes of all stored narinfo files.
+   * @returns {Promise<string[]>}
+   */
+  async listNarinfo() {
+    const keys = await this._listKeys('narinfo/');
+    return keys
+      .filter(key => key.endsWith('.narinfo'))
+      .map(key => key.slice('narinfo/'.length, -'.narinfo'.length))
+      .sort();
+  }
+
+  /**
+   * List all object keys under a prefix (paginates through all results).
+   * @param {string} prefix
+   * @returns {Promise<string[]>}
+   */
+  async _listKeys(prefix) {
+    const keys = [];
+    let ContinuationToken;
+    do {
+      const resp = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken,
+      }));
+      for (const { Key } of resp.Contents || []) keys.push(Key);
+      ContinuationToken = resp.IsTruncated ? resp.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return keys;
+  }
+
   async hasNar(filename) {
     try {
       await this.client.send(new HeadObjectCommand({
@@ -95,6 +156,55 @@ class S3Storage {
     }
   }
 
+  /**
+   * @param {string} filename
+   * @returns {Promise<{ size: number, etag: string, lastModified: Date }|null>}
+   */
+  async statNar(filename) {
+    try {
+      const resp = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: `nar/${filename}`,
+      }));
+      return { size: resp.ContentLength, etag: resp.ETag, lastModified: resp.LastModified };
+    } catch (err) {
+      if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * @param {string} filename
+   * @param {{ start: number, end: number }} range - byte offsets, `end` inclusive
+   * @returns {Promise<Readable|null>}
+   */
+  async getNarRange(filename, { start, end }) {
+    try {
+      const resp = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: `nar/${filename}`,
+        Range: `bytes=${start}-${end}`,
+      }));
+      return resp.Body instanceof Readable ? resp.Body : Readable.from(resp.Body);
+    } catch (err) {
+      if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * A presigned GET URL for a NAR, valid for `presignExpiresIn` seconds.
+   * Existence is not checked; a missing object fails at the bucket.
+   * @param {string} filename
+   * @returns {Promise<string>}
+   */
+  async getNarRedirectUrl(filename) {
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: `nar/${filename}`,
+    }), { expiresIn: this.presignExpiresIn });
+  }
+
   async putNarStream(filename, readableStream) {
     await this.client.send(new PutObjectCommand({
       Bucket: this.bucket,
@@ -103,6 +213,143 @@ class S3Storage {
       ContentType: 'application/x-nix-nar',
     }));
   }
+
+  async hasRealisation(id) {
+    try {
+      await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: `realisations/${id}.doi`,
+      }));
+      return true;
+    } catch (err) {
+      if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return false;
+      throw err;
+    }
+  }
+
+  async getRealisation(id) {
+    try {
+      const resp = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: `realisations/${id}.doi`,
+      }));
+      const chunks = [];
+      for await (const chunk of resp.Body) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks).toString('utf8');
+    } catch (err) {
+      if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  async putRealisation(id, content) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: `realisations/${id}.doi`,
+      Body: content,
+      ContentType: 'application/json',
+    }));
+  }
+
+  async hasListing(hash) {
+    try {
+      await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: `listings/${hash}.ls`,
+      }));
+      return true;
+    } catch (err) {
+      if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return false;
+      throw err;
+    }
+  }
+
+  async getListing(hash) {
+    try {
+      const resp = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: `listings/${hash}.ls`,
+      }));
+      const chunks = [];
+      for await (const chunk of resp.Body) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks).toString('utf8');
+    } catch (err) {
+      if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  async putListing(hash, content) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: `listings/${hash}.ls`,
+      Body: content,
+      ContentType: 'application/json',
+    }));
+  }
+
+  async hasLog(drv) {
+    try {
+      await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: `log/${drv}`,
+      }));
+      return true;
+    } catch (err) {
+      if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return false;
+      throw err;
+    }
+  }
+
+  /**
+   * @param {string} drv - derivation basename
+   * @returns {Promise<Buffer|null>} gzip-compressed log
+   */
+  async getLog(drv) {
+    try {
+      const resp = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: `log/${drv}`,
+      }));
+      const chunks = [];
+      for await (const chunk of resp.Body) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    } catch (err) {
+      if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Store a gzip-compressed build log. The object is tagged with
+   * `Content-Encoding: gzip` so it can also be served straight from the bucket.
+   * @param {string} drv
+   * @param {Buffer} compressed
+   */
+  async putLog(drv, compressed) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: `log/${drv}`,
+      Body: compressed,
+      ContentType: 'text/plain; charset=utf-8',
+      ContentEncoding: 'gzip',
+    }));
+  }
+
+  /**
+   * List the derivation names of all stored build logs.
+   * @returns {Promise<string[]>}
+   */
+  async listLogs() {
+    const keys = await this._listKeys('log/');
+    return keys.map(key => key.slice('log/'.length)).filter(Boolean).sort();
+  }
 }
 
 module.exports = S3Storage;
@@ -0,0 +1,105 @@
+'use strict';
+
+const DEFAULT_MAX_ENTRIES = 10000;
+// Listings can be large, so far fewer are held while waiting for their narinfo
+const DEFAULT_MAX_LISTINGS = 100;
+
+/**
+ * Remembers what was uploaded to this server process (the upload session) so
+ * that a narinfo can be checked against the NAR that was streamed just before
+ * it, and against the narinfo of its references.
+ *
+ * `nix copy` uploads each NAR immediately before its narinfo, so a bounded,
+ * in-memory record is enough; the oldest entries are evicted first.
+ */
+class UploadTracker {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, maxListings = DEFAULT_MAX_LISTINGS } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxListings = maxListings;
+    this._nars = new Map();
+    this._recompressed = new Map();
+    this._narinfos = new Map();
+    this._listings = new Map();
+  }
+
+  _remember(map, key, value, maxEntries = this.maxEntries) {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > maxEntries) {
+      map.delete(map.keys().next().value);
+    }
+  }
+
+  /**
+   * Record the size and sha256 digest of an uploaded NAR file.
+   * @param {string} filename
+   * @param {{ size: number, digest: Buffer }} info
+   */
+  recordNar(filename, info) {
+    this._remember(this._nars, filename, info);
+  }
+
+  /**
+   * @param {string} filename
+   * @returns {{ size: number, digest: Buffer }|null}
+   */
+  getNar(filename) {
+    return this._nars.get(filename) || null;
+  }
+
+  /**
+   * Record that a narinfo was accepted for the given store path hash.
+   * @param {string} hash
+   */
+  recordNarinfo(hash) {
+    this._remember(this._narinfos, hash, true);
+  }
+
+  /**
+   * @param {string} hash
+   * @returns {boolean}
+   */
+  hasNarinfo(hash) {
+    return this._narinfos.has(hash);
+  }
+
+  /**
+   * Record that an uploaded NAR was stored recompressed under another name.
+   * @param {string} originalFilename - filename the client uploaded
+   * @param {{ filename: string, compression: string, size: number, digest: Buffer }} info
+   */
+  recordRecompression(originalFilename, info) {
+    this._remember(this._recompressed, originalFilename, info);
+  }
+
+  /**
+   * @param {string} originalFilename
+   * @returns {{ filename: string, compression: string, size: number, digest: Buffer }|null}
+   */
+  getRecompression(originalFilename) {
+    return this._recompressed.get(originalFilename) || null;
+  }
+
+  /**
+   * Record the `.ls` listing generated from an uploaded NAR, until the
+   * narinfo that references the NAR takes it.
+   * @param {string} filename - filename the client uploaded
+   * @param {string} listing  - serialized listing
+   */
+  recordListing(filename, listing) {
+    this._remember(this._listings, filename, listing, this.maxListings);
+  }
+
+  /**
+   * Remove and return the listing recorded for an uploaded NAR.
+   * @param {string} filename
+   * @returns {string|null}
+   */
+  takeListing(filename) {
+    const listing = this._listings.get(filename) || null;
+    this._listings.delete(filename);
+    return listing;
+  }
+}
+
+module.exports = { UploadTracker };
@@ -0,0 +1,232 @@
+'use strict';
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { Readable } = require('stream');
+const {
+  parseNarinfo,
+  validateNarinfo,
+  fingerprintFields,
+  narFilename,
+  checkNarCompression,
+  checkNarFile,
+  storePathHash,
+} = require('./narinfo');
+const { hasTrustedSignature } = require('./signing');
+const { hashStream } = require('./hash');
+const { MANIFEST_FILENAME } = require('./generate-static');
+
+/**
+ * Read-only view of a generated static site, with the same narinfo/NAR
+ * methods as a storage backend so it can be audited by `verifyCache`.
+ *
+ * narinfo are read from the site directory. NARs are looked up, in order:
+ * at an absolute narinfo `URL`, in the site's own `nar/` directory, and at the
+ * NAR base URL the site was generated with (recorded in its manifest).
+ */
+class StaticSiteSource {
+  /**
+   * @param {string} siteDir
+   * @param {object} [options]
+   * @param {string} [options.narBaseUrl] - overrides the base URL from the manifest
+   */
+  constructor(siteDir, { narBaseUrl } = {}) {
+    this.siteDir = siteDir;
+    this.narBaseUrl = narBaseUrl || null;
+    this._absoluteUrls = new Map();
+  }
+
+  async _init() {
+    if (this.narBaseUrl !== null) return;
+    try {
+      const manifest = JSON.parse(await fsp.readFile(path.join(this.siteDir, MANIFEST_FILENAME), 'utf8'));
+      this.narBaseUrl = JSON.parse(manifest.settings).narBaseUrl || '';
+    } catch {
+      this.narBaseUrl = '';
+    }
+  }
+
+  async listNarinfo() {
+    await this._init();
+    const entries = await fsp.readdir(this.siteDir);
+    return entries
+      .filter(name => name.endsWith('.narinfo'))
+      .map(name => name.slice(0, -'.narinfo'.length))
+      .sort();
+  }
+
+  async getNarinfo(hash) {
+    let content;
+    try {
+      content = await fsp.readFile(path.join(this.siteDir, `${hash}.narinfo`), 'utf8');
+    } catch {
+      return null;
+    }
+    // Remember absolute URLs so NAR lookups by filename can follow them
+    const { url } = parseNarinfo(content);
+    if (url && /^https?:\/\//.test(url)) {
+      this._absoluteUrls.set(narFilename({ url }), url);
+    }
+    return content;
+  }
+
+  async hasNar(filename) {
+    const local = path.join(this.siteDir, 'nar', filename);
+    if (fs.existsSync(local)) return true;
+    const url = this._narUrl(filename);
+    if (!url) return false;
+    const resp = await fetch(url, { method: 'HEAD', redirect: 'follow' });
+    return resp.ok;
+  }
+
+  async getNarStream(filename) {
+    const local = path.join(this.siteDir, 'nar', filename);
+    if (fs.existsSync(local)) return fs.createReadStream(local);
+    const url = this._narUrl(filename);
+    if (!url) return null;
+    const resp = await fetch(url, { redirect: 'follow' });
+    if (!resp.ok) return null;
+    return Readable.fromWeb(resp.body);
+  }
+
+  _narUrl(filename) {
+    if (this._absoluteUrls.has(filename)) return this._absoluteUrls.get(filename);
+    if (!this.narBaseUrl) return null;
+    return `${this.narBaseUrl}/${encodeURIComponent(filename)}`;
+  }
+}
+
+/**
+ * Audit every narinfo in a cache.
+ *
+ * For each narinfo this checks that it parses and has the required fields,
+ * that it is signed by one of `publicKeys` (when given), that its NAR exists
+ * with matching compression, `FileHash` and `FileSize` (plus `NarHash` and
+ * `NarSize` for uncompressed NARs), and that every store path in
+ * `References` has a narinfo in the same cache.
+ *
+ * @param {object} source - storage backend or StaticSiteSource (must implement
+ *   `listNarinfo`, `getNarinfo`, `hasNar` and `getNarStream`)
+ * @param {object} [options]
+ * @param {string[]} [options.publicKeys=[]] - trusted "<keyname>:<base64-public-key>"
+ *   strings; signatures are not checked when empty
+ * @param {boolean} [options.hashNars=true] - download and hash each NAR; when
+ *   false only NAR existence is checked
+ * @returns {Promise<{ total: number, ok: number, signaturesChecked: boolean,
+ *   narsHashed: boolean, problems: { hash: string, storePath: string|null, check: string, message: string }[] }>}
+ */
+async function verifyCache(source, { publicKeys = [], hashNars = true } = {}) {
+  const hashes = await source.listNarinfo();
+  const known = new Set(hashes);
+  const narResults = new Map();
+  const problems = [];
+  let ok = 0;
+
+  for (const hash of hashes) {
+    const found = [];
+    const report = (check, message) => found.push({ hash, storePath: null, check, message });
+
+    const content = await source.getNarinfo(hash);
+    if (content === null) {
+      report('parse', 'narinfo could not be read');
+    } else {
+      const narinfo = parseNarinfo(content);
+      const errors = validateNarinfo(narinfo);
+      errors.forEach(error => report('parse', error));
+
+      if (!errors.length) {
+        if (storePathHash(narinfo.storePath) !== hash) {
+          report('parse', `StorePath: ${narinfo.storePath} does not match the narinfo name ${hash}`);
+        }
+
+        if (publicKeys.length && !hasTrustedSignature(narinfo, publicKeys)) {
+          report('signature', narinfo.sigs.length
+            ? 'Sig: no valid signature from a trusted key'
+            : 'Sig: narinfo is not signed');
+        }
+
+        const narProblem = await checkNar(source, narinfo, { hashNars, narResults });
+        if (narProblem) report('nar', narProblem);
+
+        const { storePath, references } = fingerprintFields(narinfo);
+        for (const ref of references) {
+          if (ref !== storePath && !known.has(storePathHash(ref))) {
+            report('reference', `References: ${ref} has no narinfo in this cache`);
+          }
+        }
+      }
+
+      for (const problem of found) problem.storePath = narinfo.storePath || null;
+    }
+
+    if (found.length) {
+      problems.push(...found);
+    } else {
+      ok++;
+    }
+  }
+
+  return { total: hashes.length, ok, signaturesChecked: publicKeys.length > 0, narsHashed: hashNars, problems };
+}
+
+/**
+ * Check the NAR a narinfo points at. Results are cached per NAR filename so
+ * NARs shared between narinfo are only downloaded once.
+ */
+async function checkNar(source, narinfo, { hashNars, narResults }) {
+  const compressionProblem = checkNarCompression(narinfo);
+  if (compressionProblem) return compressionProblem;
+
+  const filename = narFilename(narinfo);
+  if (!narResults.has(filename)) {
+    narResults.set(filename, await readNar(source, filename, hashNars));
+  }
+  const stored = narResults.get(filename);
+
+  if (stored.error) return `URL: NAR ${narinfo.url} ${stored.error}`;
+  if (!stored.digest) return null;
+  return checkNarFile(narinfo, stored);
+}
+
+async function readNar(source, filename, hashNars) {
+  try {
+    if (!hashNars) {
+      return (await source.hasNar(filename)) ? {} : { error: 'does not exist' };
+    }
+    const narStream = await source.getNarStream(filename);
+    if (!narStream) return { error: 'does not exist' };
+    return await hashStream(narStream);
+  } catch (err) {
+    return { error: `could not be read: ${err.message}` };
+  }
+}
+
+/**
+ * Render a `verifyCache` result as a human-readable report.
+ * @param {object} result
+ * @returns {string}
+ */
+function formatReport(result) {
+  const lines = [];
+  const byNarinfo = new Map();
+  for (const problem of result.problems) {
+    if (!byNarinfo.has(problem.hash)) byNarinfo.set(problem.hash, []);
+    byNarinfo.get(problem.hash).push(problem);
+  }
+
+  for (const [hash, problems] of byNarinfo) {
+    lines.push(`${hash}.narinfo${problems[0].storePath ? ` (${problems[0].storePath})` : ''}`);
+    for (const { check, message } of problems) {
+      lines.push(`  [${check}] ${message}`);
+    }
+  }
+  if (byNarinfo.size) lines.push('');
+
+  lines.push(`Checked ${result.total} narinfo file(s): ${result.ok} ok, ${byNarinfo.size} with problems`);
+  if (!result.signaturesChecked) lines.push('  Signatures were not checked (no public keys given)');
+  if (!result.narsHashed) lines.push('  NAR contents were not hashed (existence only)');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { StaticSiteSource, verifyCache, formatReport };
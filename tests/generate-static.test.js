@@ -67,6 +67,32 @@ describe('generateStaticSite', () => {
     expect(out2).toBe(narinfo2);
   });
 
+  test('leaves out narinfo whose NAR is stored in parts', async () => {
+    const small = 'StorePath: /nix/store/abc-pkg\nURL: nar/abc.nar.xz\n';
+    const big = 'StorePath: /nix/store/def-pkg\nURL: nar/def.nar.xz\n';
+    await fsp.writeFile(path.join(narinfoDir, 'abc.narinfo'), small);
+    await fsp.writeFile(path.join(narinfoDir, 'def.narinfo'), big);
+    const options = {
+      narinfoDirPath: narinfoDir,
+      outputDir,
+      githubOwner: 'testowner',
+      githubRepo: 'testrepo',
+      githubReleaseTag: 'nix-cache',
+    };
+
+    const first = await generateStaticSite(options);
+    expect(first.chunked).toEqual([]);
+    expect(fs.existsSync(path.join(outputDir, 'def.narinfo'))).toBe(true);
+
+    // Re-uploaded in parts since: the earlier copy goes too
+    const second = await generateStaticSite({ ...options, chunkedNars: ['def.nar.xz'] });
+    expect(second.chunked).toEqual(['def.narinfo']);
+    expect(second.narinfoCount).toBe(1);
+    expect(second.changes.removed).toEqual(['def.narinfo']);
+    expect(fs.existsSync(path.join(outputDir, 'def.narinfo'))).toBe(false);
+    expect(await fsp.readFile(path.join(outputDir, '_redirects'), 'utf8')).not.toContain('def.nar.xz');
+  });
+
   test('generates _redirects file for Cloudflare Pages', async () => {
     await generateStaticSite({
       narinfoDirPath: narinfoDir,
@@ -82,6 +108,39 @@ describe('generateStaticSite', () => {
     expect(redirects).toContain('302');
   });
 
+  test('emits redirect files for the selected target', async () => {
+    await fsp.writeFile(
+      path.join(narinfoDir, 'abc.narinfo'),
+      'StorePath: /nix/store/abc-pkg\nURL: nar/abc.nar.xz\nNarHash: sha256:abc\nNarSize: 100\n'
+    );
+
+    const result = await generateStaticSite({
+      narinfoDirPath: narinfoDir,
+      outputDir,
+      githubOwner: 'myorg',
+      githubRepo: 'myproject',
+      githubReleaseTag: 'nix-cache',
+      target: 'html',
+    });
+
+    expect(result.target).toBe('html');
+    expect(result.redirectFiles).toEqual(['nar/abc.nar.xz.html']);
+    expect(fs.existsSync(path.join(outputDir, '_redirects'))).toBe(false);
+    const page = await fsp.readFile(path.join(outputDir, 'nar', 'abc.nar.xz.html'), 'utf8');
+    expect(page).toContain('https://github.com/myorg/myproject/releases/download/nix-cache/abc.nar.xz');
+  });
+
+  test('rejects unknown redirect targets', async () => {
+    await expect(generateStaticSite({
+      narinfoDirPath: narinfoDir,
+      outputDir,
+      githubOwner: 'owner',
+      githubRepo: 'repo',
+      githubReleaseTag: 'tag',
+      target: 'apache',
+    })).rejects.toThrow(/Unknown redirect target/);
+  });
+
   test('uses default storeDir and priority when not specified', async () => {
     await generateStaticSite({
       narinfoDirPath: narinfoDir,
@@ -109,6 +168,266 @@ describe('generateStaticSite', () => {
     expect(result.outputDir).toBe(outputDir);
   });
 
+  test('redirects NARs on shard releases per shard', async () => {
+    for (const hash of ['0abc', '0abd', '1def']) {
+      await fsp.writeFile(path.join(narinfoDir, `${hash}.narinfo`), `StorePath: /nix/store/${hash}-pkg\nURL: nar/${hash}.nar.xz\nNarHash: sha256:abc\nNarSize: 1\nReferences: \n`);
+    }
+    await fsp.writeFile(path.join(narinfoDir, 'xyz.narinfo'), 'StorePath: /nix/store/xyz-pkg\nURL: nar/-old.nar.xz\nNarHash: sha256:abc\nNarSize: 1\nReferences: \n');
+
+    const base = 'https://github.com/testowner/testrepo/releases/download/nix-cache';
+    const result = await generateStaticSite({
+      narinfoDirPath: narinfoDir,
+      outputDir,
+      githubOwner: 'testowner',
+      githubRepo: 'testrepo',
+      githubReleaseTag: 'nix-cache',
+      githubShardPrefixLength: 1,
+      absoluteNarUrls: true,
+    });
+
+    expect(result.shardCount).toBe(2);
+    expect(await fsp.readFile(path.join(outputDir, '_redirects'), 'utf8')).toBe(
+      `/nar/0* ${base}-0/0:splat 302\n` +
+      `/nar/1* ${base}-1/1:splat 302\n` +
+      `/nar/:filename ${base}/:filename 302\n`
+    );
+    expect(await fsp.readFile(path.join(outputDir, '1def.narinfo'), 'utf8')).toContain(`URL: ${base}-1/1def.nar.xz\n`);
+    expect(await fsp.readFile(path.join(outputDir, 'xyz.narinfo'), 'utf8')).toContain(`URL: ${base}/-old.nar.xz\n`);
+  });
+
+  test('keeps NARs uploaded before sharding on the base release', async () => {
+    for (const hash of ['0abc', '0old']) {
+      await fsp.writeFile(path.join(narinfoDir, `${hash}.narinfo`), `StorePath: /nix/store/${hash}-pkg\nURL: nar/${hash}.nar.xz\nNarHash: sha256:abc\nNarSize: 1\nReferences: \n`);
+    }
+
+    const base = 'https://github.com/testowner/testrepo/releases/download/nix-cache';
+    const result = await generateStaticSite({
+      narinfoDirPath: narinfoDir,
+      outputDir,
+      githubOwner: 'testowner',
+      githubRepo: 'testrepo',
+      githubReleaseTag: 'nix-cache',
+      githubShardPrefixLength: 1,
+      baseReleaseNars: ['0old.nar.xz', '9gone.nar.xz'],
+      absoluteNarUrls: true,
+    });
+
+    expect(result.baseReleaseNarCount).toBe(1);
+    expect(await fsp.readFile(path.join(outputDir, '_redirects'), 'utf8')).toBe(
+      `/nar/0old.nar.xz ${base}/0old.nar.xz 302\n` +
+      `/nar/0* ${base}-0/0:splat 302\n` +
+      `/nar/:filename ${base}/:filename 302\n`
+    );
+    expect(await fsp.readFile(path.join(outputDir, '0old.narinfo'), 'utf8')).toContain(`URL: ${base}/0old.nar.xz\n`);
+    expect(await fsp.readFile(path.join(outputDir, '0abc.narinfo'), 'utf8')).toContain(`URL: ${base}-0/0abc.nar.xz\n`);
+  });
+
+  test('rewrites narinfo URLs to absolute release URLs when enabled', async () => {
+    const narinfo = 'StorePath: /nix/store/abc-pkg\nURL: nar/abc.nar.xz\nCompression: xz\nNarHash: sha256:abc\nNarSize: 100\nReferences: \nSig: test-1:c2ln\n';
+    await fsp.writeFile(path.join(narinfoDir, 'abc.narinfo'), narinfo);
+
+    const result = await generateStaticSite({
+      narinfoDirPath: narinfoDir,
+      outputDir,
+      githubOwner: 'myorg',
+      githubRepo: 'myproject',
+      githubReleaseTag: 'nix-cache',
+      absoluteNarUrls: true,
+    });
+
+    expect(result.rewrittenCount).toBe(1);
+    expect(result.unrewritten).toEqual([]);
+
+    const out = await fsp.readFile(path.join(outputDir, 'abc.narinfo'), 'utf8');
+    expect(out).toBe(narinfo.replace(
+      'URL: nar/abc.nar.xz',
+      'URL: https://github.com/myorg/myproject/releases/download/nix-cache/abc.nar.xz'
+    ));
+  });
+
+  test('reports narinfo it could not rewrite and copies them unchanged', async () => {
+    const noUrl = 'StorePath: /nix/store/abc-pkg\nNarHash: sha256:abc\nNarSize: 100\n';
+    const noHash = 'StorePath: /nix/store/def-pkg\nURL: nar/def.nar\n';
+    await fsp.writeFile(path.join(narinfoDir, 'abc.narinfo'), noUrl);
+    await fsp.writeFile(path.join(narinfoDir, 'def.narinfo'), noHash);
+
+    const result = await generateStaticSite({
+      narinfoDirPath: narinfoDir,
+      outputDir,
+      githubOwner: 'owner',
+      githubRepo: 'repo',
+      githubReleaseTag: 'tag',
+      absoluteNarUrls: true,
+    });
+
+    expect(result.rewrittenCount).toBe(0);
+    expect(result.unrewritten.map(u => u.filename).sort()).toEqual(['abc.narinfo', 'def.narinfo']);
+    expect(await fsp.readFile(path.join(outputDir, 'abc.narinfo'), 'utf8')).toBe(noUrl);
+    expect(await fsp.readFile(path.join(outputDir, 'def.narinfo'), 'utf8')).toBe(noHash);
+  });
+
+  test('only writes added or changed narinfo on repeated runs', async () => {
+    const options = {
+      narinfoDirPath: narinfoDir,
+      outputDir,
+      githubOwner: 'owner',
+      githubRepo: 'repo',
+      githubReleaseTag: 'tag',
+    };
+    await fsp.writeFile(path.join(narinfoDir, 'abc.narinfo'), 'StorePath: /nix/store/abc-pkg\nURL: nar/abc.nar\n');
+    await fsp.writeFile(path.join(narinfoDir, 'def.narinfo'), 'StorePath: /nix/store/def-pkg\nURL: nar/def.nar\n');
+
+    const first = await generateStaticSite(options);
+    expect(first.changes).toEqual({ added: ['abc.narinfo', 'def.narinfo'], updated: [], removed: [], unchanged: 0 });
+
+    const second = await generateStaticSite(options);
+    expect(second.changes).toEqual({ added: [], updated: [], removed: [], unchanged: 2 });
+
+    await fsp.writeFile(path.join(narinfoDir, 'abc.narinfo'), 'StorePath: /nix/store/abc-pkg\nURL: nar/abc2.nar\n');
+    await fsp.rm(path.join(narinfoDir, 'def.narinfo'));
+    await fsp.writeFile(path.join(narinfoDir, 'ghi.narinfo'), 'StorePath: /nix/store/ghi-pkg\nURL: nar/ghi.nar\n');
+
+    const third = await generateStaticSite(options);
+    expect(third.changes).toEqual({
+      added: ['ghi.narinfo'],
+      updated: ['abc.narinfo'],
+      removed: ['def.narinfo'],
+      unchanged: 0,
+    });
+    expect(await fsp.readFile(path.join(outputDir, 'abc.narinfo'), 'utf8')).toContain('URL: nar/abc2.nar');
+    expect(fs.existsSync(path.join(outputDir, 'def.narinfo'))).toBe(false);
+    expect(third.narinfoCount).toBe(2);
+  });
+
+  test('does not rewrite a narinfo whose content is unchanged', async () => {
+    const options = {
+      narinfoDirPath: narinfoDir,
+      outputDir,
+      githubOwner: 'owner',
+      githubRepo: 'repo',
+      githubReleaseTag: 'tag',
+    };
+    const sourcePath = path.join(narinfoDir, 'abc.narinfo');
+    await fsp.writeFile(sourcePath, 'StorePath: /nix/store/abc-pkg\n');
+    await generateStaticSite(options);
+
+    // Touch the source without changing its content
+    const later = new Date(Date.now() + 60_000);
+    await fsp.utimes(sourcePath, later, later);
+    const outputMtime = (await fsp.stat(path.join(outputDir, 'abc.narinfo'))).mtimeMs;
+
+    const result = await generateStaticSite(options);
+    expect(result.changes.unchanged).toBe(1);
+    expect((await fsp.stat(path.join(outputDir, 'abc.narinfo'))).mtimeMs).toBe(outputMtime);
+  });
+
+  test('removes narinfo that disappeared from the source on a forced run', async () => {
+    const options = {
+      narinfoDirPath: narinfoDir,
+      outputDir,
+      githubOwner: 'owner',
+      githubRepo: 'repo',
+      githubReleaseTag: 'tag',
+    };
+    await fsp.writeFile(path.join(narinfoDir, 'abc.narinfo'), 'StorePath: /nix/store/abc-pkg\nURL: nar/abc.nar\n');
+    await fsp.writeFile(path.join(narinfoDir, 'def.narinfo'), 'StorePath: /nix/store/def-pkg\nURL: nar/def.nar\n');
+    await generateStaticSite(options);
+
+    await fsp.rm(path.join(narinfoDir, 'def.narinfo'));
+    const result = await generateStaticSite({ ...options, force: true });
+
+    expect(result.changes).toEqual({ added: [], updated: ['abc.narinfo'], removed: ['def.narinfo'], unchanged: 0 });
+    expect(fs.existsSync(path.join(outputDir, 'def.narinfo'))).toBe(false);
+
+    const next = await generateStaticSite(options);
+    expect(next.changes).toEqual({ added: [], updated: [], removed: [], unchanged: 1 });
+  });
+
+  test('regenerates everything when settings change', async () => {
+    const options = {
+      narinfoDirPath: narinfoDir,
+      outputDir,
+      githubOwner: 'owner',
+      githubRepo: 'repo',
+      githubReleaseTag: 'tag',
+    };
+    await fsp.writeFile(
+      path.join(narinfoDir, 'abc.narinfo'),
+      'StorePath: /nix/store/abc-pkg\nURL: nar/abc.nar\nNarHash: sha256:abc\nNarSize: 100\n'
+    );
+    await generateStaticSite(options);
+
+    const result = await generateStaticSite({ ...options, absoluteNarUrls: true });
+    expect(result.changes.updated).toEqual(['abc.narinfo']);
+    expect(result.rewrittenCount).toBe(1);
+    expect(await fsp.readFile(path.join(outputDir, 'abc.narinfo'), 'utf8'))
+      .toContain('URL: https://github.com/owner/repo/releases/download/tag/abc.nar');
+  });
+
+  test('mirrors realisations into the site', async () => {
+    const realisationsDir = path.join(tmpDir, 'realisations');
+    await fsp.mkdir(realisationsDir);
+    const id = 'sha256:6e5a1b2bc3fd1f5e0d9e8e7e2b3c1fd56d6f8e7d6c5b4a39281706f5e4d3c2b1!out';
+    await fsp.writeFile(path.join(realisationsDir, `${id}.doi`), '{"id":"a"}');
+    await fsp.writeFile(path.join(realisationsDir, 'stale!out.doi'), '{"id":"b"}');
+    const options = {
+      narinfoDirPath: narinfoDir,
+      realisationsDirPath: realisationsDir,
+      outputDir,
+      githubOwner: 'testowner',
+      githubRepo: 'testrepo',
+      githubReleaseTag: 'nix-cache',
+    };
+
+    let result = await generateStaticSite(options);
+    expect(result.realisationCount).toBe(2);
+    expect(await fsp.readFile(path.join(outputDir, 'realisations', `${id}.doi`), 'utf8')).toBe('{"id":"a"}');
+
+    await fsp.rm(path.join(realisationsDir, 'stale!out.doi'));
+    result = await generateStaticSite(options);
+    expect(result.realisationCount).toBe(1);
+    expect(fs.readdirSync(path.join(outputDir, 'realisations'))).toEqual([`${id}.doi`]);
+  });
+
+  test('publishes NAR listings next to the narinfo', async () => {
+    const listingsDir = path.join(tmpDir, 'listings');
+    await fsp.mkdir(listingsDir);
+    await fsp.writeFile(path.join(listingsDir, 'abc.ls'), '{"version":1}');
+    await fsp.writeFile(path.join(listingsDir, 'old.ls'), '{"version":1}');
+    const options = {
+      narinfoDirPath: narinfoDir,
+      listingsDirPath: listingsDir,
+      outputDir,
+      githubOwner: 'testowner',
+      githubRepo: 'testrepo',
+      githubReleaseTag: 'nix-cache',
+    };
+
+    let result = await generateStaticSite(options);
+    expect(result.listingCount).toBe(2);
+    expect(await fsp.readFile(path.join(outputDir, 'abc.ls'), 'utf8')).toBe('{"version":1}');
+
+    await fsp.rm(path.join(listingsDir, 'old.ls'));
+    result = await generateStaticSite(options);
+    expect(result.listingCount).toBe(1);
+    expect(fs.existsSync(path.join(outputDir, 'old.ls'))).toBe(false);
+  });
+
+  test('redirects build logs to the release', async () => {
+    const result = await generateStaticSite({
+      narinfoDirPath: narinfoDir,
+      logs: ['aaaabbbbccccddddaaaabbbbccccdddd-pkg.drv'],
+      outputDir,
+      githubOwner: 'testowner',
+      githubRepo: 'testrepo',
+      githubReleaseTag: 'nix-cache',
+    });
+
+    expect(result.logCount).toBe(1);
+    const redirects = await fsp.readFile(path.join(outputDir, '_redirects'), 'utf8');
+    expect(redirects).toContain('/log/:filename https://github.com/testowner/testrepo/releases/download/nix-cache/:filename 302');
+  });
+
   test('handles empty narinfo directory gracefully', async () => {
     const result = await generateStaticSite({
       narinfoDirPath: path.join(tmpDir, 'nonexistent'),
@@ -0,0 +1,195 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockFetch = jest.fn();
+global.fetch = mockFetch;
+
+const { GitHubClient } = require('../src/github-client');
+const { GitBranchStore } = require('../src/git-branch-store');
+
+const API = 'https://api.github.com/repos/o/r';
+
+// A fake Git Data API holding one repository's refs, commits, trees and blobs
+function fakeRepo() {
+  const repo = { refs: new Map(), commits: new Map(), trees: new Map(), blobs: new Map(), nextSha: 1 };
+  const sha = () => String(repo.nextSha++).padStart(40, '0');
+  const json = (status, body) => ({ ok: status < 300, status, json: async () => body, text: async () => JSON.stringify(body) });
+
+  repo.files = (ref = 'heads/meta') => {
+    const head = repo.refs.get(ref);
+    if (!head) return null;
+    const tree = repo.trees.get(repo.commits.get(head).tree);
+    return Object.fromEntries([...tree].map(([name, blob]) => [name, repo.blobs.get(blob)]));
+  };
+  // Another writer committing to the branch
+  repo.commitElsewhere = (name, content) => {
+    const head = repo.refs.get('heads/meta');
+    const tree = new Map(head ? repo.trees.get(repo.commits.get(head).tree) : []);
+    const blob = sha();
+    repo.blobs.set(blob, content);
+    tree.set(name, blob);
+    const treeSha = sha();
+    repo.trees.set(treeSha, tree);
+    const commit = sha();
+    repo.commits.set(commit, { tree: treeSha, parents: head ? [head] : [] });
+    repo.refs.set('heads/meta', commit);
+  };
+  repo.beforeRefUpdate = null;
+
+  repo.fetch = async (url, init = {}) => {
+    const method = init.method || 'GET';
+    const body = init.body ? JSON.parse(init.body) : null;
+    const apiPath = url.slice(API.length);
+    let match;
+
+    if ((match = /^\/git\/ref\/(.+)$/.exec(apiPath))) {
+      const head = repo.refs.get(match[1]);
+      return head ? json(200, { object: { sha: head } }) : json(404, { message: 'Not Found' });
+    }
+    if ((match = /^\/git\/commits\/(\w+)$/.exec(apiPath))) {
+      return json(200, { sha: match[1], tree: { sha: repo.commits.get(match[1]).tree } });
+    }
+    if ((match = /^\/git\/trees\/(\w+)$/.exec(apiPath))) {
+      const tree = repo.trees.get(match[1]);
+      return json(200, { truncated: false, tree: [...tree].map(([name, blob]) => ({ path: name, type: 'blob', sha: blob })) });
+    }
+    if ((match = /^\/git\/blobs\/(\w+)$/.exec(apiPath))) {
+      return json(200, { content: Buffer.from(repo.blobs.get(match[1])).toString('base64'), encoding: 'base64' });
+    }
+    if (method === 'POST' && apiPath === '/git/trees') {
+      const tree = new Map(body.base_tree ? repo.trees.get(body.base_tree) : []);
+      for (const entry of body.tree) {
+        const blob = sha();
+        repo.blobs.set(blob, entry.content);
+        tree.set(entry.path, blob);
+      }
+      const treeSha = sha();
+      repo.trees.set(treeSha, tree);
+      return json(201, { sha: treeSha });
+    }
+    if (method === 'POST' && apiPath === '/git/commits') {
+      const commit = sha();
+      repo.commits.set(commit, { tree: body.tree, parents: body.parents, message: body.message });
+      return json(201, { sha: commit });
+    }
+    if (repo.beforeRefUpdate) {
+      const hook = repo.beforeRefUpdate;
+      repo.beforeRefUpdate = null;
+      hook();
+    }
+    if (method === 'POST' && apiPath === '/git/refs') {
+      const ref = body.ref.replace(/^refs\//, '');
+      if (repo.refs.has(ref)) return json(422, { message: 'Reference already exists' });
+      repo.refs.set(ref, body.sha);
+      return json(201, {});
+    }
+    if (method === 'PATCH' && (match = /^\/git\/refs\/(.+)$/.exec(apiPath))) {
+      const current = repo.refs.get(match[1]);
+      if (!repo.commits.get(body.sha).parents.includes(current)) {
+        return json(422, { message: 'Update is not a fast forward' });
+      }
+      repo.refs.set(match[1], body.sha);
+      return json(200, {});
+    }
+    throw new Error(`Unexpected request ${method} ${url}`);
+  };
+  return repo;
+}
+
+describe('GitBranchStore', () => {
+  let repo;
+  let store;
+  let tmpDir;
+
+  beforeEach(() => {
+    repo = fakeRepo();
+    mockFetch.mockReset();
+    mockFetch.mockImplementation(repo.fetch);
+    store = new GitBranchStore({
+      client: new GitHubClient({ token: 't', sleep: async () => {} }),
+      owner: 'o',
+      repo: 'r',
+      branch: 'meta',
+      batchSize: 3,
+      flushSeconds: 3600,
+    });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'static-nix-cache-branch-test-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const commits = () => mockFetch.mock.calls.filter(([url]) => url.endsWith('/git/commits')).length;
+
+  test('commits pending files in one commit, creating an orphan branch', async () => {
+    await store.put('a.narinfo', 'A');
+    await store.put('b.narinfo', 'B');
+    expect(commits()).toBe(0);
+
+    await store.flush();
+
+    expect(repo.files()).toEqual({ 'a.narinfo': 'A', 'b.narinfo': 'B' });
+    expect(repo.commits.get(repo.refs.get('heads/meta'))).toMatchObject({ parents: [], message: 'Add 2 file(s)' });
+  });
+
+  test('commits on its own once a batch is full', async () => {
+    for (const name of ['a', 'b', 'c', 'd']) await store.put(`${name}.narinfo`, name);
+    expect(commits()).toBe(1);
+    expect(Object.keys(repo.files())).toEqual(['a.narinfo', 'b.narinfo', 'c.narinfo']);
+
+    await store.flush();
+    expect(Object.keys(repo.files())).toEqual(['a.narinfo', 'b.narinfo', 'c.narinfo', 'd.narinfo']);
+  });
+
+  test('commits on its own after flushSeconds', async () => {
+    store.flushMs = 10;
+    await store.put('a.narinfo', 'A');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(repo.files()).toEqual({ 'a.narinfo': 'A' });
+  });
+
+  test('commits again on top of a concurrent commit', async () => {
+    repo.commitElsewhere('x.narinfo', 'X');
+    await store.put('a.narinfo', 'A');
+    repo.beforeRefUpdate = () => repo.commitElsewhere('y.narinfo', 'Y');
+
+    await store.flush();
+
+    expect(repo.files()).toEqual({ 'x.narinfo': 'X', 'y.narinfo': 'Y', 'a.narinfo': 'A' });
+    expect(commits()).toBe(2);
+  });
+
+  test('keeps files pending when a commit fails', async () => {
+    await store.put('a.narinfo', 'A');
+    mockFetch.mockImplementationOnce(async () => ({ ok: false, status: 403, text: async () => 'Forbidden' }));
+
+    await expect(store.flush()).rejects.toThrow('Failed to read branch meta: 403 Forbidden');
+    expect(repo.files()).toBeNull();
+
+    await store.flush();
+    expect(repo.files()).toEqual({ 'a.narinfo': 'A' });
+  });
+
+  test('fetchAll downloads the files not present locally', async () => {
+    repo.commitElsewhere('a.narinfo', 'A');
+    repo.commitElsewhere('b.narinfo', 'B');
+    repo.commitElsewhere('nix-cache-info', 'StoreDir: /nix/store\n');
+    fs.writeFileSync(path.join(tmpDir, 'a.narinfo'), 'local');
+
+    expect(await store.fetchAll('.narinfo', tmpDir)).toBe(1);
+    expect(fs.readdirSync(tmpDir).sort()).toEqual(['a.narinfo', 'b.narinfo']);
+    expect(fs.readFileSync(path.join(tmpDir, 'a.narinfo'), 'utf8')).toBe('local');
+    expect(fs.readFileSync(path.join(tmpDir, 'b.narinfo'), 'utf8')).toBe('B');
+  });
+
+  test('fetchAll finds nothing before the branch exists', async () => {
+    expect(await store.fetchAll('.narinfo', tmpDir)).toBe(0);
+  });
+});
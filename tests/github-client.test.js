@@ -0,0 +1,227 @@
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { GitHubClient, isAlreadyExists } = require('../src/github-client');
+const GitHubReleasesStorage = require('../src/storage/github-releases');
+
+// A local HTTP server answering each request with the next scripted reply:
+// { status, headers, body } or 'reset' to drop the connection.
+function startServer() {
+  const replies = [];
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, body: Buffer.concat(chunks).toString() });
+      const reply = replies.shift() || { status: 500, body: 'no reply scripted' };
+      if (reply === 'reset') {
+        req.socket.destroy();
+        return;
+      }
+      const body = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body || {});
+      res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+      res.end(body);
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        replies,
+        requests,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+describe('GitHubClient', () => {
+  let server;
+  let waits;
+  let client;
+
+  beforeEach(async () => {
+    server = await startServer();
+    waits = [];
+    client = new GitHubClient({ token: 't', maxRetries: 3, sleep: async ms => waits.push(ms) });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server.close();
+  });
+
+  test('retries 5xx responses with exponential backoff', async () => {
+    server.replies.push({ status: 502 }, { status: 503 }, { status: 200, body: { id: 1 } });
+    const resp = await client.request(`${server.url}/x`);
+    expect(resp.status).toBe(200);
+    expect(await resp.json()).toEqual({ id: 1 });
+    expect(waits).toEqual([1000, 2000]);
+    expect(client.metrics).toEqual({ requests: 3, retries: 2, rateLimited: 0, failures: 0 });
+  });
+
+  test('gives up after maxRetries and returns the last response', async () => {
+    server.replies.push({ status: 500 }, { status: 500 }, { status: 500 }, { status: 500 });
+    const resp = await client.request(`${server.url}/x`);
+    expect(resp.status).toBe(500);
+    expect(server.requests).toHaveLength(4);
+    expect(client.metrics).toMatchObject({ retries: 3, failures: 1 });
+  });
+
+  test('retries connection resets and replays the body', async () => {
+    server.replies.push('reset', { status: 201, body: { id: 2 } });
+    const resp = await client.request(`${server.url}/upload`, { method: 'POST', body: Buffer.from('nar') });
+    expect(resp.status).toBe(201);
+    expect(server.requests.map(r => r.body)).toEqual(['nar', 'nar']);
+    expect(client.metrics.retries).toBe(1);
+  });
+
+  test('waits for Retry-After on secondary rate limits', async () => {
+    server.replies.push(
+      { status: 403, headers: { 'Retry-After': '7' }, body: { message: 'You have exceeded a secondary rate limit' } },
+      { status: 200 }
+    );
+    expect((await client.request(`${server.url}/x`)).status).toBe(200);
+    expect(waits).toEqual([7000]);
+    expect(client.metrics.rateLimited).toBe(1);
+  });
+
+  test('waits until X-RateLimit-Reset when the primary limit is used up', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const reset = Math.floor(now / 1000) + 30;
+    server.replies.push(
+      { status: 403, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(reset) } },
+      { status: 200 }
+    );
+    expect((await client.request(`${server.url}/x`)).status).toBe(200);
+    expect(waits).toEqual([reset * 1000 - now + 1000]);
+  });
+
+  test('recognizes secondary rate limits by their message', async () => {
+    server.replies.push({ status: 403, body: { message: 'You have exceeded a secondary rate limit.' } }, { status: 200 });
+    expect((await client.request(`${server.url}/x`)).status).toBe(200);
+    expect(waits).toEqual([60000]);
+  });
+
+  test('does not retry other client errors', async () => {
+    server.replies.push({ status: 403, body: { message: 'Resource not accessible by integration' } });
+    const resp = await client.request(`${server.url}/x`);
+    expect(resp.status).toBe(403);
+    expect(await resp.json()).toEqual({ message: 'Resource not accessible by integration' });
+    expect(waits).toEqual([]);
+    expect(client.metrics).toMatchObject({ requests: 1, retries: 0, failures: 1 });
+  });
+
+  test('does not wait for a rate limit that resets too far ahead', async () => {
+    server.replies.push({ status: 429, headers: { 'Retry-After': '3600' } });
+    expect((await client.request(`${server.url}/x`)).status).toBe(429);
+    expect(waits).toEqual([]);
+  });
+
+  test('isAlreadyExists recognizes duplicate asset uploads', async () => {
+    server.replies.push(
+      { status: 422, body: { message: 'Validation Failed', errors: [{ resource: 'ReleaseAsset', code: 'already_exists', field: 'name' }] } },
+      { status: 422, body: { message: 'Validation Failed', errors: [{ code: 'invalid' }] } }
+    );
+    expect(await isAlreadyExists(await client.request(`${server.url}/a`))).toBe(true);
+    expect(await isAlreadyExists(await client.request(`${server.url}/b`))).toBe(false);
+  });
+});
+
+describe('GitHubReleasesStorage against a flaky API', () => {
+  let server;
+  let tmpDir;
+  let storage;
+
+  beforeEach(async () => {
+    server = await startServer();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'static-nix-cache-gh-client-test-'));
+    storage = new GitHubReleasesStorage({
+      owner: 'o',
+      repo: 'r',
+      releaseTag: 'nix-cache',
+      localPath: tmpDir,
+      apiUrl: server.url,
+      uploadsUrl: server.url,
+      client: new GitHubClient({ token: 't', sleep: async () => {} }),
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('an upload retried after a lost response counts as done', async () => {
+    server.replies.push(
+      { status: 200, body: { id: 42 } },
+      { status: 200, body: [] },
+      // The upload lands, but the response is a 502
+      { status: 502 },
+      { status: 422, body: { message: 'Validation Failed', errors: [{ code: 'already_exists' }] } },
+      { status: 200, body: [{ id: 9, name: 'abc.nar.xz', size: 3, state: 'uploaded' }] }
+    );
+
+    await storage.putNarStream('abc.nar.xz', Readable.from([Buffer.from('nar')]));
+
+    expect(server.requests.map(r => `${r.method} ${r.url}`)).toEqual([
+      'GET /repos/o/r/releases/tags/nix-cache',
+      'GET /repos/o/r/releases/42/assets?per_page=100&page=1',
+      'POST /repos/o/r/releases/42/assets?name=abc.nar.xz',
+      'POST /repos/o/r/releases/42/assets?name=abc.nar.xz',
+      'GET /repos/o/r/releases/42/assets?per_page=100&page=1',
+    ]);
+    expect(await storage.hasNar('abc.nar.xz')).toBe(true);
+  });
+
+  test('streams large NARs from disk, again on retry', async () => {
+    storage.uploadMemoryLimit = 4;
+    const nar = Buffer.from('a NAR larger than the memory limit');
+    server.replies.push(
+      { status: 200, body: { id: 42 } },
+      { status: 200, body: [] },
+      { status: 502 },
+      { status: 201, body: { id: 11, name: 'big.nar.xz', size: nar.length } }
+    );
+
+    const spoolDirs = () => fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('static-nix-cache-spool-'));
+    const before = spoolDirs();
+
+    await storage.putNarStream('big.nar.xz', Readable.from([nar.subarray(0, 10), nar.subarray(10)]));
+
+    const uploads = server.requests.filter(r => r.method === 'POST');
+    expect(uploads.map(r => r.body)).toEqual([nar.toString(), nar.toString()]);
+    expect(spoolDirs()).toEqual(before);
+  });
+
+  test('a conflicting partial asset is replaced', async () => {
+    server.replies.push(
+      { status: 200, body: { id: 42 } },
+      { status: 200, body: [] },
+      { status: 422, body: { errors: [{ code: 'already_exists' }] } },
+      { status: 200, body: [{ id: 9, name: 'abc.nar.xz', size: 0, state: 'starter' }] },
+      { status: 204, body: '' },
+      { status: 201, body: { id: 10, name: 'abc.nar.xz', size: 3, state: 'uploaded' } }
+    );
+
+    await storage.putNarStream('abc.nar.xz', Readable.from([Buffer.from('nar')]));
+
+    expect(server.requests[4]).toMatchObject({ method: 'DELETE', url: '/repos/o/r/releases/assets/9' });
+    expect(await storage.statNar('abc.nar.xz')).toMatchObject({ size: 3, etag: '"10-3"' });
+  });
+
+  test('lookups fail instead of reporting assets missing when the release cannot be listed', async () => {
+    server.replies.push({ status: 200, body: { id: 42 } }, { status: 404, body: { message: 'Not Found' } });
+    await expect(storage.hasNar('abc.nar.xz')).rejects.toThrow('Failed to list release assets: 404');
+  });
+});
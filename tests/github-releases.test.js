@@ -3,6 +3,7 @@
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
 const { Readable } = require('stream');
 
 // Mock fetch globally before requiring the module
@@ -65,6 +66,23 @@ describe('GitHubReleasesStorage', () => {
     expect(uploadCall[1].method).toBe('POST');
   });
 
+  test('putNarinfo queues narinfo for the metadata branch instead of uploading them', async () => {
+    const content = 'StorePath: /nix/store/abc-pkg\nURL: nar/abc.nar.xz\n';
+    storage = new GitHubReleasesStorage({
+      owner: 'testowner', repo: 'testrepo', releaseTag: 'nix-cache', localPath: tmpDir, metadataBranch: 'nix-cache-metadata',
+    });
+    const commit = jest.spyOn(storage.metadataBranch, '_commit').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await storage.putNarinfo('abc', content);
+    expect(mockFetch).not.toHaveBeenCalled();
+    expect(await storage.getNarinfo('abc')).toBe(content);
+
+    await storage.flush();
+    expect(commit).toHaveBeenCalledWith(new Map([['abc.narinfo', content]]));
+    jest.restoreAllMocks();
+  });
+
   test('putNarinfo uploads narinfo as release asset', async () => {
     const content = 'StorePath: /nix/store/abc-pkg\nURL: nar/abc.nar.xz\n';
 
@@ -111,6 +129,38 @@ describe('GitHubReleasesStorage', () => {
     expect(await storage.hasNar('test.nar')).toBe(true);
   });
 
+  test('statNar reports size and validators from the asset', async () => {
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: async () => releaseResponse })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => [{ name: 'test.nar', id: 7, size: 13, updated_at: '2024-01-02T03:04:05Z' }],
+      });
+
+    expect(await storage.statNar('test.nar')).toEqual({
+      size: 13,
+      etag: '"7-13"',
+      lastModified: new Date('2024-01-02T03:04:05Z'),
+    });
+  });
+
+  test('getNarRange requests the range and slices it if ignored', async () => {
+    const data = 'fake NAR data';
+    const asset = { name: 'test.nar', id: 7, url: 'https://api.github.com/repos/testowner/testrepo/releases/assets/7' };
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: async () => releaseResponse })
+      .mockResolvedValueOnce({ ok: true, json: async () => [asset] })
+      .mockResolvedValueOnce({ ok: true, status: 206, body: new Response('NAR').body })
+      .mockResolvedValueOnce({ ok: true, status: 200, body: new Response(data).body });
+
+    const partial = await storage.getNarRange('test.nar', { start: 5, end: 7 });
+    expect(mockFetch.mock.calls[2][1].headers.Range).toBe('bytes=5-7');
+    expect(Buffer.concat(await partial.toArray()).toString()).toBe('NAR');
+
+    const sliced = await storage.getNarRange('test.nar', { start: 5, end: 7 });
+    expect(Buffer.concat(await sliced.toArray()).toString()).toBe('NAR');
+  });
+
   test('putNarStream uploads asset to GitHub Release', async () => {
     const data = Buffer.from('fake NAR data');
     const readable = Readable.from(data);
@@ -349,4 +399,663 @@ describe('GitHubReleasesStorage', () => {
     // No download call was made (only 2 calls: release lookup + list assets)
     expect(mockFetch).toHaveBeenCalledTimes(2);
   });
+
+  // ── realisations ───────────────────────────────────────────────────────────
+
+  const realisationId = 'sha256:6e5a1b2bc3fd1f5e0d9e8e7e2b3c1fd56d6f8e7d6c5b4a39281706f5e4d3c2b1!out';
+  const realisation = JSON.stringify({
+    id: realisationId,
+    outPath: 'aaaabbbbccccddddaaaabbbbccccdddd-pkg',
+    signatures: [],
+    dependentRealisations: {},
+  });
+
+  test('realisationAssetName replaces characters GitHub would rewrite', () => {
+    expect(GitHubReleasesStorage.realisationAssetName(realisationId))
+      .toBe('sha256_6e5a1b2bc3fd1f5e0d9e8e7e2b3c1fd56d6f8e7d6c5b4a39281706f5e4d3c2b1_out.doi');
+  });
+
+  test('putRealisation stores locally and uploads a sanitized asset', async () => {
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: async () => releaseResponse })
+      .mockResolvedValueOnce({ ok: true, json: async () => [] })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ id: 70 }) });
+
+    await storage.putRealisation(realisationId, realisation);
+
+    expect(await storage.hasRealisation(realisationId)).toBe(true);
+    expect(await storage.getRealisation(realisationId)).toBe(realisation);
+    expect(mockFetch.mock.calls[2][0]).toContain(
+      `name=${GitHubReleasesStorage.realisationAssetName(realisationId)}`
+    );
+  });
+
+  test('fetchAllRealisations restores realisations under their ids', async () => {
+    const assetName = GitHubReleasesStorage.realisationAssetName(realisationId);
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: async () => releaseResponse })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => [
+          { name: assetName, id: 80, url: 'https://api.github.com/repos/testowner/testrepo/releases/assets/80' },
+          { name: 'mismatched.doi', id: 81, url: 'https://api.github.com/repos/testowner/testrepo/releases/assets/81' },
+          { name: 'xyz.narinfo', id: 82, url: 'https://api.github.com/repos/testowner/testrepo/releases/assets/82' },
+        ],
+      })
+      .mockResolvedValueOnce({ ok: true, text: async () => realisation })
+      .mockResolvedValueOnce({ ok: true, text: async () => realisation });
+
+    const fetched = await storage.fetchAllRealisations();
+
+    expect(fetched).toBe(1);
+    expect(await storage.getRealisation(realisationId)).toBe(realisation);
+    expect(mockFetch).toHaveBeenCalledTimes(4);
+  });
+
+  test('pruneAssets skips realisation assets', async () => {
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: async () => releaseResponse })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => [{ name: 'sha256_abc_out.doi', id: 90, created_at: new Date().toISOString() }],
+      });
+
+    const result = await storage.pruneAssets();
+
+    expect(result.deleted).toEqual([]);
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+  });
+
+  // ── NAR listings ───────────────────────────────────────────────────────────
+
+  const listing = '{"version":1,"root":{"type":"directory","entries":{}}}';
+
+  test('putListing stores locally and uploads an asset', async () => {
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: async () => releaseResponse })
+      .mockResolvedValueOnce({ ok: true, json: async () => [] })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ id: 95 }) });
+
+    await storage.putListing('xyz', listing);
+
+    expect(await storage.hasListing('xyz')).toBe(true);
+    expect(await storage.getListing('xyz')).toBe(listing);
+    expect(mockFetch.mock.calls[2][0]).toContain('name=xyz.ls');
+  });
+
+  test('fetchAllListings downloads listing assets from release', async () => {
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: async () => releaseResponse })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => [
+          { name: 'xyz.ls', id: 96, url: 'https://api.github.com/repos/testowner/testrepo/releases/assets/96' },
+          { name: 'xyz.narinfo', id: 97, url: 'https://api.github.com/repos/testowner/testrepo/releases/assets/97' },
+        ],
+      })
+      .mockResolvedValueOnce({ ok: true, text: async () => listing });
+
+    expect(await storage.fetchAllListings()).toBe(1);
+    expect(fs.readFileSync(path.join(tmpDir, 'listings', 'xyz.ls'), 'utf8')).toBe(listing);
+  });
+
+  test('pruneAssets skips listing assets', async () => {
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: async () => releaseResponse })
+      .mockResolvedValueOnce({ ok: true, json: async () => [{ name: 'xyz.ls', id: 98, created_at: new Date().toISOString() }] });
+
+    const result = await storage.pruneAssets();
+
+    expect(result.deleted).toEqual([]);
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+  });
+
+  // ── build logs ─────────────────────────────────────────────────────────────
+
+  const drv = 'aaaabbbbccccddddaaaabbbbccccdddd-pkg.drv';
+  const log = 'build output\n';
+
+  test('putLog keeps a gzipped copy and uploads the plain log', async () => {
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: async () => releaseResponse })
+      .mockResolvedValueOnce({ ok: true, json: async () => [] })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ id: 100 }) });
+
+    await storage.putLog(drv, zlib.gzipSync(log));
+
+    expect(zlib.gunzipSync(fs.readFileSync(path.join(tmpDir, 'log', `${drv}.gz`))).toString()).toBe(log);
+    const [uploadUrl, uploadInit] = mockFetch.mock.calls[2];
+    expect(uploadUrl).toContain(`name=${drv}`);
+    expect(uploadInit.body.toString()).toBe(log);
+  });
+
+  test('getLog falls back to the release asset', async () => {
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: async () => releaseResponse })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => [{ name: drv, id: 101, url: 'https://api.github.com/repos/testowner/testrepo/releases/assets/101' }],
+      })
+      .mockResolvedValueOnce({ ok: true, arrayBuffer: async () => new TextEncoder().encode(log).buffer });
+
+    const compressed = await storage.getLog(drv);
+
+    expect(zlib.gunzipSync(compressed).toString()).toBe(log);
+    expect(fs.existsSync(path.join(tmpDir, 'log', `${drv}.gz`))).toBe(true);
+  });
+
+  test('listLogs merges local logs with release assets', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'log', 'ffffgggghhhhiiiijjjjkkkkllllmmmm-local.drv.gz'), zlib.gzipSync(log));
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: async () => releaseResponse })
+      .mockResolvedValueOnce({ ok: true, json: async () => [{ name: drv }, { name: 'abc.nar.xz' }] });
+
+    expect(await storage.listLogs()).toEqual([drv, 'ffffgggghhhhiiiijjjjkkkkllllmmmm-local.drv']);
+  });
+
+  test('pruneAssets skips build log assets', async () => {
+    mockFetch
+      .mockResolvedValueOnce({ ok: true, json: async () => releaseResponse })
+      .mockResolvedValueOnce({ ok: true, json: async () => [{ name: drv, id: 102, created_at: new Date().toISOString() }] });
+
+    const result = await storage.pruneAssets();
+
+    expect(result.deleted).toEqual([]);
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+  });
+
+  // ── against a fake release ────────────────────────────────────────────────
+
+  let assets;
+  let contents;
+  let nextId;
+
+  // A fake release API that keeps its assets in `assets` and their bytes in
+  // `contents`
+  async function fakeRelease(url, init = {}) {
+    const method = init.method || 'GET';
+    if (url.endsWith('/releases/tags/nix-cache')) {
+      return { ok: true, json: async () => releaseResponse };
+    }
+    const list = url.match(/\/releases\/42\/assets\?per_page=100&page=(\d+)$/);
+    if (list) {
+      const page = Number(list[1]);
+      return { ok: true, json: async () => assets.slice((page - 1) * 100, page * 100) };
+    }
+    if (method === 'POST' && url.startsWith('https://uploads.github.com/')) {
+      const body = Buffer.isBuffer(init.body) ? init.body : Buffer.concat(await init.body.toArray());
+      const name = new URL(url).searchParams.get('name');
+      if (assets.some(asset => asset.name === name)) {
+        return { ok: false, status: 422, json: async () => ({ errors: [{ code: 'already_exists' }] }) };
+      }
+      const id = nextId++;
+      const asset = {
+        id,
+        name,
+        size: body.length,
+        digest: `sha256:${require('crypto').createHash('sha256').update(body).digest('hex')}`,
+        url: `https://api.github.com/repos/testowner/testrepo/releases/assets/${id}`,
+      };
+      assets.push(asset);
+      contents.set(id, body);
+      return { ok: true, json: async () => asset };
+    }
+    const assetUrl = url.match(/\/releases\/assets\/(\d+)$/);
+    if (method === 'DELETE' && assetUrl) {
+      assets = assets.filter(asset => asset.id !== Number(assetUrl[1]));
+      return { ok: true };
+    }
+    if (assetUrl && contents.has(Number(assetUrl[1]))) {
+      const body = contents.get(Number(assetUrl[1]));
+      const range = /^bytes=(\d+)-(\d+)$/.exec(init.headers.Range || '');
+      if (!range) {
+        return { ok: true, status: 200, body: new Response(body).body, text: async () => body.toString(), arrayBuffer: async () => body };
+      }
+      const partial = body.subarray(Number(range[1]), Number(range[2]) + 1);
+      return { ok: true, status: 206, body: new Response(partial).body };
+    }
+    throw new Error(`Unexpected request ${method} ${url}`);
+  }
+
+  function useFakeRelease(existing = []) {
+    beforeEach(() => {
+      nextId = 1000;
+      assets = existing.map(asset => ({ ...asset }));
+      contents = new Map();
+      mockFetch.mockImplementation(fakeRelease);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+  }
+
+  // ── asset index ───────────────────────────────────────────────────────────
+
+  describe('asset index', () => {
+    useFakeRelease(Array.from({ length: 250 }, (_, i) => ({ id: i + 1, name: `existing-${i + 1}.nar.xz`, size: 1 })));
+
+    function listCalls() {
+      return mockFetch.mock.calls.filter(([url]) => url.includes('/assets?per_page=')).length;
+    }
+
+    test('lists the release once for many lookups and uploads', async () => {
+      for (let i = 0; i < 50; i++) {
+        expect(await storage.hasNar(`new-${i}.nar.xz`)).toBe(false);
+        await storage.putNarStream(`new-${i}.nar.xz`, Readable.from([Buffer.from('nar')]));
+        await storage.putNarinfo(`new${i}`, `StorePath: /nix/store/new${i}-x\n`);
+        expect(await storage.hasNar(`new-${i}.nar.xz`)).toBe(true);
+      }
+      expect(await storage.hasNar('existing-250.nar.xz')).toBe(true);
+
+      // One listing of three pages for the whole run
+      expect(listCalls()).toBe(3);
+    });
+
+    test('keeps the index in step with replaced assets', async () => {
+      await storage.putNarStream('existing-1.nar.xz', Readable.from([Buffer.from('new')]));
+      expect(await storage.statNar('existing-1.nar.xz')).toMatchObject({ size: 3 });
+      expect(assets.filter(asset => asset.name === 'existing-1.nar.xz')).toHaveLength(1);
+      expect(listCalls()).toBe(3);
+    });
+
+    test('lists the release again on a miss once the index is old enough', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      expect(await storage.hasNar('other-job.nar.xz')).toBe(false);
+      assets.push({ id: nextId++, name: 'other-job.nar.xz', size: 1 });
+
+      Date.now.mockReturnValue(now + 29 * 1000);
+      expect(await storage.hasNar('other-job.nar.xz')).toBe(false);
+      expect(listCalls()).toBe(3);
+
+      Date.now.mockReturnValue(now + 30 * 1000);
+      expect(await storage.hasNar('other-job.nar.xz')).toBe(true);
+      expect(listCalls()).toBe(6);
+    });
+
+    test('shares a listing between concurrent lookups', async () => {
+      const found = await Promise.all(['existing-1.nar.xz', 'existing-2.nar.xz', 'missing.nar.xz']
+        .map(name => storage.hasNar(name)));
+      expect(found).toEqual([true, true, false]);
+      expect(listCalls()).toBe(3);
+    });
+  });
+
+  // ── NARs in parts ─────────────────────────────────────────────────────────
+
+  describe('NARs in parts', () => {
+    useFakeRelease();
+
+    const nar = Buffer.from('0123456789abcdefghij-');
+
+    beforeEach(() => {
+      storage.partSize = 8;
+    });
+
+    async function read(readable) {
+      return Buffer.concat(await readable.toArray()).toString();
+    }
+
+    test('splits oversized NARs into parts and a manifest', async () => {
+      await storage.putNarStream('big.nar.xz', Readable.from([nar]));
+
+      expect(assets.map(asset => `${asset.name} ${asset.size}`)).toEqual([
+        'big.nar.xz.part000 8',
+        'big.nar.xz.part001 8',
+        'big.nar.xz.part002 5',
+        expect.stringMatching(/^big\.nar\.xz\.parts\.json \d+$/),
+      ]);
+      const manifest = JSON.parse(contents.get(assets[3].id));
+      expect(manifest).toEqual({
+        version: 1,
+        size: 21,
+        sha256: require('crypto').createHash('sha256').update(nar).digest('hex'),
+        parts: [
+          { name: 'big.nar.xz.part000', size: 8 },
+          { name: 'big.nar.xz.part001', size: 8 },
+          { name: 'big.nar.xz.part002', size: 5 },
+        ],
+      });
+    });
+
+    test('reassembles NARs from their parts', async () => {
+      await storage.putNarStream('big.nar.xz', Readable.from([nar]));
+
+      expect(await storage.hasNar('big.nar.xz')).toBe(true);
+      expect(await storage.statNar('big.nar.xz')).toMatchObject({ size: 21, etag: `"${assets[3].id}-21"` });
+      expect(await read(await storage.getNarStream('big.nar.xz'))).toBe(nar.toString());
+      // A range across the boundary between the first two parts
+      expect(await read(await storage.getNarRange('big.nar.xz', { start: 6, end: 9 }))).toBe('6789');
+      expect(await read(await storage.getNarRange('big.nar.xz', { start: 20, end: 20 }))).toBe('-');
+    });
+
+    test('small NARs stay in one asset', async () => {
+      await storage.putNarStream('small.nar.xz', Readable.from([Buffer.from('12345678')]));
+      expect(assets.map(asset => asset.name)).toEqual(['small.nar.xz']);
+    });
+
+    test('replacing a NAR removes it in its old form', async () => {
+      await storage.putNarStream('big.nar.xz', Readable.from([nar]));
+      await storage.putNarStream('big.nar.xz', Readable.from([Buffer.from('small')]));
+      expect(assets.map(asset => asset.name)).toEqual(['big.nar.xz']);
+
+      await storage.putNarStream('big.nar.xz', Readable.from([nar]));
+      expect(assets.map(asset => asset.name)).toHaveLength(4);
+      expect(assets.map(asset => asset.name)).not.toContain('big.nar.xz');
+    });
+
+    test('pruneAssets keeps the parts of referenced NARs', async () => {
+      await storage.putNarStream('big.nar.xz', Readable.from([nar]));
+      await storage.putNarStream('orphan.nar.xz', Readable.from([nar]));
+      fs.writeFileSync(path.join(tmpDir, 'narinfo', 'abc.narinfo'), 'StorePath: /nix/store/abc-big\nURL: nar/big.nar.xz\n');
+
+      const result = await storage.pruneAssets();
+
+      expect(result.referenced).toEqual([
+        'big.nar.xz.part000', 'big.nar.xz.part001', 'big.nar.xz.part002', 'big.nar.xz.parts.json',
+      ]);
+      expect(result.deleted).toEqual([
+        'orphan.nar.xz.part000', 'orphan.nar.xz.part001', 'orphan.nar.xz.part002', 'orphan.nar.xz.parts.json',
+      ]);
+      expect(await storage.listChunkedNars()).toEqual(['big.nar.xz']);
+    });
+
+    test('reports missing parts', async () => {
+      await storage.putNarStream('big.nar.xz', Readable.from([nar]));
+      assets = assets.filter(asset => asset.name !== 'big.nar.xz.part001');
+
+      const reader = new GitHubReleasesStorage({ owner: 'testowner', repo: 'testrepo', releaseTag: 'nix-cache', localPath: tmpDir });
+      await expect(read(await reader.getNarStream('big.nar.xz'))).rejects.toThrow('Part big.nar.xz.part001 of big.nar.xz is missing');
+    });
+  });
+
+  // ── narinfo index ─────────────────────────────────────────────────────────
+
+  describe('narinfo index', () => {
+    useFakeRelease();
+
+    const dirs = [];
+    function indexedStorage() {
+      const localPath = makeTempDir();
+      dirs.push(localPath);
+      return new GitHubReleasesStorage({ owner: 'testowner', repo: 'testrepo', releaseTag: 'nix-cache', localPath, narinfoIndex: true });
+    }
+    const narinfo = hash => `StorePath: /nix/store/${hash}-pkg\nURL: nar/${hash}.nar.xz\n`;
+    const indexes = () => assets.map(asset => asset.name).filter(name => name.startsWith('narinfo-index.'));
+    const readIndex = name => JSON.parse(zlib.gunzipSync(contents.get(assets.find(asset => asset.name === name).id)));
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      while (dirs.length) fs.rmSync(dirs.pop(), { recursive: true, force: true });
+    });
+
+    test('writes stored narinfo into one index asset on flush', async () => {
+      const writer = indexedStorage();
+      await writer.putNarinfo('aaa', narinfo('aaa'));
+      await writer.putNarinfo('bbb', narinfo('bbb'));
+      expect(mockFetch).not.toHaveBeenCalled();
+
+      await writer.flush();
+
+      expect(indexes()).toEqual(['narinfo-index.1.json.gz']);
+      expect(readIndex('narinfo-index.1.json.gz')).toEqual({ version: 1, narinfo: { aaa: narinfo('aaa'), bbb: narinfo('bbb') } });
+
+      // Nothing new to write
+      mockFetch.mockClear();
+      await writer.flush();
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+
+    test('fetchAllNarinfo reads every narinfo from the index in one download', async () => {
+      const writer = indexedStorage();
+      for (const hash of ['aaa', 'bbb', 'ccc']) await writer.putNarinfo(hash, narinfo(hash));
+      await writer.flush();
+
+      const reader = indexedStorage();
+      mockFetch.mockClear();
+      expect(await reader.fetchAllNarinfo()).toBe(3);
+      expect(await reader.listNarinfo()).toEqual(['aaa', 'bbb', 'ccc']);
+      expect(await reader.getNarinfo('bbb')).toBe(narinfo('bbb'));
+      const downloads = mockFetch.mock.calls.filter(([url]) => /\/releases\/assets\/\d+$/.test(url));
+      expect(downloads).toHaveLength(1);
+    });
+
+    test('a writer that loses the race merges into the next generation', async () => {
+      const first = indexedStorage();
+      const second = indexedStorage();
+      await first.putNarinfo('aaa', narinfo('aaa'));
+      await second.putNarinfo('bbb', narinfo('bbb'));
+
+      // The first job writes generation 1 just before the second job does
+      let raced = false;
+      mockFetch.mockImplementation(async (url, init) => {
+        if (!raced && url.includes('name=narinfo-index.1.json.gz')) {
+          raced = true;
+          await first.flush();
+        }
+        return fakeRelease(url, init);
+      });
+      await second.flush();
+
+      expect(indexes()).toEqual(['narinfo-index.1.json.gz', 'narinfo-index.2.json.gz']);
+      expect(readIndex('narinfo-index.1.json.gz').narinfo).toEqual({ aaa: narinfo('aaa') });
+      expect(readIndex('narinfo-index.2.json.gz').narinfo).toEqual({ aaa: narinfo('aaa'), bbb: narinfo('bbb') });
+    });
+
+    test('retries a generation whose conflicting upload is not listed yet', async () => {
+      const writer = indexedStorage();
+      await writer.putNarinfo('aaa', narinfo('aaa'));
+      let conflicted = false;
+      mockFetch.mockImplementation(async (url, init) => {
+        if (!conflicted && url.includes('name=narinfo-index.1.json.gz')) {
+          conflicted = true;
+          return { ok: false, status: 422, json: async () => ({ errors: [{ code: 'already_exists' }] }) };
+        }
+        return fakeRelease(url, init);
+      });
+
+      await writer.flush();
+
+      expect(indexes()).toEqual(['narinfo-index.1.json.gz']);
+      expect(readIndex('narinfo-index.1.json.gz').narinfo).toEqual({ aaa: narinfo('aaa') });
+    });
+
+    test('reads the next generation when the listed one was deleted meanwhile', async () => {
+      const first = indexedStorage();
+      await first.putNarinfo('aaa', narinfo('aaa'));
+      await first.flush();
+
+      // Another job writes generation 2 and deletes generation 1 right
+      // after the reader listed the release
+      const other = indexedStorage();
+      await other.putNarinfo('bbb', narinfo('bbb'));
+      const stale = assets.find(asset => asset.name === 'narinfo-index.1.json.gz');
+      let replaced = false;
+      mockFetch.mockImplementation(async (url, init) => {
+        if (!replaced && url === stale.url) {
+          replaced = true;
+          mockFetch.mockImplementation(fakeRelease);
+          await other.flush();
+          assets = assets.filter(asset => asset.id !== stale.id);
+          return { ok: false, status: 404, text: async () => 'Not Found' };
+        }
+        return fakeRelease(url, init);
+      });
+
+      const reader = indexedStorage();
+      expect(await reader.fetchAllNarinfo()).toBe(2);
+      expect(await reader.listNarinfo()).toEqual(['aaa', 'bbb']);
+    });
+
+    test('a writer that read an old generation does not re-create a deleted one unnoticed', async () => {
+      const first = indexedStorage();
+      await first.putNarinfo('aaa', narinfo('aaa'));
+      await first.flush();
+
+      // The stale job read generation 1; before its upload of generation 2
+      // lands, other jobs write generations 2 to 4 and delete 1 and 2
+      const stale = indexedStorage();
+      await stale.putNarinfo('ccc', narinfo('ccc'));
+      let overtaken = false;
+      mockFetch.mockImplementation(async (url, init) => {
+        if (!overtaken && url.includes('name=narinfo-index.2.json.gz')) {
+          overtaken = true;
+          mockFetch.mockImplementation(fakeRelease);
+          for (const hash of ['bbb', 'ddd', 'eee']) {
+            const other = indexedStorage();
+            await other.putNarinfo(hash, narinfo(hash));
+            await other.flush();
+          }
+          expect(indexes()).toEqual(['narinfo-index.3.json.gz', 'narinfo-index.4.json.gz']);
+        }
+        return fakeRelease(url, init);
+      });
+      await stale.flush();
+
+      expect(indexes()).toEqual(['narinfo-index.4.json.gz', 'narinfo-index.5.json.gz']);
+      expect(Object.keys(readIndex('narinfo-index.5.json.gz').narinfo).sort())
+        .toEqual(['aaa', 'bbb', 'ccc', 'ddd', 'eee']);
+    });
+
+    test('keeps only the current and the previous generation, which pruning leaves alone', async () => {
+      const writer = indexedStorage();
+      for (const hash of ['aaa', 'bbb', 'ccc']) {
+        await writer.putNarinfo(hash, narinfo(hash));
+        await writer.flush();
+      }
+      expect(indexes()).toEqual(['narinfo-index.2.json.gz', 'narinfo-index.3.json.gz']);
+
+      const result = await writer.pruneAssets();
+      expect(result.deleted).toEqual([]);
+      expect(indexes()).toHaveLength(2);
+    });
+  });
+
+  // ── sharding ──────────────────────────────────────────────────────────────
+
+  describe('sharding', () => {
+    let releases; // tag → { id, assets }
+
+    // A fake API for several releases, created on demand
+    async function fakeReleases(url, init = {}) {
+      const method = init.method || 'GET';
+      const byTag = url.match(/\/releases\/tags\/([^/]+)$/);
+      if (byTag) {
+        const release = releases.get(decodeURIComponent(byTag[1]));
+        return release
+          ? { ok: true, json: async () => ({ id: release.id }) }
+          : { ok: false, status: 404, text: async () => 'Not Found' };
+      }
+      if (method === 'POST' && url.endsWith('/releases')) {
+        const { tag_name: tag } = JSON.parse(init.body);
+        releases.set(tag, { id: releases.size + 1, assets: [] });
+        return { ok: true, json: async () => ({ id: releases.get(tag).id }) };
+      }
+      if (/\/releases\?per_page=100&page=1$/.test(url)) {
+        const list = [...releases].map(([tag, { id }]) => ({ id, tag_name: tag }));
+        return { ok: true, json: async () => [...list, { id: 99, tag_name: 'nix-cache-other' }] };
+      }
+      const release = [...releases.values()].find(r => url.includes(`/releases/${r.id}/assets`));
+      if (release && method === 'POST') {
+        const asset = { id: nextId++, name: new URL(url).searchParams.get('name'), size: init.body.length, created_at: '2020-01-01T00:00:00Z' };
+        release.assets.push(asset);
+        return { ok: true, json: async () => asset };
+      }
+      if (release) return { ok: true, json: async () => release.assets };
+      const assetUrl = url.match(/\/releases\/assets\/(\d+)$/);
+      if (method === 'DELETE' && assetUrl) {
+        for (const r of releases.values()) r.assets = r.assets.filter(asset => asset.id !== Number(assetUrl[1]));
+        return { ok: true };
+      }
+      throw new Error(`Unexpected request ${method} ${url}`);
+    }
+
+    const names = tag => (releases.has(tag) ? releases.get(tag).assets.map(asset => asset.name) : undefined);
+
+    beforeEach(() => {
+      nextId = 1000;
+      releases = new Map([['nix-cache', { id: 1, assets: [] }]]);
+      mockFetch.mockImplementation(fakeReleases);
+      storage.shardPrefixLength = 1;
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('shardReleaseTag uses the leading base-32 characters of the filename', () => {
+      expect(GitHubReleasesStorage.shardReleaseTag('nix-cache', 2, '0abc.nar.xz')).toBe('nix-cache-0a');
+      expect(GitHubReleasesStorage.shardReleaseTag('nix-cache', 0, '0abc.nar.xz')).toBe('nix-cache');
+      // "e" is not in Nix's base-32 alphabet
+      expect(GitHubReleasesStorage.shardReleaseTag('nix-cache', 1, 'example.nar')).toBe('nix-cache');
+      expect(GitHubReleasesStorage.shardReleaseTag('nix-cache', 2, 'a')).toBe('nix-cache');
+    });
+
+    test('uploads NARs to their shard release and metadata to the base release', async () => {
+      await storage.putNarStream('0abc.nar.xz', Readable.from([Buffer.from('nar')]));
+      await storage.putNarStream('1def.nar.xz', Readable.from([Buffer.from('nar')]));
+      await storage.putNarinfo('0abc', 'StorePath: /nix/store/0abc-x\n');
+
+      expect(names('nix-cache')).toEqual(['0abc.narinfo']);
+      expect(names('nix-cache-0')).toEqual(['0abc.nar.xz']);
+      expect(names('nix-cache-1')).toEqual(['1def.nar.xz']);
+      expect(await storage.hasNar('0abc.nar.xz')).toBe(true);
+      expect(storage.narDownloadUrl('0abc.nar.xz'))
+        .toBe('https://github.com/testowner/testrepo/releases/download/nix-cache-0/0abc.nar.xz');
+    });
+
+    test('lookups do not create shard releases', async () => {
+      expect(await storage.hasNar('2ghi.nar.xz')).toBe(false);
+      expect(names('nix-cache-2')).toBeUndefined();
+    });
+
+    test('finds NARs uploaded before sharding was enabled', async () => {
+      releases.get('nix-cache').assets.push({ id: 7, name: '3jkl.nar.xz', size: 3 });
+
+      expect(await storage.hasNar('3jkl.nar.xz')).toBe(true);
+      expect(await storage.getNarRedirectUrl('3jkl.nar.xz'))
+        .toBe('https://github.com/testowner/testrepo/releases/download/nix-cache/3jkl.nar.xz');
+
+      // Re-uploading moves it to its shard
+      await storage.putNarStream('3jkl.nar.xz', Readable.from([Buffer.from('nar')]));
+      expect(names('nix-cache')).toEqual([]);
+      expect(names('nix-cache-3')).toEqual(['3jkl.nar.xz']);
+    });
+
+    test('listBaseReleaseNars finds the NARs left on the base release', async () => {
+      releases.get('nix-cache').assets.push(
+        { id: 7, name: '3jkl.nar.xz', size: 3 },
+        { id: 8, name: '3jkl.narinfo', size: 3 },
+        { id: 9, name: 'example.nar', size: 3 },
+        { id: 10, name: '4mno.nar.xz.parts.json', size: 3 }
+      );
+      await storage.putNarStream('0abc.nar.xz', Readable.from([Buffer.from('nar')]));
+
+      expect(await storage.listBaseReleaseNars()).toEqual(['3jkl.nar.xz']);
+      storage.shardPrefixLength = 0;
+      expect(await storage.listBaseReleaseNars()).toEqual([]);
+    });
+
+    test('pruneAssets and listChunkedNars cover every shard release', async () => {
+      storage.partSize = 2;
+      await storage.putNarStream('0abc.nar.xz', Readable.from([Buffer.from('nar')]));
+      await storage.putNarStream('1def.nar.xz', Readable.from([Buffer.from('nar')]));
+      fs.writeFileSync(path.join(tmpDir, 'narinfo', '0abc.narinfo'), 'StorePath: /nix/store/0abc-x\nURL: nar/0abc.nar.xz\n');
+      mockFetch.mockClear();
+
+      expect(await storage.listChunkedNars()).toEqual(['0abc.nar.xz', '1def.nar.xz']);
+      const result = await storage.pruneAssets();
+
+      expect(result.referenced).toEqual(['0abc.nar.xz.part000', '0abc.nar.xz.part001', '0abc.nar.xz.parts.json']);
+      expect(result.deleted).toEqual(['1def.nar.xz.part000', '1def.nar.xz.part001', '1def.nar.xz.parts.json']);
+      expect(names('nix-cache-1')).toEqual([]);
+      // The release list is only used to find shard releases
+      expect(mockFetch.mock.calls.map(([url]) => url)).not.toContainEqual(expect.stringContaining('/releases/99/'));
+    });
+  });
 });
@@ -0,0 +1,53 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { toNixBase32, fromNixBase32, parseHash, formatNixHash, createHashingStream } = require('../src/hash');
+
+describe('hash', () => {
+  const digest = crypto.createHash('sha256').update('hello').digest();
+  const base32 = '094qif9n4cq4fdg459qzbhg1c6wywawwaaivx0k0x8xhbyx4vwic';
+
+  test('toNixBase32 matches nix-hash --to-base32', () => {
+    expect(toNixBase32(digest)).toBe(base32);
+  });
+
+  test('fromNixBase32 round-trips', () => {
+    expect(fromNixBase32(base32, 32)).toEqual(digest);
+  });
+
+  test('fromNixBase32 rejects invalid characters and lengths', () => {
+    expect(fromNixBase32(base32.replace('0', 'e'), 32)).toBeNull();
+    expect(fromNixBase32(base32.slice(1), 32)).toBeNull();
+  });
+
+  test('parseHash accepts base32, base16 and SRI forms', () => {
+    for (const str of [
+      `sha256:${base32}`,
+      `sha256:${digest.toString('hex')}`,
+      `sha256-${digest.toString('base64')}`,
+    ]) {
+      expect(parseHash(str)).toEqual({ algorithm: 'sha256', digest });
+    }
+  });
+
+  test('parseHash rejects malformed hashes', () => {
+    expect(parseHash('sha256:abc')).toBeNull();
+    expect(parseHash('md4:' + base32)).toBeNull();
+    expect(parseHash('')).toBeNull();
+  });
+
+  test('formatNixHash uses base32', () => {
+    expect(formatNixHash('sha256', digest)).toBe(`sha256:${base32}`);
+  });
+
+  test('createHashingStream passes data through and reports size and digest', async () => {
+    const hashing = createHashingStream();
+    const chunks = [];
+    for await (const chunk of Readable.from([Buffer.from('hel'), Buffer.from('lo')]).pipe(hashing)) {
+      chunks.push(chunk);
+    }
+    expect(Buffer.concat(chunks).toString()).toBe('hello');
+    expect(hashing.result()).toEqual({ size: 5, digest });
+  });
+});
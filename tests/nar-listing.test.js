@@ -0,0 +1,120 @@
+'use strict';
+
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { listNar, readListing, validateListing } = require('../src/nar-listing');
+
+// Serialize a tree ({ type, contents, executable, target, entries }) as a NAR
+function narString(value) {
+  const bytes = Buffer.from(value);
+  const length = Buffer.alloc(8);
+  length.writeBigUInt64LE(BigInt(bytes.length));
+  return Buffer.concat([length, bytes, Buffer.alloc((8 - (bytes.length % 8)) % 8)]);
+}
+
+function narNode(node) {
+  const parts = ['(', 'type', node.type];
+  if (node.type === 'regular') {
+    if (node.executable) parts.push('executable', '');
+    parts.push('contents', node.contents);
+  } else if (node.type === 'symlink') {
+    parts.push('target', node.target);
+  } else {
+    for (const name of Object.keys(node.entries).sort()) {
+      parts.push('entry', '(', 'name', name, 'node', narNode(node.entries[name]), ')');
+    }
+  }
+  parts.push(')');
+  return Buffer.concat(parts.map(part => (Buffer.isBuffer(part) ? part : narString(part))));
+}
+
+function makeNar(root) {
+  return Buffer.concat([narString('nix-archive-1'), narNode(root)]);
+}
+
+const tree = {
+  type: 'directory',
+  entries: {
+    bin: {
+      type: 'directory',
+      entries: {
+        hello: { type: 'regular', executable: true, contents: '#!/bin/sh\necho hello\n' },
+        hi: { type: 'symlink', target: 'hello' },
+      },
+    },
+    README: { type: 'regular', contents: 'hello' },
+  },
+};
+
+describe('listNar', () => {
+  test('lists directories, files and symlinks with NAR offsets', async () => {
+    const nar = makeNar(tree);
+    const listing = await listNar(Readable.from([nar]));
+    expect(listing).toEqual({
+      version: 1,
+      root: {
+        type: 'directory',
+        entries: {
+          README: { type: 'regular', size: 5, narOffset: expect.any(Number) },
+          bin: {
+            type: 'directory',
+            entries: {
+              hello: { type: 'regular', size: 21, executable: true, narOffset: expect.any(Number) },
+              hi: { type: 'symlink', target: 'hello' },
+            },
+          },
+        },
+      },
+    });
+    const { narOffset, size } = listing.root.entries.bin.entries.hello;
+    expect(nar.subarray(narOffset, narOffset + size).toString()).toBe('#!/bin/sh\necho hello\n');
+  });
+
+  test('lists a single regular file', async () => {
+    const listing = await listNar(Readable.from([makeNar({ type: 'regular', contents: 'x' })]));
+    expect(listing.root).toEqual({ type: 'regular', size: 1, narOffset: 96 });
+  });
+
+  test('reads NARs split into small chunks', async () => {
+    const nar = makeNar(tree);
+    const chunks = [];
+    for (let i = 0; i < nar.length; i += 3) chunks.push(nar.subarray(i, i + 3));
+    expect(await listNar(Readable.from(chunks))).toEqual(await listNar(Readable.from([nar])));
+  });
+
+  test('decompresses gzip NARs', async () => {
+    const listing = await listNar(Readable.from([zlib.gzipSync(makeNar(tree))]), 'gzip');
+    expect(Object.keys(listing.root.entries)).toEqual(['README', 'bin']);
+  });
+
+  test('rejects truncated and malformed NARs', async () => {
+    const nar = makeNar(tree);
+    await expect(listNar(Readable.from([nar.subarray(0, 100)]))).rejects.toThrow('Unexpected end of NAR');
+    await expect(listNar(Readable.from([Buffer.concat([narString('not-a-nar'), nar])])))
+      .rejects.toThrow('Expected "nix-archive-1" in NAR, got "not-a-nar"');
+    await expect(listNar(Readable.from([makeNar({ type: 'directory', entries: { '..': { type: 'symlink', target: '/' } } })])))
+      .rejects.toThrow('Invalid file name ".." in NAR');
+  });
+});
+
+describe('readListing', () => {
+  test('decodes Content-Encoding', async () => {
+    const text = '{"version":1,"root":{"type":"regular","size":1,"narOffset":96}}';
+    expect(await readListing(Readable.from([Buffer.from(text)]))).toBe(text);
+    expect(await readListing(Readable.from([zlib.brotliCompressSync(text)]), 'br')).toBe(text);
+    await expect(readListing(Readable.from([Buffer.from(text)]), 'lz4')).rejects.toThrow('Unsupported Content-Encoding "lz4"');
+  });
+});
+
+describe('validateListing', () => {
+  test('accepts version 1 listings', () => {
+    expect(validateListing('{"version":1,"root":{"type":"directory","entries":{}}}')).toBeNull();
+  });
+
+  test('reports malformed listings', () => {
+    expect(validateListing('nope')).toBe('Listing is not valid JSON');
+    expect(validateListing('[]')).toBe('Listing is not a JSON object');
+    expect(validateListing('{"version":2,"root":{"type":"regular"}}')).toBe('version: unsupported listing version 2');
+    expect(validateListing('{"version":1}')).toBe('root: missing');
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Readable } = require('stream');
+const { readNar, readNarTree } = require('../src/nar');
+
+const fixtures = path.join(__dirname, 'fixtures', 'nar');
+const hasXz = spawnSync('xz', ['--version']).status === 0;
+const hasZstd = spawnSync('zstd', ['--version']).status === 0;
+
+function fixture(name) {
+  return fs.createReadStream(path.join(fixtures, name));
+}
+
+const expectedTree = JSON.parse(fs.readFileSync(path.join(fixtures, 'hello.ls'), 'utf8')).root;
+
+describe('readNar', () => {
+  test('yields every entry, parents first', async () => {
+    const entries = [];
+    for await (const { path: entryPath, type } of readNar(fixture('hello.nar'))) {
+      entries.push(`${type} ${entryPath}`);
+    }
+    expect(entries).toEqual([
+      'directory ',
+      'directory bin',
+      'regular bin/hello',
+      'symlink bin/hi',
+      'regular exactly-eight',
+      'symlink lib',
+      'directory share',
+      'directory share/doc',
+      'directory share/doc/hello',
+      'regular share/doc/hello/README',
+      'regular share/doc/hello/empty',
+      'directory share/empty-dir',
+    ]);
+  });
+
+  test('reads file contents on request', async () => {
+    const contents = {};
+    for await (const entry of readNar(fixture('hello.nar'))) {
+      if (entry.type === 'regular' && entry.path.startsWith('bin/')) {
+        contents[entry.path] = (await entry.readContents()).toString();
+        await expect(entry.readContents()).rejects.toThrow('Contents of "bin/hello" were already read');
+      }
+    }
+    expect(contents).toEqual({ 'bin/hello': '#!/bin/sh\necho "Hello, world!"\n' });
+  });
+
+  test('narOffset points at the contents in the archive', async () => {
+    const nar = fs.readFileSync(path.join(fixtures, 'hello.nar'));
+    for await (const entry of readNar(Readable.from([nar]))) {
+      if (entry.type !== 'regular') continue;
+      const contents = await entry.readContents();
+      expect(nar.subarray(entry.narOffset, entry.narOffset + entry.size)).toEqual(contents);
+    }
+  });
+
+  test('drains the input when iteration stops early', async () => {
+    const input = fixture('hello.nar');
+    for await (const entry of readNar(input)) {
+      if (entry.type === 'regular') break;
+    }
+    await new Promise(resolve => input.on('close', resolve));
+    expect(input.readableEnded).toBe(true);
+  });
+
+  test('rejects truncated archives', async () => {
+    const nar = fs.readFileSync(path.join(fixtures, 'hello.nar'));
+    await expect(readNarTree(Readable.from([nar.subarray(0, nar.length - 8)])))
+      .rejects.toThrow('Unexpected end of NAR');
+  });
+
+  test('rejects entries out of order', async () => {
+    const nar = fs.readFileSync(path.join(fixtures, 'hello.nar'));
+    // Rename "bin" to "zzz" so it sorts after "exactly-eight"
+    const swapped = Buffer.from(nar.toString('latin1').replace('bin\0\0\0\0\0', 'zzz\0\0\0\0\0'), 'latin1');
+    await expect(readNarTree(Readable.from([swapped]))).rejects.toThrow('NAR entry "exactly-eight" is out of order');
+  });
+});
+
+describe('readNarTree', () => {
+  test('builds the listing tree of an uncompressed NAR', async () => {
+    expect(await readNarTree(fixture('hello.nar'))).toEqual(expectedTree);
+  });
+
+  (hasXz ? test : test.skip)('decompresses xz NARs', async () => {
+    expect(await readNarTree(fixture('hello.nar.xz'), { compression: 'xz' })).toEqual(expectedTree);
+  });
+
+  (hasZstd ? test : test.skip)('decompresses zstd NARs', async () => {
+    expect(await readNarTree(fixture('hello.nar.zst'), { compression: 'zstd' })).toEqual(expectedTree);
+  });
+
+  test('reports decompression failures', async () => {
+    await expect(readNarTree(fixture('hello.nar'), { compression: 'gzip' })).rejects.toThrow();
+  });
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+const {
+  parseNarinfo,
+  serializeNarinfo,
+  validateNarinfo,
+  fingerprintFields,
+  narFilename,
+  storePathHash,
+} = require('../src/narinfo');
+
+const sample =
+  'StorePath: /nix/store/0c8pmx0gqzpj2l3h05kmfnh1gvk7rjjk-hello-2.12.1\n' +
+  'URL: nar/1w3r1xq3xfy7jc8p5h0i8b3b6l1sgjbq6wpdw7l0kcpd1d8kbx5c.nar.xz\n' +
+  'Compression: xz\n' +
+  'FileHash: sha256:1w3r1xq3xfy7jc8p5h0i8b3b6l1sgjbq6wpdw7l0kcpd1d8kbx5c\n' +
+  'FileSize: 50264\n' +
+  'NarHash: sha256:0p2lyv8ark78m6al120aaz144zsqmg2hrbwa85h7zk2yk3h5in2h\n' +
+  'NarSize: 226560\n' +
+  'References: 0c8pmx0gqzpj2l3h05kmfnh1gvk7rjjk-hello-2.12.1 7n0mbqydcipkpbxm24fab066lxk68aqk-libunistring-1.1\n' +
+  'Deriver: 5gv5qx3m5x1bhh2m1vj0xqvq5w0c3c1k-hello-2.12.1.drv\n' +
+  'System: x86_64-linux\n' +
+  'Sig: cache.nixos.org-1:c2lnbmF0dXJlLW9uZQ==\n' +
+  'Sig: other-1:c2lnbmF0dXJlLXR3bw==\n' +
+  'CA: fixed:r:sha256:0p2lyv8ark78m6al120aaz144zsqmg2hrbwa85h7zk2yk3h5in2h\n';
+
+describe('narinfo', () => {
+  test('parses every field', () => {
+    expect(parseNarinfo(sample)).toEqual({
+      storePath: '/nix/store/0c8pmx0gqzpj2l3h05kmfnh1gvk7rjjk-hello-2.12.1',
+      url: 'nar/1w3r1xq3xfy7jc8p5h0i8b3b6l1sgjbq6wpdw7l0kcpd1d8kbx5c.nar.xz',
+      compression: 'xz',
+      fileHash: 'sha256:1w3r1xq3xfy7jc8p5h0i8b3b6l1sgjbq6wpdw7l0kcpd1d8kbx5c',
+      fileSize: 50264,
+      narHash: 'sha256:0p2lyv8ark78m6al120aaz144zsqmg2hrbwa85h7zk2yk3h5in2h',
+      narSize: 226560,
+      references: [
+        '0c8pmx0gqzpj2l3h05kmfnh1gvk7rjjk-hello-2.12.1',
+        '7n0mbqydcipkpbxm24fab066lxk68aqk-libunistring-1.1',
+      ],
+      deriver: '5gv5qx3m5x1bhh2m1vj0xqvq5w0c3c1k-hello-2.12.1.drv',
+      system: 'x86_64-linux',
+      sigs: ['cache.nixos.org-1:c2lnbmF0dXJlLW9uZQ==', 'other-1:c2lnbmF0dXJlLXR3bw=='],
+      ca: 'fixed:r:sha256:0p2lyv8ark78m6al120aaz144zsqmg2hrbwa85h7zk2yk3h5in2h',
+      extra: [],
+    });
+  });
+
+  test('round-trips through serialize', () => {
+    expect(serializeNarinfo(parseNarinfo(sample))).toBe(sample);
+  });
+
+  test('preserves unknown fields', () => {
+    const text = 'StorePath: /nix/store/x-y\nReferences: \nFuture: value\n';
+    expect(serializeNarinfo(parseNarinfo(text))).toBe(text);
+  });
+
+  test('writes an empty References line like Nix', () => {
+    expect(serializeNarinfo({ storePath: '/nix/store/x-y', references: [], sigs: [] }))
+      .toBe('StorePath: /nix/store/x-y\nReferences: \n');
+  });
+
+  test('validates a well-formed narinfo', () => {
+    expect(validateNarinfo(parseNarinfo(sample))).toEqual([]);
+  });
+
+  test('accepts SRI hashes', () => {
+    const narinfo = parseNarinfo(sample);
+    narinfo.narHash = `sha256-${Buffer.alloc(32, 1).toString('base64')}`;
+    expect(validateNarinfo(narinfo)).toEqual([]);
+  });
+
+  test('reports missing required fields', () => {
+    expect(validateNarinfo(parseNarinfo('Compression: xz\n'))).toEqual([
+      'StorePath: missing',
+      'URL: missing',
+      'NarHash: missing',
+      'NarSize: missing',
+    ]);
+  });
+
+  test('reports malformed values', () => {
+    const narinfo = parseNarinfo(
+      sample
+        .replace(/^NarHash: .*$/m, 'NarHash: sha256:abc')
+        .replace(/^FileSize: .*$/m, 'FileSize: -1')
+        .replace('7n0mbqydcipkpbxm24fab066lxk68aqk-libunistring-1.1', 'not-a-store-path')
+    );
+    expect(validateNarinfo(narinfo)).toEqual([
+      'NarHash: malformed hash "sha256:abc"',
+      'FileSize: not a non-negative integer',
+      'References: malformed reference "not-a-store-path"',
+    ]);
+  });
+
+  test('fingerprintFields expands references and normalizes NarHash', () => {
+    const narinfo = parseNarinfo(sample);
+    const hex = Buffer.from(
+      require('../src/hash').parseHash(narinfo.narHash).digest
+    ).toString('hex');
+    narinfo.narHash = `sha256:${hex}`;
+
+    expect(fingerprintFields(narinfo)).toEqual({
+      storePath: '/nix/store/0c8pmx0gqzpj2l3h05kmfnh1gvk7rjjk-hello-2.12.1',
+      narHash: 'sha256:0p2lyv8ark78m6al120aaz144zsqmg2hrbwa85h7zk2yk3h5in2h',
+      narSize: 226560,
+      references: [
+        '/nix/store/0c8pmx0gqzpj2l3h05kmfnh1gvk7rjjk-hello-2.12.1',
+        '/nix/store/7n0mbqydcipkpbxm24fab066lxk68aqk-libunistring-1.1',
+      ],
+    });
+  });
+
+  test('narFilename handles relative and absolute URLs', () => {
+    expect(narFilename({ url: 'nar/abc.nar.xz' })).toBe('abc.nar.xz');
+    expect(narFilename({ url: 'https://github.com/o/r/releases/download/nix-cache/abc.nar.xz' })).toBe('abc.nar.xz');
+    expect(narFilename({})).toBeNull();
+  });
+
+  test('storePathHash returns the hash part', () => {
+    expect(storePathHash('/nix/store/0c8pmx0gqzpj2l3h05kmfnh1gvk7rjjk-hello-2.12.1')).toBe('0c8pmx0gqzpj2l3h05kmfnh1gvk7rjjk');
+    expect(storePathHash('7n0mbqydcipkpbxm24fab066lxk68aqk-libunistring-1.1')).toBe('7n0mbqydcipkpbxm24fab066lxk68aqk');
+  });
+});
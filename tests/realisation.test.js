@@ -0,0 +1,66 @@
+'use strict';
+
+const {
+  parseRealisation,
+  validateRealisation,
+  isRealisationId,
+  serializeRealisation,
+  realisationFingerprint,
+} = require('../src/realisation');
+
+const id = 'sha256:6e5a1b2bc3fd1f5e0d9e8e7e2b3c1fd56d6f8e7d6c5b4a39281706f5e4d3c2b1!out';
+const depId = 'sha256:1e5a1b2bc3fd1f5e0d9e8e7e2b3c1fd56d6f8e7d6c5b4a39281706f5e4d3c2b1!dev';
+
+describe('realisation', () => {
+  test('parses a realisation and fills in optional fields', () => {
+    expect(parseRealisation(`{"id":"${id}","outPath":"aaaabbbbccccddddaaaabbbbccccdddd-pkg"}`)).toEqual({
+      id,
+      outPath: 'aaaabbbbccccddddaaaabbbbccccdddd-pkg',
+      signatures: [],
+      dependentRealisations: {},
+    });
+  });
+
+  test('returns null for non-objects', () => {
+    expect(parseRealisation('not json')).toBeNull();
+    expect(parseRealisation('[]')).toBeNull();
+    expect(parseRealisation('null')).toBeNull();
+  });
+
+  test('validates ids', () => {
+    expect(isRealisationId(id)).toBe(true);
+    expect(isRealisationId('sha256:abc!out')).toBe(false);
+    expect(isRealisationId(`${id.split('!')[0]}`)).toBe(false);
+    expect(isRealisationId('../../etc/passwd')).toBe(false);
+  });
+
+  test('reports missing and malformed fields', () => {
+    expect(validateRealisation(parseRealisation('{}'))).toEqual(['id: missing', 'outPath: missing']);
+    expect(validateRealisation(parseRealisation(JSON.stringify({
+      id,
+      outPath: '/nix/store/aaaabbbbccccddddaaaabbbbccccdddd-pkg',
+      signatures: [1],
+      dependentRealisations: { [depId]: 'bad' },
+    })))).toEqual([
+      'outPath: malformed store path "/nix/store/aaaabbbbccccddddaaaabbbbccccdddd-pkg"',
+      'signatures: not a list of strings',
+      `dependentRealisations: malformed entry "${depId}"`,
+    ]);
+  });
+
+  test('fingerprint sorts keys and omits signatures', () => {
+    const realisation = {
+      outPath: 'aaaabbbbccccddddaaaabbbbccccdddd-pkg',
+      signatures: ['cache-1:c2ln'],
+      id,
+      dependentRealisations: { [id]: 'x', [depId]: 'y' },
+    };
+    expect(realisationFingerprint(realisation)).toBe(
+      `{"dependentRealisations":{"${depId}":"y","${id}":"x"},"id":"${id}","outPath":"aaaabbbbccccddddaaaabbbbccccdddd-pkg"}`
+    );
+  });
+
+  test('serializes compactly', () => {
+    expect(serializeRealisation({ id, signatures: [] })).toBe(`{"id":"${id}","signatures":[]}`);
+  });
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+const { getRedirectEmitter, redirectTargets } = require('../src/redirects');
+
+const base = 'https://github.com/myorg/myproject/releases/download/nix-cache';
+const rules = [{ from: '/nar/', to: base, files: ['abc.nar.xz', 'def.nar'] }];
+
+function emitToMap(target) {
+  const files = getRedirectEmitter(target).emit(rules);
+  return Object.fromEntries(files.map(f => [f.path, f.content]));
+}
+
+describe('redirect emitters', () => {
+  test('lists all supported targets', () => {
+    expect(redirectTargets).toEqual(['cloudflare', 'netlify', 'vercel', 's3', 'nginx', 'html']);
+  });
+
+  test('unknown target throws', () => {
+    expect(() => getRedirectEmitter('apache')).toThrow(/Unknown redirect target "apache"/);
+    expect(() => getRedirectEmitter('toString')).toThrow(/Unknown redirect target/);
+  });
+
+  test('cloudflare emits _redirects', () => {
+    expect(emitToMap('cloudflare')).toEqual({
+      _redirects: `/nar/:filename ${base}/:filename 302\n`,
+    });
+  });
+
+  test('netlify emits _redirects and netlify.toml', () => {
+    expect(emitToMap('netlify')).toEqual({
+      '_redirects': `/nar/* ${base}/:splat 302\n`,
+      'netlify.toml':
+        '[[redirects]]\n' +
+        '  from = "/nar/*"\n' +
+        `  to = "${base}/:splat"\n` +
+        '  status = 302\n',
+    });
+  });
+
+  test('vercel emits vercel.json rewrites', () => {
+    const files = emitToMap('vercel');
+    expect(Object.keys(files)).toEqual(['vercel.json']);
+    expect(JSON.parse(files['vercel.json'])).toEqual({
+      rewrites: [{ source: '/nar/:filename', destination: `${base}/:filename` }],
+    });
+  });
+
+  test('s3 emits website routing rules', () => {
+    const files = emitToMap('s3');
+    expect(Object.keys(files)).toEqual(['s3-routing-rules.json']);
+    expect(JSON.parse(files['s3-routing-rules.json'])).toEqual([
+      {
+        Condition: { KeyPrefixEquals: 'nar/' },
+        Redirect: {
+          Protocol: 'https',
+          HostName: 'github.com',
+          ReplaceKeyPrefixWith: 'myorg/myproject/releases/download/nix-cache/',
+          HttpRedirectCode: '302',
+        },
+      },
+    ]);
+  });
+
+  test('nginx emits a location snippet', () => {
+    expect(emitToMap('nginx')).toEqual({
+      'nginx-redirects.conf':
+        'location /nar/ {\n' +
+        `    rewrite ^/nar/(.*)$ ${base}/$1 redirect;\n` +
+        '}\n',
+    });
+  });
+
+  test('html emits one meta-refresh page per file', () => {
+    const files = emitToMap('html');
+    expect(Object.keys(files)).toEqual(['nar/abc.nar.xz.html', 'nar/def.nar.html']);
+    const page = files['nar/abc.nar.xz.html'];
+    expect(page).toContain(`<meta http-equiv="refresh" content="0; url=${base}/abc.nar.xz">`);
+    expect(page).toContain(`<a href="${base}/abc.nar.xz">abc.nar.xz</a>`);
+  });
+
+  test('html emits nothing when no files are known', () => {
+    expect(getRedirectEmitter('html').emit([{ from: '/nar/', to: base, files: [] }])).toEqual([]);
+  });
+
+  describe('rules with a filename prefix', () => {
+    const shard = `${base}-0`;
+    const sharded = [
+      { from: '/nar/', prefix: '0', to: shard, files: ['0abc.nar.xz'] },
+      { from: '/nar/', to: base, files: ['def.nar'] },
+    ];
+    const emit = target => Object.fromEntries(getRedirectEmitter(target).emit(sharded).map(f => [f.path, f.content]));
+
+    test('cloudflare uses a splat for the prefix', () => {
+      expect(emit('cloudflare')._redirects).toBe(
+        `/nar/0* ${shard}/0:splat 302\n` +
+        `/nar/:filename ${base}/:filename 302\n`
+      );
+    });
+
+    test('netlify keeps the prefix in front of the splat', () => {
+      expect(emit('netlify')._redirects).toBe(`/nar/0* ${shard}/0:splat 302\n/nar/* ${base}/:splat 302\n`);
+      expect(emit('netlify')['netlify.toml']).toContain(`  from = "/nar/0*"\n  to = "${shard}/0:splat"\n`);
+    });
+
+    test('vercel keeps the prefix in front of the parameter', () => {
+      expect(JSON.parse(emit('vercel')['vercel.json']).rewrites[0])
+        .toEqual({ source: '/nar/0:filename', destination: `${shard}/0:filename` });
+    });
+
+    test('s3 matches and replaces the prefix', () => {
+      expect(JSON.parse(emit('s3')['s3-routing-rules.json'])[0]).toMatchObject({
+        Condition: { KeyPrefixEquals: 'nar/0' },
+        Redirect: { ReplaceKeyPrefixWith: 'myorg/myproject/releases/download/nix-cache-0/0' },
+      });
+    });
+
+    test('nginx gets a longer location for the prefix', () => {
+      expect(emit('nginx')['nginx-redirects.conf']).toContain(
+        'location /nar/0 {\n' +
+        `    rewrite ^/nar/0(.*)$ ${shard}/0$1 redirect;\n` +
+        '}\n'
+      );
+    });
+
+    test('html pages point at the rule of their file', () => {
+      expect(emit('html')['nar/0abc.nar.xz.html']).toContain(`url=${shard}/0abc.nar.xz"`);
+      expect(emit('html')['nar/def.nar.html']).toContain(`url=${base}/def.nar"`);
+    });
+  });
+
+  describe('exact rules', () => {
+    const shard = `${base}-0`;
+    const exact = [
+      { from: '/nar/', to: base, files: ['0old.nar.xz'], exact: true },
+      { from: '/nar/', prefix: '0', to: shard, files: ['0abc.nar.xz'] },
+    ];
+    const emit = target => Object.fromEntries(getRedirectEmitter(target).emit(exact).map(f => [f.path, f.content]));
+
+    test('cloudflare lists each file ahead of the prefix', () => {
+      expect(emit('cloudflare')._redirects).toBe(
+        `/nar/0old.nar.xz ${base}/0old.nar.xz 302\n` +
+        `/nar/0* ${shard}/0:splat 302\n`
+      );
+    });
+
+    test('netlify lists each file without a splat', () => {
+      expect(emit('netlify')._redirects).toBe(`/nar/0old.nar.xz ${base}/0old.nar.xz 302\n/nar/0* ${shard}/0:splat 302\n`);
+      expect(emit('netlify')['netlify.toml']).toContain(`  from = "/nar/0old.nar.xz"\n  to = "${base}/0old.nar.xz"\n`);
+    });
+
+    test('vercel lists each file without a parameter', () => {
+      expect(JSON.parse(emit('vercel')['vercel.json']).rewrites[0])
+        .toEqual({ source: '/nar/0old.nar.xz', destination: `${base}/0old.nar.xz` });
+    });
+
+    test('s3 matches the whole filename', () => {
+      expect(JSON.parse(emit('s3')['s3-routing-rules.json'])[0]).toMatchObject({
+        Condition: { KeyPrefixEquals: 'nar/0old.nar.xz' },
+        Redirect: { ReplaceKeyPrefixWith: 'myorg/myproject/releases/download/nix-cache/0old.nar.xz' },
+      });
+    });
+
+    test('nginx uses an exact location', () => {
+      expect(emit('nginx')['nginx-redirects.conf']).toContain(
+        'location = /nar/0old.nar.xz {\n' +
+        `    return 302 ${base}/0old.nar.xz;\n` +
+        '}\n'
+      );
+    });
+
+    test('html pages point at the base release', () => {
+      expect(emit('html')['nar/0old.nar.xz.html']).toContain(`url=${base}/0old.nar.xz"`);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorage = require('../src/storage/local');
+const { resignCache } = require('../src/resign');
+const { verifyNarinfo } = require('../src/signing');
+const { parseNarinfo, fingerprintFields } = require('../src/narinfo');
+
+function generateTestKeyPair(name) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  const seed = privateKey.export({ type: 'pkcs8', format: 'der' }).slice(16);
+  const pubBytes = publicKey.export({ type: 'spki', format: 'der' }).slice(12);
+  return {
+    nixPrivKey: `${name}:${Buffer.concat([seed, pubBytes]).toString('base64')}`,
+    nixPubKey: `${name}:${pubBytes.toString('base64')}`,
+  };
+}
+
+function makeNarinfo(hash) {
+  return (
+    `StorePath: /nix/store/${hash}-pkg\n` +
+    `URL: nar/${hash}.nar.xz\n` +
+    'Compression: xz\n' +
+    'NarHash: sha256:0p2lyv8ark78m6al120aaz144zsqmg2hrbwa85h7zk2yk3h5in2h\n' +
+    'NarSize: 100\n' +
+    `References: ${hash}-pkg\n`
+  );
+}
+
+describe('resignCache', () => {
+  const hashA = 'aaaabbbbccccddddaaaabbbbccccdddd';
+  const hashB = 'ffffgggghhhhiiiijjjjkkkkllllmmmm';
+  let tmpDir;
+  let storage;
+  let oldKey;
+  let newKey;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'static-nix-cache-resign-'));
+    storage = new LocalStorage(tmpDir);
+    oldKey = generateTestKeyPair('old-1');
+    newKey = generateTestKeyPair('new-1');
+
+    // Start from a cache signed only by the old key
+    for (const hash of [hashA, hashB]) {
+      await storage.putNarinfo(hash, makeNarinfo(hash));
+    }
+    await resignCache(storage, { signingKeys: [oldKey.nixPrivKey] });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function sigsFor(hash) {
+    return parseNarinfo(await storage.getNarinfo(hash)).sigs;
+  }
+
+  test('adds the new signature and keeps the old one', async () => {
+    const result = await resignCache(storage, { signingKeys: [newKey.nixPrivKey] });
+    expect(result).toEqual({ total: 2, updated: [hashA, hashB], unchanged: 0, failed: [] });
+
+    const narinfo = parseNarinfo(await storage.getNarinfo(hashA));
+    const fields = fingerprintFields(narinfo);
+    expect(narinfo.sigs.map(sig => sig.split(':')[0])).toEqual(['old-1', 'new-1']);
+    expect(verifyNarinfo(fields, narinfo.sigs[0], oldKey.nixPubKey)).toBe(true);
+    expect(verifyNarinfo(fields, narinfo.sigs[1], newKey.nixPubKey)).toBe(true);
+  });
+
+  test('is a no-op when every narinfo is already signed', async () => {
+    await resignCache(storage, { signingKeys: [newKey.nixPrivKey] });
+    const result = await resignCache(storage, { signingKeys: [oldKey.nixPrivKey, newKey.nixPrivKey] });
+    expect(result.updated).toEqual([]);
+    expect(result.unchanged).toBe(2);
+  });
+
+  test('drops signatures from retired keys', async () => {
+    await resignCache(storage, { signingKeys: [newKey.nixPrivKey] });
+    const result = await resignCache(storage, { signingKeys: [newKey.nixPrivKey], dropKeyNames: ['old-1'] });
+    expect(result.updated).toEqual([hashA, hashB]);
+    expect((await sigsFor(hashA)).map(sig => sig.split(':')[0])).toEqual(['new-1']);
+  });
+
+  test('dry run reports changes without writing', async () => {
+    const before = await storage.getNarinfo(hashA);
+    const result = await resignCache(storage, { signingKeys: [newKey.nixPrivKey], dryRun: true });
+    expect(result.updated).toEqual([hashA, hashB]);
+    expect(await storage.getNarinfo(hashA)).toBe(before);
+  });
+
+  test('reports invalid narinfo without touching them', async () => {
+    await storage.putNarinfo(hashB, 'StorePath: /nix/store/broken\n');
+    const result = await resignCache(storage, { signingKeys: [newKey.nixPrivKey] });
+    expect(result.updated).toEqual([hashA]);
+    expect(result.failed).toEqual([{ hash: hashB, reason: expect.stringContaining('NarHash: missing') }]);
+    expect(await storage.getNarinfo(hashB)).toBe('StorePath: /nix/store/broken\n');
+  });
+
+  test('flushes backends that batch narinfo writes', async () => {
+    // Like github-releases with a metadata branch: writes only land on flush()
+    const pending = new Map();
+    const batching = {
+      listNarinfo: () => storage.listNarinfo(),
+      getNarinfo: hash => storage.getNarinfo(hash),
+      putNarinfo: async (hash, content) => { pending.set(hash, content); },
+      flush: jest.fn(async () => {
+        for (const [hash, content] of pending) await storage.putNarinfo(hash, content);
+        pending.clear();
+      }),
+    };
+
+    await resignCache(batching, { signingKeys: [newKey.nixPrivKey] });
+    expect(batching.flush).toHaveBeenCalledTimes(1);
+    expect((await sigsFor(hashA)).map(sig => sig.split(':')[0])).toEqual(['old-1', 'new-1']);
+
+    await resignCache(batching, { signingKeys: [newKey.nixPrivKey], dryRun: true });
+    expect(batching.flush).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses to sign with a key it is asked to drop', async () => {
+    await expect(resignCache(storage, { signingKeys: [newKey.nixPrivKey], dropKeyNames: ['new-1'] }))
+      .rejects.toThrow('Cannot both sign with and drop key "new-1"');
+  });
+});
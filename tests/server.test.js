@@ -2,7 +2,13 @@
 
 const request = require('supertest');
 const crypto = require('crypto');
+const http = require('http');
+const zlib = require('zlib');
+const { execFileSync, spawnSync } = require('child_process');
 const { createApp } = require('../src/server');
+const { formatNixHash } = require('../src/hash');
+const { signNarinfo, verifyNarinfo, hasTrustedRealisationSignature } = require('../src/signing');
+const { parseNarinfo, fingerprintFields } = require('../src/narinfo');
 
 // ─── In-memory storage mock ───────────────────────────────────────────────────
 const { Readable } = require('stream');
@@ -11,6 +17,9 @@ class MemoryStorage {
   constructor() {
     this.narinfos = new Map();
     this.nars = new Map();
+    this.realisations = new Map();
+    this.logs = new Map();
+    this.listings = new Map();
   }
   async hasNarinfo(hash) { return this.narinfos.has(hash); }
   async getNarinfo(hash) { return this.narinfos.get(hash) ?? null; }
@@ -20,11 +29,29 @@ class MemoryStorage {
     if (!this.nars.has(filename)) return null;
     return Readable.from(this.nars.get(filename));
   }
+  async statNar(filename) {
+    if (!this.nars.has(filename)) return null;
+    const size = this.nars.get(filename).length;
+    return { size, etag: `"${filename}-${size}"`, lastModified: new Date('2024-01-02T03:04:05Z') };
+  }
+  async getNarRange(filename, { start, end }) {
+    if (!this.nars.has(filename)) return null;
+    return Readable.from([this.nars.get(filename).subarray(start, end + 1)]);
+  }
   async putNarStream(filename, readable) {
     const chunks = [];
     for await (const chunk of readable) chunks.push(Buffer.from(chunk));
     this.nars.set(filename, Buffer.concat(chunks));
   }
+  async hasRealisation(id) { return this.realisations.has(id); }
+  async getRealisation(id) { return this.realisations.get(id) ?? null; }
+  async putRealisation(id, content) { this.realisations.set(id, content); }
+  async hasLog(drv) { return this.logs.has(drv); }
+  async getLog(drv) { return this.logs.get(drv) ?? null; }
+  async putLog(drv, compressed) { this.logs.set(drv, compressed); }
+  async hasListing(hash) { return this.listings.has(hash); }
+  async getListing(hash) { return this.listings.get(hash) ?? null; }
+  async putListing(hash, content) { this.listings.set(hash, content); }
 }
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -33,15 +60,15 @@ function makeApp(overrides = {}) {
   return createApp({ _storage: new MemoryStorage(), ...overrides });
 }
 
-function generateTestKeyPair() {
+function generateTestKeyPair(name = 'test-1') {
   const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
   const privDer = privateKey.export({ type: 'pkcs8', format: 'der' });
   const seed = privDer.slice(16);
   const pubDer = publicKey.export({ type: 'spki', format: 'der' });
   const pubBytes = pubDer.slice(12);
   return {
-    nixPrivKey: `test-1:${Buffer.concat([seed, pubBytes]).toString('base64')}`,
-    nixPubKey: `test-1:${pubBytes.toString('base64')}`,
+    nixPrivKey: `${name}:${Buffer.concat([seed, pubBytes]).toString('base64')}`,
+    nixPubKey: `${name}:${pubBytes.toString('base64')}`,
   };
 }
 
@@ -59,8 +86,15 @@ describe('GET /nix-cache-info', () => {
 });
 
 describe('narinfo endpoints', () => {
-  const hash = 'aaaabbbbccccdddd';
-  const narinfo = 'StorePath: /nix/store/aaaabbbbccccdddd-pkg\nNarHash: sha256:abc\nNarSize: 100\nReferences: \n';
+  const hash = 'aaaabbbbccccddddaaaabbbbccccdddd';
+  const narinfo = 'StorePath: /nix/store/aaaabbbbccccddddaaaabbbbccccdddd-pkg\nURL: nar/aaaabbbbccccddddaaaabbbbccccdddd.nar.xz\nCompression: xz\nNarHash: sha256:0p2lyv8ark78m6al120aaz144zsqmg2hrbwa85h7zk2yk3h5in2h\nNarSize: 100\nReferences: \n';
+
+  // narinfo uploads are only accepted once their NAR is in storage
+  function makeAppWithNar(overrides = {}) {
+    const storage = new MemoryStorage();
+    storage.nars.set('aaaabbbbccccddddaaaabbbbccccdddd.nar.xz', Buffer.from('fake nar data'));
+    return createApp({ _storage: storage, ...overrides });
+  }
 
   test('HEAD /:hash.narinfo – 404 when missing', async () => {
     const app = makeApp();
@@ -84,7 +118,7 @@ describe('narinfo endpoints', () => {
   });
 
   test('PUT → HEAD → GET round-trip', async () => {
-    const app = makeApp();
+    const app = makeAppWithNar();
     await request(app)
       .put(`/${hash}.narinfo`)
       .set('Content-Type', 'text/plain')
@@ -95,11 +129,23 @@ describe('narinfo endpoints', () => {
 
     const res = await request(app).get(`/${hash}.narinfo`);
     expect(res.status).toBe(200);
-    expect(res.text).toContain('StorePath: /nix/store/aaaabbbbccccdddd-pkg');
+    expect(res.text).toContain('StorePath: /nix/store/aaaabbbbccccddddaaaabbbbccccdddd-pkg');
+  });
+
+  test('GET /:hash.narinfo – ETag and 304 for unchanged narinfo', async () => {
+    const storage = new MemoryStorage();
+    storage.narinfos.set(hash, narinfo);
+    const app = createApp({ _storage: storage });
+    const res = await request(app).get(`/${hash}.narinfo`).expect(200);
+    expect(res.headers.etag).toBeDefined();
+    await request(app).get(`/${hash}.narinfo`).set('If-None-Match', res.headers.etag).expect(304);
+
+    storage.narinfos.set(hash, narinfo.replace('NarSize: 100', 'NarSize: 101'));
+    await request(app).get(`/${hash}.narinfo`).set('If-None-Match', res.headers.etag).expect(200);
   });
 
   test('PUT with auth succeeds when secret matches', async () => {
-    const app = makeApp({ uploadSecret: 'mysecret' });
+    const app = makeAppWithNar({ uploadSecret: 'mysecret' });
     await request(app)
       .put(`/${hash}.narinfo`)
       .set('Authorization', 'Bearer mysecret')
@@ -110,7 +156,7 @@ describe('narinfo endpoints', () => {
 
   test('PUT adds signature when signing key is set', async () => {
     const { nixPrivKey } = generateTestKeyPair();
-    const app = makeApp({ signingKey: nixPrivKey });
+    const app = makeAppWithNar({ signingKey: nixPrivKey });
     await request(app)
       .put(`/${hash}.narinfo`)
       .set('Content-Type', 'text/plain')
@@ -120,6 +166,54 @@ describe('narinfo endpoints', () => {
     const res = await request(app).get(`/${hash}.narinfo`);
     expect(res.text).toMatch(/^Sig: test-1:/m);
   });
+
+  test('PUT signs with every configured key', async () => {
+    const current = generateTestKeyPair('current-1');
+    const next = generateTestKeyPair('next-1');
+    const app = makeAppWithNar({ signingKey: '', signingKeys: [current.nixPrivKey, next.nixPrivKey] });
+    await request(app)
+      .put(`/${hash}.narinfo`)
+      .set('Content-Type', 'text/plain')
+      .send(`${narinfo}Sig: current-1:c3RhbGU=\n`)
+      .expect(200);
+
+    const res = await request(app).get(`/${hash}.narinfo`);
+    const sigs = parseNarinfo(res.text).sigs;
+    expect(sigs.map(sig => sig.split(':')[0])).toEqual(['current-1', 'next-1']);
+    const fields = fingerprintFields(parseNarinfo(res.text));
+    expect(verifyNarinfo(fields, sigs[0], current.nixPubKey)).toBe(true);
+    expect(verifyNarinfo(fields, sigs[1], next.nixPubKey)).toBe(true);
+  });
+
+  test('PUT drops foreign signatures by default', async () => {
+    const { nixPrivKey } = generateTestKeyPair();
+    const app = makeAppWithNar({ signingKey: nixPrivKey });
+    await request(app)
+      .put(`/${hash}.narinfo`)
+      .set('Content-Type', 'text/plain')
+      .send(`${narinfo}Sig: upstream-1:dXBzdHJlYW0=\n`)
+      .expect(200);
+
+    const res = await request(app).get(`/${hash}.narinfo`);
+    expect(res.text).not.toContain('upstream-1');
+  });
+
+  test('PUT keeps foreign signatures when preserveSignatures is set', async () => {
+    const { nixPrivKey } = generateTestKeyPair();
+    const app = makeAppWithNar({ signingKey: nixPrivKey, preserveSignatures: true });
+    await request(app)
+      .put(`/${hash}.narinfo`)
+      .set('Content-Type', 'text/plain')
+      .send(`${narinfo}Sig: upstream-1:dXBzdHJlYW0=\nSig: test-1:c3RhbGU=\n`)
+      .expect(200);
+
+    const res = await request(app).get(`/${hash}.narinfo`);
+    const sigs = parseNarinfo(res.text).sigs;
+    expect(sigs[0]).toBe('upstream-1:dXBzdHJlYW0=');
+    expect(sigs).toHaveLength(2);
+    expect(sigs[1]).toMatch(/^test-1:/);
+    expect(sigs[1]).not.toBe('test-1:c3RhbGU=');
+  });
 });
 
 describe('NAR endpoints', () => {
@@ -155,5 +249,814 @@ describe('NAR endpoints', () => {
     });
     expect(res.status).toBe(200);
     expect(res.body).toEqual(narData);
+    expect(res.headers['content-length']).toBe(String(narData.length));
+    expect(res.headers['accept-ranges']).toBe('bytes');
+    expect(res.headers.etag).toBe(`"${filename}-${narData.length}"`);
+    expect(res.headers['last-modified']).toBe('Tue, 02 Jan 2024 03:04:05 GMT');
+  });
+
+  function makeAppWithNarFile() {
+    const storage = new MemoryStorage();
+    storage.nars.set(filename, narData);
+    return { storage, app: createApp({ _storage: storage }) };
+  }
+
+  test('HEAD /nar/:filename – headers without a body', async () => {
+    const { app } = makeAppWithNarFile();
+    const res = await request(app).head(`/nar/${filename}`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-length']).toBe(String(narData.length));
+    expect(res.headers['content-type']).toBe('application/x-nix-nar');
+    await request(app).head('/nar/missing.nar').expect(404);
+  });
+
+  test('GET with Range – 206 partial content', async () => {
+    const { app } = makeAppWithNarFile();
+    const res = await request(app).get(`/nar/${filename}`).set('Range', 'bytes=5-7');
+    expect(res.status).toBe(206);
+    expect(res.headers['content-range']).toBe(`bytes 5-7/${narData.length}`);
+    expect(res.headers['content-length']).toBe('3');
+    expect(res.text).toBe('nar');
+
+    const suffix = await request(app).get(`/nar/${filename}`).set('Range', 'bytes=-4');
+    expect(suffix.status).toBe(206);
+    expect(suffix.text).toBe('data');
+  });
+
+  test('GET with an unsatisfiable Range – 416', async () => {
+    const { app } = makeAppWithNarFile();
+    const res = await request(app).get(`/nar/${filename}`).set('Range', 'bytes=100-200');
+    expect(res.status).toBe(416);
+    expect(res.headers['content-range']).toBe(`bytes */${narData.length}`);
+  });
+
+  test('GET with multiple ranges or a stale If-Range – whole file', async () => {
+    const { app } = makeAppWithNarFile();
+    let res = await request(app).get(`/nar/${filename}`).set('Range', 'bytes=0-1,5-6');
+    expect(res.status).toBe(200);
+    expect(res.text).toBe(narData.toString());
+
+    res = await request(app).get(`/nar/${filename}`).set('Range', 'bytes=0-3').set('If-Range', '"stale"');
+    expect(res.status).toBe(200);
+    expect(res.text).toBe(narData.toString());
+
+    res = await request(app).get(`/nar/${filename}`).set('Range', 'bytes=0-3')
+      .set('If-Range', `"${filename}-${narData.length}"`);
+    expect(res.status).toBe(206);
+    expect(res.text).toBe('fake');
+  });
+
+  test('GET with If-None-Match – 304 when unchanged', async () => {
+    const { app } = makeAppWithNarFile();
+    await request(app).get(`/nar/${filename}`).set('If-None-Match', `"${filename}-${narData.length}"`).expect(304);
+    await request(app).get(`/nar/${filename}`).set('If-None-Match', '"other"').expect(200);
+  });
+
+  test('redirects to the backend when narRedirect is set', async () => {
+    const storage = new MemoryStorage();
+    storage.getNarRedirectUrl = async name => `https://downloads.example.com/${name}?sig=abc`;
+    const app = createApp({ _storage: storage, narRedirect: true });
+    const res = await request(app).get(`/nar/${filename}`);
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe(`https://downloads.example.com/${filename}?sig=abc`);
+    expect(res.headers['cache-control']).toBe('no-store');
+  });
+
+  test('serves NARs the backend cannot redirect to', async () => {
+    const { storage } = makeAppWithNarFile();
+    storage.getNarRedirectUrl = async () => null;
+    const app = createApp({ _storage: storage, narRedirect: true });
+    const res = await request(app).get(`/nar/${filename}`);
+    expect(res.status).toBe(200);
+    expect(res.text).toBe(narData.toString());
+  });
+
+  test('a client that goes away mid-download ends the NAR stream', async () => {
+    const storage = new MemoryStorage();
+    storage.nars.set(filename, Buffer.alloc(64 * 64 * 1024));
+    let served;
+    const closed = new Promise(resolve => { served = resolve; });
+    storage.getNarStream = async () => {
+      const chunks = function* () {
+        for (let i = 0; i < 64; i++) yield Buffer.alloc(64 * 1024);
+      };
+      const nar = Readable.from(chunks());
+      nar.on('close', served);
+      return nar;
+    };
+    const server = createApp({ _storage: storage }).listen(0);
+    try {
+      const req = http.get({ port: server.address().port, path: `/nar/${filename}` });
+      req.on('error', () => {});
+      const res = await new Promise(resolve => req.on('response', resolve));
+      await new Promise(resolve => res.once('data', resolve));
+      req.destroy();
+      await closed;
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  test('narRedirect requires a backend that supports it', () => {
+    expect(() => makeApp({ narRedirect: true })).toThrow(/NAR redirects are not supported/);
+  });
+
+  test('backends without statNar still serve whole files', async () => {
+    const { storage, app } = makeAppWithNarFile();
+    storage.statNar = undefined;
+    const res = await request(app).get(`/nar/${filename}`).set('Range', 'bytes=0-3');
+    expect(res.status).toBe(200);
+    expect(res.text).toBe(narData.toString());
+    expect(res.headers.etag).toBeUndefined();
+    await request(app).head(`/nar/${filename}`).expect(200);
+  });
+});
+
+describe('compression-aware NAR handling', () => {
+  const narData = Buffer.from('fake compressed nar data');
+  const fileHash = formatNixHash('sha256', crypto.createHash('sha256').update(narData).digest());
+
+  function narinfoFor(url, overrides = {}) {
+    const fields = {
+      StorePath: '/nix/store/aaaabbbbccccddddaaaabbbbccccdddd-pkg',
+      URL: url,
+      Compression: 'xz',
+      FileHash: fileHash,
+      FileSize: String(narData.length),
+      NarHash: 'sha256:0p2lyv8ark78m6al120aaz144zsqmg2hrbwa85h7zk2yk3h5in2h',
+      NarSize: '100',
+      References: '',
+      ...overrides,
+    };
+    return Object.entries(fields).map(([k, v]) => `${k}: ${v}`).join('\n') + '\n';
+  }
+
+  async function putNar(app, filename) {
+    await request(app)
+      .put(`/nar/${filename}`)
+      .set('Content-Type', 'application/octet-stream')
+      .send(narData)
+      .expect(200);
+  }
+
+  test.each([
+    ['abc.nar', 'application/x-nix-nar'],
+    ['abc.nar.xz', 'application/x-xz'],
+    ['abc.nar.zst', 'application/zstd'],
+    ['abc.nar.bz2', 'application/x-bzip2'],
+  ])('GET /nar/%s serves %s', async (filename, contentType) => {
+    const app = makeApp();
+    await putNar(app, filename);
+    const res = await request(app).get(`/nar/${filename}`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe(contentType);
+  });
+
+  test('accepts a narinfo matching the uploaded NAR', async () => {
+    const app = makeApp();
+    await putNar(app, 'abc.nar.xz');
+    await request(app)
+      .put('/aaaabbbbccccddddaaaabbbbccccdddd.narinfo')
+      .set('Content-Type', 'text/plain')
+      .send(narinfoFor('nar/abc.nar.xz'))
+      .expect(200);
+  });
+
+  test('rejects a Compression that does not match the URL extension', async () => {
+    const app = makeApp();
+    const res = await request(app)
+      .put('/aaaabbbbccccddddaaaabbbbccccdddd.narinfo')
+      .set('Content-Type', 'text/plain')
+      .send(narinfoFor('nar/abc.nar.zst'));
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^Compression:/);
+  });
+
+  test('rejects a FileSize that does not match the uploaded NAR', async () => {
+    const app = makeApp();
+    await putNar(app, 'abc.nar.xz');
+    const res = await request(app)
+      .put('/aaaabbbbccccddddaaaabbbbccccdddd.narinfo')
+      .set('Content-Type', 'text/plain')
+      .send(narinfoFor('nar/abc.nar.xz', { FileSize: '1' }));
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^FileSize:/);
+  });
+
+  test('rejects a FileHash that does not match the uploaded NAR', async () => {
+    const app = makeApp();
+    await putNar(app, 'abc.nar.xz');
+    const otherHash = formatNixHash('sha256', crypto.createHash('sha256').update('other').digest());
+    const res = await request(app)
+      .put('/aaaabbbbccccddddaaaabbbbccccdddd.narinfo')
+      .set('Content-Type', 'text/plain')
+      .send(narinfoFor('nar/abc.nar.xz', { FileHash: otherHash }));
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^FileHash:/);
+  });
+});
+
+describe('recompression', () => {
+  const hasZstd = spawnSync('zstd', ['--version']).status === 0;
+  const narData = Buffer.from('uncompressed nar contents '.repeat(100));
+  const narHash = formatNixHash('sha256', crypto.createHash('sha256').update(narData).digest());
+  const narinfo =
+    'StorePath: /nix/store/aaaabbbbccccddddaaaabbbbccccdddd-pkg\n' +
+    'URL: nar/upload.nar\n' +
+    'Compression: none\n' +
+    `FileHash: ${narHash}\n` +
+    `FileSize: ${narData.length}\n` +
+    `NarHash: ${narHash}\n` +
+    `NarSize: ${narData.length}\n` +
+    'References: \n';
+
+  test('createApp rejects unknown recompress settings', () => {
+    expect(() => makeApp({ recompress: 'lzma' })).toThrow(/Invalid recompress setting/);
+  });
+
+  (hasZstd ? test : test.skip)('stores uncompressed uploads as zstd and rewrites the narinfo', async () => {
+    const { nixPrivKey, nixPubKey } = generateTestKeyPair();
+    const storage = new MemoryStorage();
+    const app = createApp({ _storage: storage, recompress: 'zstd', signingKey: nixPrivKey });
+
+    await request(app)
+      .put('/nar/upload.nar')
+      .set('Content-Type', 'application/octet-stream')
+      .send(narData)
+      .expect(200);
+
+    expect(storage.nars.has('upload.nar')).toBe(false);
+    const [storedName] = storage.nars.keys();
+    expect(storedName).toMatch(/^[0-9a-z]{52}\.nar\.zst$/);
+    const stored = storage.nars.get(storedName);
+    expect(execFileSync('zstd', ['-dc'], { input: stored })).toEqual(narData);
+
+    await request(app)
+      .put('/aaaabbbbccccddddaaaabbbbccccdddd.narinfo')
+      .set('Content-Type', 'text/plain')
+      .send(narinfo)
+      .expect(200);
+
+    const res = await request(app).get('/aaaabbbbccccddddaaaabbbbccccdddd.narinfo');
+    const storedHash = formatNixHash('sha256', crypto.createHash('sha256').update(stored).digest());
+    expect(res.text).toContain(`URL: nar/${storedName}\n`);
+    expect(res.text).toContain('Compression: zstd\n');
+    expect(res.text).toContain(`FileHash: ${storedHash}\n`);
+    expect(res.text).toContain(`FileSize: ${stored.length}\n`);
+    expect(res.text).toContain(`NarHash: ${narHash}\n`);
+
+    const sig = res.text.match(/^Sig: (.+)$/m)[1];
+    expect(verifyNarinfo(fingerprintFields(parseNarinfo(res.text)), sig, nixPubKey)).toBe(true);
+  });
+});
+
+describe('NAR integrity verification', () => {
+  const narData = Buffer.from('uncompressed nar contents');
+  const narHash = formatNixHash('sha256', crypto.createHash('sha256').update(narData).digest());
+
+  function narinfoFor(fields) {
+    return Object.entries({
+      StorePath: '/nix/store/aaaabbbbccccddddaaaabbbbccccdddd-pkg',
+      URL: 'nar/upload.nar',
+      Compression: 'none',
+      NarHash: narHash,
+      NarSize: String(narData.length),
+      References: '',
+      ...fields,
+    }).map(([k, v]) => `${k}: ${v}`).join('\n') + '\n';
+  }
+
+  async function putNarinfo(app, content) {
+    return request(app)
+      .put('/aaaabbbbccccddddaaaabbbbccccdddd.narinfo')
+      .set('Content-Type', 'text/plain')
+      .send(content);
+  }
+
+  test('rejects a narinfo without a URL', async () => {
+    const storage = new MemoryStorage();
+    const app = createApp({ _storage: storage });
+    const res = await putNarinfo(app, 'StorePath: /nix/store/aaaabbbbccccddddaaaabbbbccccdddd-pkg\nNarHash: sha256:0p2lyv8ark78m6al120aaz144zsqmg2hrbwa85h7zk2yk3h5in2h\nNarSize: 1\n');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('URL: missing');
+    expect(storage.narinfos.size).toBe(0);
+  });
+
+  test('rejects a narinfo whose NAR is missing', async () => {
+    const storage = new MemoryStorage();
+    const app = createApp({ _storage: storage });
+    const res = await putNarinfo(app, narinfoFor({}));
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^URL: NAR nar\/upload\.nar has not been uploaded/);
+    expect(storage.narinfos.size).toBe(0);
+  });
+
+  test('checks NarHash and NarSize of uncompressed NARs', async () => {
+    const storage = new MemoryStorage();
+    const app = createApp({ _storage: storage });
+    await request(app).put('/nar/upload.nar').send(narData).expect(200);
+
+    const badSize = await putNarinfo(app, narinfoFor({ NarSize: '5' }));
+    expect(badSize.status).toBe(400);
+    expect(badSize.body.error).toMatch(/^NarSize:/);
+
+    const otherHash = formatNixHash('sha256', crypto.createHash('sha256').update('corrupt').digest());
+    const badHash = await putNarinfo(app, narinfoFor({ NarHash: otherHash }));
+    expect(badHash.status).toBe(400);
+    expect(badHash.body.error).toMatch(/^NarHash:/);
+    expect(storage.narinfos.size).toBe(0);
+
+    await putNarinfo(app, narinfoFor({})).then(res => expect(res.status).toBe(200));
+    expect(storage.narinfos.size).toBe(1);
+  });
+
+  test('checks the size of NARs already in storage that were not uploaded to this process', async () => {
+    const storage = new MemoryStorage();
+    storage.nars.set('upload.nar', Buffer.from('corrupted bytes'));
+    const getNarStream = jest.spyOn(storage, 'getNarStream');
+    const app = createApp({ _storage: storage });
+
+    const res = await putNarinfo(app, narinfoFor({}));
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^NarSize:/);
+    expect(storage.narinfos.size).toBe(0);
+
+    // Same size, different bytes: only hashing tells
+    storage.nars.set('upload.nar', Buffer.alloc(narData.length));
+    await putNarinfo(app, narinfoFor({})).then(r => expect(r.status).toBe(200));
+    expect(getNarStream).not.toHaveBeenCalled();
+  });
+
+  test('hashes NARs already in storage when verifyStoredNarHashes is set', async () => {
+    const storage = new MemoryStorage();
+    storage.nars.set('upload.nar', Buffer.alloc(narData.length));
+    const app = createApp({ _storage: storage, verifyStoredNarHashes: true });
+
+    const res = await putNarinfo(app, narinfoFor({}));
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^NarHash:/);
+
+    storage.nars.set('upload.nar', narData);
+    await putNarinfo(createApp({ _storage: storage, verifyStoredNarHashes: true }), narinfoFor({}))
+      .then(r => expect(r.status).toBe(200));
+  });
+
+  test('checks only existence with backends without statNar', async () => {
+    const storage = new MemoryStorage();
+    storage.statNar = undefined;
+    const app = createApp({ _storage: storage });
+    expect((await putNarinfo(app, narinfoFor({}))).status).toBe(400);
+
+    storage.nars.set('upload.nar', Buffer.from('corrupted bytes'));
+    expect((await putNarinfo(app, narinfoFor({}))).status).toBe(200);
+  });
+});
+
+describe('signature verification', () => {
+  const hash = 'aaaabbbbccccddddaaaabbbbccccdddd';
+  const narinfo = 'StorePath: /nix/store/aaaabbbbccccddddaaaabbbbccccdddd-pkg\nURL: nar/aaaabbbbccccddddaaaabbbbccccdddd.nar.xz\nCompression: xz\nNarHash: sha256:0p2lyv8ark78m6al120aaz144zsqmg2hrbwa85h7zk2yk3h5in2h\nNarSize: 100\nReferences: \n';
+  const builder = generateTestKeyPair('builder-1');
+
+  function makeVerifyingApp(overrides = {}) {
+    const storage = new MemoryStorage();
+    storage.nars.set('aaaabbbbccccddddaaaabbbbccccdddd.nar.xz', Buffer.from('fake nar data'));
+    return createApp({ _storage: storage, trustedPublicKeys: [builder.nixPubKey], ...overrides });
+  }
+
+  function signed(text, privateKey) {
+    return `${text}Sig: ${signNarinfo(fingerprintFields(parseNarinfo(text)), privateKey)}\n`;
+  }
+
+  test('rejects unsigned narinfo', async () => {
+    const res = await request(makeVerifyingApp())
+      .put(`/${hash}.narinfo`)
+      .set('Content-Type', 'text/plain')
+      .send(narinfo);
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Sig: narinfo is not signed');
+  });
+
+  test('rejects narinfo signed by an untrusted key', async () => {
+    const other = generateTestKeyPair('builder-1');
+    const res = await request(makeVerifyingApp())
+      .put(`/${hash}.narinfo`)
+      .set('Content-Type', 'text/plain')
+      .send(signed(narinfo, other.nixPrivKey));
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Sig: no valid signature from a trusted key');
+  });
+
+  test('rejects narinfo modified after signing', async () => {
+    const tampered = signed(narinfo, builder.nixPrivKey).replace('NarSize: 100', 'NarSize: 101');
+    const res = await request(makeVerifyingApp())
+      .put(`/${hash}.narinfo`)
+      .set('Content-Type', 'text/plain')
+      .send(tampered);
+    expect(res.status).toBe(403);
+  });
+
+  test('accepts narinfo signed by a trusted key, ignoring malformed signatures', async () => {
+    const app = makeVerifyingApp();
+    const body = signed(`${narinfo}Sig: garbage\nSig: builder-1:c2hvcnQ=\n`, builder.nixPrivKey);
+    await request(app)
+      .put(`/${hash}.narinfo`)
+      .set('Content-Type', 'text/plain')
+      .send(body)
+      .expect(200);
+
+    const res = await request(app).get(`/${hash}.narinfo`);
+    expect(res.text).toBe(body);
+  });
+
+  test('rejects malformed trusted keys at startup', () => {
+    expect(() => makeVerifyingApp({ trustedPublicKeys: ['not-a-key'] }))
+      .toThrow('Invalid trusted public key "not-a-key"');
+  });
+});
+
+describe('realisations', () => {
+  const id = 'sha256:6e5a1b2bc3fd1f5e0d9e8e7e2b3c1fd56d6f8e7d6c5b4a39281706f5e4d3c2b1!out';
+  const realisation = JSON.stringify({
+    id,
+    outPath: 'aaaabbbbccccddddaaaabbbbccccdddd-pkg',
+    signatures: [],
+    dependentRealisations: {},
+  });
+
+  test('PUT → HEAD → GET round-trip', async () => {
+    const app = makeApp();
+    await request(app).head(`/realisations/${id}.doi`).expect(404);
+    await request(app)
+      .put(`/realisations/${id}.doi`)
+      .set('Content-Type', 'application/json')
+      .send(realisation)
+      .expect(200);
+
+    await request(app).head(`/realisations/${id}.doi`).expect(200);
+    const res = await request(app).get(`/realisations/${id}.doi`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+    expect(res.text).toBe(realisation);
+  });
+
+  test('accepts percent-encoded ids', async () => {
+    const app = makeApp();
+    await request(app)
+      .put(`/realisations/${encodeURIComponent(id)}.doi`)
+      .send(realisation)
+      .expect(200);
+    await request(app).get(`/realisations/${id}.doi`).expect(200);
+  });
+
+  test('PUT requires auth when secret is set', async () => {
+    const app = makeApp({ uploadSecret: 'secret123' });
+    await request(app).put(`/realisations/${id}.doi`).send(realisation).expect(401);
+  });
+
+  test('PUT rejects malformed realisations', async () => {
+    const app = makeApp();
+    let res = await request(app).put(`/realisations/${id}.doi`).set('Content-Type', 'text/plain').send('nope');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Body is not a JSON object');
+
+    res = await request(app)
+      .put(`/realisations/${id}.doi`)
+      .set('Content-Type', 'text/plain')
+      .send(JSON.stringify({ id, outPath: 'not-a-store-path' }));
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('outPath: malformed store path "not-a-store-path"');
+  });
+
+  test('PUT rejects a realisation stored under another id', async () => {
+    const other = id.replace('!out', '!dev');
+    const res = await request(makeApp())
+      .put(`/realisations/${other}.doi`)
+      .set('Content-Type', 'text/plain')
+      .send(realisation);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(`id: "${id}" does not match the URL`);
+  });
+
+  test('GET returns 404 for malformed ids', async () => {
+    await request(makeApp()).get('/realisations/..%2Fnarinfo%2Fx.doi').expect(404);
+  });
+
+  test('PUT signs realisations with the configured keys', async () => {
+    const { nixPrivKey, nixPubKey } = generateTestKeyPair();
+    const app = makeApp({ signingKey: nixPrivKey });
+    await request(app)
+      .put(`/realisations/${id}.doi`)
+      .set('Content-Type', 'text/plain')
+      .send(realisation)
+      .expect(200);
+
+    const res = await request(app).get(`/realisations/${id}.doi`);
+    const stored = JSON.parse(res.text);
+    expect(stored.signatures).toHaveLength(1);
+    expect(hasTrustedRealisationSignature(stored, [nixPubKey])).toBe(true);
+  });
+
+  test('PUT enforces trusted public keys', async () => {
+    const builder = generateTestKeyPair('builder-1');
+    const app = makeApp({ trustedPublicKeys: [builder.nixPubKey] });
+    const res = await request(app)
+      .put(`/realisations/${id}.doi`)
+      .set('Content-Type', 'text/plain')
+      .send(realisation);
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('signatures: realisation is not signed');
+
+    const signer = makeApp({ signingKey: builder.nixPrivKey });
+    await request(signer).put(`/realisations/${id}.doi`).set('Content-Type', 'text/plain').send(realisation);
+    const signed = (await request(signer).get(`/realisations/${id}.doi`)).text;
+    await request(app)
+      .put(`/realisations/${id}.doi`)
+      .set('Content-Type', 'text/plain')
+      .send(signed)
+      .expect(200);
+  });
+});
+
+describe('build logs', () => {
+  const drv = 'aaaabbbbccccddddaaaabbbbccccdddd-pkg-1.0.drv';
+  const log = 'building pkg-1.0\nmake: *** [all] Error 1\n';
+  const hasXz = spawnSync('xz', ['--version']).status === 0;
+
+  test('PUT → HEAD → GET round-trip, stored gzipped', async () => {
+    const storage = new MemoryStorage();
+    const app = createApp({ _storage: storage });
+    await request(app).head(`/log/${drv}`).expect(404);
+    await request(app)
+      .put(`/log/${drv}`)
+      .set('Content-Type', 'text/plain; charset=utf-8')
+      .send(log)
+      .expect(200);
+
+    expect(zlib.gunzipSync(storage.logs.get(drv)).toString()).toBe(log);
+    await request(app).head(`/log/${drv}`).expect(200);
+
+    const res = await request(app).get(`/log/${drv}`).set('Accept-Encoding', 'gzip');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-encoding']).toBe('gzip');
+    expect(res.headers['content-type']).toBe('text/plain; charset=utf-8');
+    expect(res.text).toBe(log);
+  });
+
+  test('GET decompresses for clients that do not accept gzip', async () => {
+    const storage = new MemoryStorage();
+    storage.logs.set(drv, zlib.gzipSync(log));
+    const res = await request(createApp({ _storage: storage }))
+      .get(`/log/${drv}`)
+      .set('Accept-Encoding', 'identity');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-encoding']).toBeUndefined();
+    expect(res.text).toBe(log);
+  });
+
+  test('PUT decodes brotli-compressed uploads', async () => {
+    const storage = new MemoryStorage();
+    await request(createApp({ _storage: storage }))
+      .put(`/log/${drv}`)
+      .set('Content-Encoding', 'br')
+      .send(zlib.brotliCompressSync(log))
+      .expect(200);
+    expect(zlib.gunzipSync(storage.logs.get(drv)).toString()).toBe(log);
+  });
+
+  (hasXz ? test : test.skip)('PUT decodes xz-compressed uploads', async () => {
+    const storage = new MemoryStorage();
+    await request(createApp({ _storage: storage }))
+      .put(`/log/${drv}`)
+      .set('Content-Encoding', 'xz')
+      .send(execFileSync('xz', ['-c'], { input: log }))
+      .expect(200);
+    expect(zlib.gunzipSync(storage.logs.get(drv)).toString()).toBe(log);
+  });
+
+  test('PUT rejects unsupported encodings and corrupt bodies', async () => {
+    const app = makeApp();
+    let res = await request(app).put(`/log/${drv}`).set('Content-Encoding', 'lz4').send('x');
+    expect(res.status).toBe(415);
+
+    res = await request(app).put(`/log/${drv}`).set('Content-Encoding', 'br').send('not brotli');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^Could not decode log:/);
+  });
+
+  test('rejects names that are not derivations', async () => {
+    const app = makeApp();
+    await request(app).put('/log/not-a-drv').send(log).expect(400);
+    await request(app).get('/log/aaaabbbbccccddddaaaabbbbccccdddd-pkg').expect(404);
+  });
+
+  test('PUT requires auth when secret is set', async () => {
+    await request(makeApp({ uploadSecret: 'secret123' })).put(`/log/${drv}`).send(log).expect(401);
+  });
+});
+
+describe('NAR listings', () => {
+  const hash = 'aaaabbbbccccddddaaaabbbbccccdddd';
+  const listing = '{"version":1,"root":{"type":"regular","size":5,"narOffset":96}}';
+
+  // A NAR holding one regular file with the given contents
+  function makeNar(contents) {
+    const str = value => {
+      const bytes = Buffer.from(value);
+      const length = Buffer.alloc(8);
+      length.writeBigUInt64LE(BigInt(bytes.length));
+      return Buffer.concat([length, bytes, Buffer.alloc((8 - (bytes.length % 8)) % 8)]);
+    };
+    return Buffer.concat(['nix-archive-1', '(', 'type', 'regular', 'contents', contents, ')'].map(str));
+  }
+
+  function narinfoFor(nar) {
+    const narHash = formatNixHash('sha256', crypto.createHash('sha256').update(nar).digest());
+    return `StorePath: /nix/store/${hash}-pkg\n` +
+      'URL: nar/upload.nar\n' +
+      'Compression: none\n' +
+      `NarHash: ${narHash}\n` +
+      `NarSize: ${nar.length}\n` +
+      'References: \n';
+  }
+
+  test('PUT → HEAD → GET round-trip', async () => {
+    const storage = new MemoryStorage();
+    const app = createApp({ _storage: storage });
+    await request(app).head(`/${hash}.ls`).expect(404);
+    await request(app).put(`/${hash}.ls`).set('Content-Type', 'application/json').send(listing).expect(200);
+    await request(app).head(`/${hash}.ls`).expect(200);
+
+    const res = await request(app).get(`/${hash}.ls`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+    expect(res.text).toBe(listing);
+  });
+
+  test('PUT decodes compressed uploads', async () => {
+    const storage = new MemoryStorage();
+    await request(createApp({ _storage: storage }))
+      .put(`/${hash}.ls`)
+      .set('Content-Encoding', 'br')
+      .send(zlib.brotliCompressSync(listing))
+      .expect(200);
+    expect(storage.listings.get(hash)).toBe(listing);
+  });
+
+  test('PUT rejects malformed listings', async () => {
+    const app = makeApp();
+    let res = await request(app).put(`/${hash}.ls`).send('{"version":2,"root":{}}');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('version: unsupported listing version 2');
+
+    res = await request(app).put(`/${hash}.ls`).set('Content-Encoding', 'lz4').send('x');
+    expect(res.status).toBe(415);
+  });
+
+  test('PUT requires auth when secret is set', async () => {
+    await request(makeApp({ uploadSecret: 'secret123' })).put(`/${hash}.ls`).send(listing).expect(401);
+  });
+
+  test('generates listings from uploaded NARs when enabled', async () => {
+    const storage = new MemoryStorage();
+    const app = createApp({ _storage: storage, generateListings: true });
+    const nar = makeNar('hello');
+    await request(app).put('/nar/upload.nar').send(nar).expect(200);
+    expect(storage.nars.get('upload.nar')).toEqual(nar);
+    expect(storage.listings.size).toBe(0);
+
+    await request(app).put(`/${hash}.narinfo`).set('Content-Type', 'text/plain').send(narinfoFor(nar)).expect(200);
+    expect(JSON.parse(storage.listings.get(hash))).toEqual(JSON.parse(listing));
+
+    // The generated listing is not held on to once stored
+    storage.listings.clear();
+    await request(app).put(`/${hash}.narinfo`).set('Content-Type', 'text/plain').send(narinfoFor(nar)).expect(200);
+    expect(storage.listings.size).toBe(0);
+  });
+
+  test('keeps listings uploaded by the client', async () => {
+    const storage = new MemoryStorage();
+    storage.listings.set(hash, 'uploaded');
+    const app = createApp({ _storage: storage, generateListings: true });
+    const nar = makeNar('hello');
+    await request(app).put('/nar/upload.nar').send(nar).expect(200);
+    await request(app).put(`/${hash}.narinfo`).set('Content-Type', 'text/plain').send(narinfoFor(nar)).expect(200);
+    expect(storage.listings.get(hash)).toBe('uploaded');
+  });
+
+  test('an aborted upload does not leave the listing copy waiting', async () => {
+    const storage = new MemoryStorage();
+    const putNarStream = storage.putNarStream.bind(storage);
+    let started;
+    const storing = new Promise(resolve => { started = resolve; });
+    storage.putNarStream = (filename, readable) => {
+      const result = putNarStream(filename, readable);
+      started({ result });
+      return result;
+    };
+    const server = createApp({ _storage: storage, generateListings: true }).listen(0);
+    try {
+      const req = http.request({
+        port: server.address().port,
+        method: 'PUT',
+        path: '/nar/upload.nar',
+        headers: { 'Content-Length': '100000' },
+      });
+      req.on('error', () => {});
+      req.write(makeNar('hello'));
+      const { result } = await storing;
+      req.destroy();
+      await expect(result).rejects.toThrow();
+      expect(storage.nars.has('upload.nar')).toBe(false);
+    } finally {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  test('stores NARs that cannot be listed', async () => {
+    const storage = new MemoryStorage();
+    const app = createApp({ _storage: storage, generateListings: true });
+    await request(app).put('/nar/upload.nar').send(Buffer.from('not a nar')).expect(200);
+    expect(storage.nars.get('upload.nar').toString()).toBe('not a nar');
+  });
+});
+
+describe('closure completeness', () => {
+  const depHash = 'ffffgggghhhhiiiijjjjkkkkllllmmmm';
+  const narData = Buffer.from('compressed nar');
+
+  function narinfoFor(hash, references) {
+    return `StorePath: /nix/store/${hash}-pkg\n` +
+      `URL: nar/${hash}.nar.xz\n` +
+      'Compression: xz\n' +
+      'NarHash: sha256:0p2lyv8ark78m6al120aaz144zsqmg2hrbwa85h7zk2yk3h5in2h\n' +
+      'NarSize: 100\n' +
+      `References: ${references.join(' ')}\n`;
+  }
+
+  async function putNar(app, hash) {
+    await request(app).put(`/nar/${hash}.nar.xz`).send(narData).expect(200);
+  }
+
+  test('rejects narinfo with missing references and NAR', async () => {
+    const storage = new MemoryStorage();
+    const app = createApp({ _storage: storage, requireCompleteClosure: true });
+
+    const res = await request(app)
+      .put('/aaaabbbbccccddddaaaabbbbccccdddd.narinfo')
+      .set('Content-Type', 'text/plain')
+      .send(narinfoFor('aaaabbbbccccddddaaaabbbbccccdddd', ['aaaabbbbccccddddaaaabbbbccccdddd-pkg', `${depHash}-dep`]));
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({
+      error: 'Incomplete closure',
+      missing: {
+        narinfo: [`/nix/store/${depHash}-dep`],
+        nar: ['nar/aaaabbbbccccddddaaaabbbbccccdddd.nar.xz'],
+      },
+    });
+    expect(storage.narinfos.size).toBe(0);
+  });
+
+  test('accepts narinfo once its dependencies were uploaded in the same session', async () => {
+    const app = createApp({ _storage: new MemoryStorage(), requireCompleteClosure: true });
+
+    await putNar(app, depHash);
+    await request(app)
+      .put(`/${depHash}.narinfo`)
+      .set('Content-Type', 'text/plain')
+      .send(narinfoFor(depHash, []))
+      .expect(200);
+
+    await putNar(app, 'aaaabbbbccccddddaaaabbbbccccdddd');
+    await request(app)
+      .put('/aaaabbbbccccddddaaaabbbbccccdddd.narinfo')
+      .set('Content-Type', 'text/plain')
+      .send(narinfoFor('aaaabbbbccccddddaaaabbbbccccdddd', ['aaaabbbbccccddddaaaabbbbccccdddd-pkg', `${depHash}-dep`]))
+      .expect(200);
+  });
+
+  test('accepts references that are already in storage', async () => {
+    const storage = new MemoryStorage();
+    storage.narinfos.set(depHash, narinfoFor(depHash, []));
+    const app = createApp({ _storage: storage, requireCompleteClosure: true });
+
+    await putNar(app, 'aaaabbbbccccddddaaaabbbbccccdddd');
+    await request(app)
+      .put('/aaaabbbbccccddddaaaabbbbccccdddd.narinfo')
+      .set('Content-Type', 'text/plain')
+      .send(narinfoFor('aaaabbbbccccddddaaaabbbbccccdddd', [`${depHash}-dep`]))
+      .expect(200);
+  });
+
+  test('is disabled by default', async () => {
+    const app = makeApp();
+    await putNar(app, 'aaaabbbbccccddddaaaabbbbccccdddd');
+    await request(app)
+      .put('/aaaabbbbccccddddaaaabbbbccccdddd.narinfo')
+      .set('Content-Type', 'text/plain')
+      .send(narinfoFor('aaaabbbbccccddddaaaabbbbccccdddd', [`${depHash}-dep`]))
+      .expect(200);
   });
 });
@@ -1,10 +1,17 @@
 'use strict';
 
-const { fingerprint, signNarinfo, verifyNarinfo } = require('../src/signing');
+const {
+  fingerprint,
+  signNarinfo,
+  verifyNarinfo,
+  configuredSigningKeys,
+  addSignatures,
+  hasTrustedSignature,
+} = require('../src/signing');
 const crypto = require('crypto');
 
 // Generate a real ed25519 key pair for tests
-function generateTestKeyPair() {
+function generateTestKeyPair(name = 'test-1') {
   const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
 
   const privDer = privateKey.export({ type: 'pkcs8', format: 'der' });
@@ -16,8 +23,8 @@ function generateTestKeyPair() {
   const pubBytes = pubDer.slice(12);
 
   // Nix stores 64-byte (seed || pubkey)
-  const nixPrivKey = `test-1:${Buffer.concat([seed, pubBytes]).toString('base64')}`;
-  const nixPubKey = `test-1:${pubBytes.toString('base64')}`;
+  const nixPrivKey = `${name}:${Buffer.concat([seed, pubBytes]).toString('base64')}`;
+  const nixPubKey = `${name}:${pubBytes.toString('base64')}`;
 
   return { nixPrivKey, nixPubKey };
 }
@@ -74,3 +81,61 @@ describe('signing', () => {
     expect(verifyNarinfo(sampleNarinfo, sig, otherPub)).toBe(false);
   });
 });
+
+describe('multiple signing keys', () => {
+  const narinfo = () => ({
+    storePath: '/nix/store/aaaabbbbccccddddaaaabbbbccccdddd-example-1.0',
+    narHash: 'sha256:0p2lyv8ark78m6al120aaz144zsqmg2hrbwa85h7zk2yk3h5in2h',
+    narSize: 12345,
+    references: ['aaaabbbbccccddddaaaabbbbccccdddd-example-1.0'],
+    sigs: ['upstream-1:dXBzdHJlYW0=', 'old-1:b2xk'],
+  });
+
+  test('configuredSigningKeys combines SIGNING_KEYS and SIGNING_KEY without duplicates', () => {
+    expect(configuredSigningKeys({ signingKeys: ['a:1', 'b:2'], signingKey: 'a:1' })).toEqual(['a:1', 'b:2']);
+    expect(configuredSigningKeys({ signingKey: 'c:3' })).toEqual(['c:3']);
+    expect(configuredSigningKeys({ signingKeys: [], signingKey: '' })).toEqual([]);
+  });
+
+  test('addSignatures replaces existing signatures by default', () => {
+    const { nixPrivKey, nixPubKey } = generateTestKeyPair('old-1');
+    const info = narinfo();
+    addSignatures(info, [nixPrivKey]);
+    expect(info.sigs).toHaveLength(1);
+    const fields = { ...info, references: ['/nix/store/aaaabbbbccccddddaaaabbbbccccdddd-example-1.0'] };
+    expect(verifyNarinfo(fields, info.sigs[0], nixPubKey)).toBe(true);
+  });
+
+  test('addSignatures keeps other keys and replaces its own when preserving', () => {
+    const oldKey = generateTestKeyPair('old-1');
+    const newKey = generateTestKeyPair('new-1');
+    const info = narinfo();
+    addSignatures(info, [oldKey.nixPrivKey, newKey.nixPrivKey], { preserveSignatures: true });
+    expect(info.sigs.map(sig => sig.split(':')[0])).toEqual(['upstream-1', 'old-1', 'new-1']);
+    expect(info.sigs[1]).not.toBe('old-1:b2xk');
+  });
+});
+
+describe('hasTrustedSignature', () => {
+  const narinfo = {
+    storePath: '/nix/store/aaaabbbbccccddddaaaabbbbccccdddd-example-1.0',
+    narHash: 'sha256:0p2lyv8ark78m6al120aaz144zsqmg2hrbwa85h7zk2yk3h5in2h',
+    narSize: 12345,
+    references: ['aaaabbbbccccddddaaaabbbbccccdddd-example-1.0'],
+  };
+  const fields = { ...narinfo, references: ['/nix/store/aaaabbbbccccddddaaaabbbbccccdddd-example-1.0'] };
+
+  test('accepts a signature from any trusted key', () => {
+    const a = generateTestKeyPair('a-1');
+    const b = generateTestKeyPair('b-1');
+    const sigs = [signNarinfo(fields, b.nixPrivKey)];
+    expect(hasTrustedSignature({ ...narinfo, sigs }, [a.nixPubKey, b.nixPubKey])).toBe(true);
+    expect(hasTrustedSignature({ ...narinfo, sigs }, [a.nixPubKey])).toBe(false);
+  });
+
+  test('ignores unsigned and malformed signatures', () => {
+    const { nixPubKey } = generateTestKeyPair('a-1');
+    expect(hasTrustedSignature({ ...narinfo, sigs: [] }, [nixPubKey])).toBe(false);
+    expect(hasTrustedSignature({ ...narinfo, sigs: ['garbage', 'a-1:c2hvcnQ='] }, [nixPubKey])).toBe(false);
+  });
+});
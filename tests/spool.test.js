@@ -0,0 +1,52 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const { Readable } = require('stream');
+const { spoolStream } = require('../src/spool');
+
+async function bodyText(body) {
+  if (Buffer.isBuffer(body)) return body.toString();
+  return Buffer.concat(await body.toArray()).toString();
+}
+
+const chunks = ['0123', '4567', '89'].map(s => Buffer.from(s));
+const sha256 = crypto.createHash('sha256').update('0123456789').digest('hex');
+
+describe('spoolStream', () => {
+  test('keeps small bodies in memory', async () => {
+    const spooled = await spoolStream(Readable.from(chunks), { memoryLimit: 10 });
+    expect(spooled).toMatchObject({ size: 10, sha256, onDisk: false });
+    expect(Buffer.isBuffer(spooled.body())).toBe(true);
+    expect(await bodyText(spooled.body())).toBe('0123456789');
+    expect(await bodyText(spooled.body(2, 5))).toBe('234');
+    await spooled.cleanup();
+  });
+
+  test('spools larger bodies to a temporary file', async () => {
+    const spooled = await spoolStream(Readable.from(chunks), { memoryLimit: 5 });
+    expect(spooled).toMatchObject({ size: 10, sha256, onDisk: true });
+    const body = spooled.body();
+    expect(body).toBeInstanceOf(Readable);
+    const tmpPath = body.path;
+    expect(await bodyText(body)).toBe('0123456789');
+    // Every call reads the file again
+    expect(await bodyText(spooled.body())).toBe('0123456789');
+    expect(await bodyText(spooled.body(2, 5))).toBe('234');
+
+    await spooled.cleanup();
+    expect(fs.existsSync(tmpPath)).toBe(false);
+  });
+
+  test('removes the temporary file if the input fails', async () => {
+    const failing = Readable.from((async function* () {
+      yield Buffer.from('0123456789');
+      throw new Error('connection lost');
+    })());
+    const spoolDirs = () => fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('static-nix-cache-spool-'));
+    const before = spoolDirs();
+    await expect(spoolStream(failing, { memoryLimit: 4 })).rejects.toThrow('connection lost');
+    expect(spoolDirs()).toEqual(before);
+  });
+});
@@ -1,9 +1,15 @@
 'use strict';
 
+const crypto = require('crypto');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
 const LocalStorage = require('../src/storage/local');
+const S3Storage = require('../src/storage/s3');
+const GitHubReleasesStorage = require('../src/storage/github-releases');
+const CachedStorage = require('../src/storage/cached');
+const { createStorage } = require('../src/storage');
 const { Readable } = require('stream');
 
 function makeTempDir() {
@@ -61,7 +67,300 @@ describe('LocalStorage', () => {
     expect(result).toEqual(data);
   });
 
+  test('statNar and getNarRange', async () => {
+    expect(await storage.statNar('test.nar')).toBeNull();
+    expect(await storage.getNarRange('test.nar', { start: 0, end: 1 })).toBeNull();
+    await storage.putNarStream('test.nar', Readable.from(Buffer.from('fake NAR data')));
+
+    const stat = await storage.statNar('test.nar');
+    expect(stat.size).toBe(13);
+    expect(stat.etag).toMatch(/^"d-[0-9a-f]+"$/);
+    expect(stat.lastModified.getTime()).toBeGreaterThan(0);
+    const range = await storage.getNarRange('test.nar', { start: 5, end: 7 });
+    expect((await streamToBuffer(range)).toString()).toBe('NAR');
+  });
+
   test('getNarStream returns null for missing file', async () => {
     expect(await storage.getNarStream('missing.nar')).toBeNull();
   });
+
+  test('putRealisation and getRealisation round-trip', async () => {
+    const id = 'sha256:6e5a1b2bc3fd1f5e0d9e8e7e2b3c1fd56d6f8e7d6c5b4a39281706f5e4d3c2b1!out';
+    expect(await storage.hasRealisation(id)).toBe(false);
+    expect(await storage.getRealisation(id)).toBeNull();
+    await storage.putRealisation(id, '{"id":"x"}');
+    expect(await storage.hasRealisation(id)).toBe(true);
+    expect(await storage.getRealisation(id)).toBe('{"id":"x"}');
+  });
+
+  test('putListing and getListing round-trip', async () => {
+    const listing = '{"version":1,"root":{"type":"directory","entries":{}}}';
+    expect(await storage.hasListing('abc123')).toBe(false);
+    expect(await storage.getListing('abc123')).toBeNull();
+    await storage.putListing('abc123', listing);
+    expect(await storage.hasListing('abc123')).toBe(true);
+    expect(await storage.getListing('abc123')).toBe(listing);
+  });
+
+  test('putLog and getLog round-trip compressed logs', async () => {
+    const drv = 'aaaabbbbccccddddaaaabbbbccccdddd-pkg.drv';
+    const compressed = zlib.gzipSync('build output\n');
+    expect(await storage.hasLog(drv)).toBe(false);
+    expect(await storage.getLog(drv)).toBeNull();
+    await storage.putLog(drv, compressed);
+    expect(await storage.hasLog(drv)).toBe(true);
+    expect(await storage.getLog(drv)).toEqual(compressed);
+    expect(await storage.listLogs()).toEqual([drv]);
+  });
+
+  test('listNarinfo returns stored narinfo hashes', async () => {
+    expect(await storage.listNarinfo()).toEqual([]);
+    await storage.putNarinfo('bbbb', 'StorePath: /nix/store/bbbb-b\n');
+    await storage.putNarinfo('aaaa', 'StorePath: /nix/store/aaaa-a\n');
+    expect(await storage.listNarinfo()).toEqual(['aaaa', 'bbbb']);
+  });
+});
+
+describe('NAR redirect URLs', () => {
+  const s3Config = {
+    bucket: 'my-cache',
+    region: 'us-east-1',
+    accessKeyId: 'AKIAEXAMPLE',
+    secretAccessKey: 'secret',
+  };
+
+  test('S3Storage presigns NAR downloads with the configured lifetime', async () => {
+    const storage = new S3Storage({ ...s3Config, presignExpiresIn: 600 });
+    const url = new URL(await storage.getNarRedirectUrl('abc.nar.xz'));
+    expect(url.hostname).toBe('my-cache.s3.us-east-1.amazonaws.com');
+    expect(url.pathname).toBe('/nar/abc.nar.xz');
+    expect(url.searchParams.get('X-Amz-Expires')).toBe('600');
+    expect(url.searchParams.get('X-Amz-Signature')).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('S3Storage rejects presign lifetimes SigV4 does not allow when redirecting', () => {
+    const redirecting = { ...s3Config, narRedirect: true };
+    expect(() => new S3Storage({ ...redirecting, presignExpiresIn: 0 })).toThrow(/Invalid presign lifetime/);
+    expect(() => new S3Storage({ ...redirecting, presignExpiresIn: 8 * 24 * 3600 })).toThrow(/Invalid presign lifetime/);
+    expect(() => new S3Storage({ ...redirecting, presignExpiresIn: NaN })).toThrow(/Invalid presign lifetime/);
+
+    // Unused without redirects, so a bad value does not stop the server
+    expect(() => new S3Storage({ ...s3Config, presignExpiresIn: NaN })).not.toThrow();
+    expect(() => createStorage({ storageBackend: 's3', s3: { ...s3Config, presignExpiresIn: 0 }, narRedirect: true }))
+      .toThrow(/Invalid presign lifetime/);
+  });
+
+  test('GitHubReleasesStorage redirects to the public release download', async () => {
+    const tmpDir = makeTempDir();
+    const assets = [{ id: 1, name: 'abc.nar.xz' }, { id: 2, name: 'big.nar.xz.parts.json' }];
+    const client = {
+      headers: () => ({}),
+      request: async url => ({ ok: true, json: async () => (url.includes('/assets') ? assets : { id: 42 }) }),
+    };
+    try {
+      const storage = new GitHubReleasesStorage({ owner: 'o', repo: 'r', releaseTag: 'nix-cache', localPath: tmpDir, client });
+      expect(await storage.getNarRedirectUrl('abc.nar.xz'))
+        .toBe('https://github.com/o/r/releases/download/nix-cache/abc.nar.xz');
+      // A NAR stored in parts has no single download to redirect to
+      expect(await storage.getNarRedirectUrl('big.nar.xz')).toBeNull();
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('CachedStorage', () => {
+  let tmpDir;
+  let backend;
+
+  beforeEach(() => {
+    tmpDir = makeTempDir();
+    backend = new LocalStorage(path.join(tmpDir, 'backend'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('remembers narinfo lookups', async () => {
+    await backend.putNarinfo('aaaa', 'StorePath: /nix/store/aaaa-a\n');
+    const getNarinfo = jest.spyOn(backend, 'getNarinfo');
+    const storage = new CachedStorage(backend);
+
+    expect(await storage.getNarinfo('aaaa')).toBe('StorePath: /nix/store/aaaa-a\n');
+    expect(await storage.getNarinfo('aaaa')).toBe('StorePath: /nix/store/aaaa-a\n');
+    expect(getNarinfo).toHaveBeenCalledTimes(1);
+  });
+
+  test('forgets missing entries after the negative TTL', async () => {
+    const hasNarinfo = jest.spyOn(backend, 'hasNarinfo');
+    const storage = new CachedStorage(backend, { negativeTtlMs: 1000 });
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    expect(await storage.hasNarinfo('bbbb')).toBe(false);
+    await backend.putNarinfo('bbbb', 'StorePath: /nix/store/bbbb-b\n');
+    expect(await storage.hasNarinfo('bbbb')).toBe(false);
+    expect(hasNarinfo).toHaveBeenCalledTimes(1);
+
+    Date.now.mockReturnValue(now + 1001);
+    expect(await storage.hasNarinfo('bbbb')).toBe(true);
+    expect(await storage.hasNarinfo('bbbb')).toBe(true);
+    expect(hasNarinfo).toHaveBeenCalledTimes(3);
+  });
+
+  test('writes replace cached answers', async () => {
+    const storage = new CachedStorage(backend);
+    expect(await storage.getNarinfo('cccc')).toBeNull();
+    expect(await storage.hasNar('cccc.nar')).toBe(false);
+
+    await storage.putNarinfo('cccc', 'StorePath: /nix/store/cccc-c\n');
+    await storage.putNarStream('cccc.nar', Readable.from([Buffer.from('nar')]));
+    const getNarinfo = jest.spyOn(backend, 'getNarinfo');
+    expect(await storage.getNarinfo('cccc')).toBe('StorePath: /nix/store/cccc-c\n');
+    expect(await storage.hasNar('cccc.nar')).toBe(true);
+    expect(await storage.hasNarinfo('cccc')).toBe(true);
+    expect(getNarinfo).not.toHaveBeenCalled();
+    expect((await storage.statNar('cccc.nar')).size).toBe(3);
+  });
+
+  test('evicts the least recently used entries', async () => {
+    const getNarinfo = jest.spyOn(backend, 'getNarinfo');
+    const storage = new CachedStorage(backend, { maxEntries: 2 });
+    await storage.getNarinfo('a');
+    await storage.getNarinfo('b');
+    await storage.getNarinfo('a');
+    await storage.getNarinfo('c');
+    await storage.getNarinfo('a');
+    expect(getNarinfo).toHaveBeenCalledTimes(3);
+    await storage.getNarinfo('b');
+    expect(getNarinfo).toHaveBeenCalledTimes(4);
+  });
+
+  test('keeps cached contents under the size cap', async () => {
+    await backend.putLog('a.drv', Buffer.alloc(40));
+    await backend.putLog('b.drv', Buffer.alloc(40));
+    await backend.putLog('big.drv', Buffer.alloc(200));
+    const getLog = jest.spyOn(backend, 'getLog');
+    const storage = new CachedStorage(backend, { maxBytes: 100 });
+
+    await storage.getLog('a.drv');
+    await storage.getLog('b.drv');
+    await storage.getLog('a.drv');
+    expect(getLog).toHaveBeenCalledTimes(2);
+
+    // Too big to cache at all, so it evicts nothing
+    await storage.getLog('big.drv');
+    await storage.getLog('big.drv');
+    await storage.getLog('b.drv');
+    expect(getLog).toHaveBeenCalledTimes(4);
+
+    // a was the least recently used, so it made room for the narinfo
+    await storage.putNarinfo('cccc', 'x'.repeat(30));
+    await storage.getLog('b.drv');
+    expect(getLog).toHaveBeenCalledTimes(4);
+    await storage.getLog('a.drv');
+    expect(getLog).toHaveBeenCalledTimes(5);
+  });
+
+  test('only offers the optional methods the backend has', () => {
+    const storage = new CachedStorage(backend);
+    expect(typeof storage.statNar).toBe('function');
+    expect(typeof storage.listNarinfo).toBe('function');
+    expect(storage.getNarRedirectUrl).toBeUndefined();
+    expect(storage.fetchAllNarinfo).toBeUndefined();
+
+    const bare = new CachedStorage({ hasNarinfo: async () => false });
+    expect(bare.statNar).toBeUndefined();
+    expect(bare.getNarRange).toBeUndefined();
+  });
+
+  test('fetching metadata from elsewhere drops cached answers', async () => {
+    backend.fetchAllNarinfo = jest.fn(async () => {
+      await backend.putNarinfo('dddd', 'StorePath: /nix/store/dddd-d\n');
+    });
+    const storage = new CachedStorage(backend);
+    expect(await storage.hasNarinfo('dddd')).toBe(false);
+    await storage.fetchAllNarinfo();
+    expect(await storage.hasNarinfo('dddd')).toBe(true);
+  });
+
+  test('keeps downloaded NARs on disk', async () => {
+    const diskPath = path.join(tmpDir, 'nars');
+    await backend.putNarStream('eeee.nar', Readable.from([Buffer.from('0123456789')]));
+    const getNarStream = jest.spyOn(backend, 'getNarStream');
+    const getNarRange = jest.spyOn(backend, 'getNarRange');
+    const storage = new CachedStorage(backend, { diskPath });
+
+    expect((await streamToBuffer(await storage.getNarStream('eeee.nar'))).toString()).toBe('0123456789');
+    await storage.whenCached();
+    expect((await streamToBuffer(await storage.getNarStream('eeee.nar'))).toString()).toBe('0123456789');
+    expect((await streamToBuffer(await storage.getNarRange('eeee.nar', { start: 2, end: 4 }))).toString()).toBe('234');
+    expect(getNarStream).toHaveBeenCalledTimes(1);
+    expect(getNarRange).not.toHaveBeenCalled();
+
+    // A new instance picks up the NARs cached by the previous one
+    const restarted = new CachedStorage(backend, { diskPath });
+    expect((await streamToBuffer(await restarted.getNarStream('eeee.nar'))).toString()).toBe('0123456789');
+    expect(getNarStream).toHaveBeenCalledTimes(1);
+  });
+
+  test('finishes caching a NAR whose reader stops early', async () => {
+    const diskPath = path.join(tmpDir, 'nars');
+    const nar = crypto.randomBytes(1024 * 1024);
+    await backend.putNarStream('hhhh.nar', Readable.from([nar]));
+    const getNarStream = jest.spyOn(backend, 'getNarStream');
+    const storage = new CachedStorage(backend, { diskPath });
+
+    const reader = await storage.getNarStream('hhhh.nar');
+    await new Promise(resolve => reader.once('data', resolve));
+    reader.destroy();
+    await storage.whenCached();
+
+    expect(await streamToBuffer(await storage.getNarStream('hhhh.nar'))).toEqual(nar);
+    expect(getNarStream).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps the disk cache under its size cap', async () => {
+    const diskPath = path.join(tmpDir, 'nars');
+    for (const name of ['f1', 'f2', 'f3']) {
+      await backend.putNarStream(`${name}.nar`, Readable.from([Buffer.alloc(10)]));
+    }
+    const getNarStream = jest.spyOn(backend, 'getNarStream');
+    const storage = new CachedStorage(backend, { diskPath, diskMaxBytes: 25 });
+
+    for (const name of ['f1', 'f2', 'f1', 'f3']) {
+      await streamToBuffer(await storage.getNarStream(`${name}.nar`));
+      await storage.whenCached();
+    }
+    expect(getNarStream).toHaveBeenCalledTimes(3);
+    expect(fs.readdirSync(diskPath)).toHaveLength(2);
+
+    // f2 was the least recently used, so it made room for f3
+    await streamToBuffer(await storage.getNarStream('f1.nar'));
+    await streamToBuffer(await storage.getNarStream('f3.nar'));
+    expect(getNarStream).toHaveBeenCalledTimes(3);
+    await streamToBuffer(await storage.getNarStream('f2.nar'));
+    expect(getNarStream).toHaveBeenCalledTimes(4);
+  });
+
+  test('re-uploading a NAR drops its disk copy', async () => {
+    const diskPath = path.join(tmpDir, 'nars');
+    const storage = new CachedStorage(backend, { diskPath });
+    await storage.putNarStream('gggg.nar', Readable.from([Buffer.from('old')]));
+    await streamToBuffer(await storage.getNarStream('gggg.nar'));
+    await storage.whenCached();
+    await storage.putNarStream('gggg.nar', Readable.from([Buffer.from('new')]));
+    expect((await streamToBuffer(await storage.getNarStream('gggg.nar'))).toString()).toBe('new');
+  });
+
+  test('createStorage wraps the backend when enabled', () => {
+    const config = { storageBackend: 'local', localStoragePath: tmpDir };
+    expect(createStorage(config)).toBeInstanceOf(LocalStorage);
+    expect(createStorage({ ...config, readCache: { enabled: false } })).toBeInstanceOf(LocalStorage);
+    const cached = createStorage({ ...config, readCache: { enabled: true, maxEntries: 5 } });
+    expect(cached).toBeInstanceOf(CachedStorage);
+    expect(cached.backend).toBeInstanceOf(LocalStorage);
+  });
 });
@@ -0,0 +1,191 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorage = require('../src/storage/local');
+const { StaticSiteSource, verifyCache, formatReport } = require('../src/verify');
+const { generateStaticSite } = require('../src/generate-static');
+const { signNarinfo } = require('../src/signing');
+const { parseNarinfo, fingerprintFields } = require('../src/narinfo');
+const { formatNixHash } = require('../src/hash');
+
+function generateTestKeyPair(name) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  const seed = privateKey.export({ type: 'pkcs8', format: 'der' }).slice(16);
+  const pubBytes = publicKey.export({ type: 'spki', format: 'der' }).slice(12);
+  return {
+    nixPrivKey: `${name}:${Buffer.concat([seed, pubBytes]).toString('base64')}`,
+    nixPubKey: `${name}:${pubBytes.toString('base64')}`,
+  };
+}
+
+const hashA = 'aaaabbbbccccddddaaaabbbbccccdddd';
+const hashB = 'ffffgggghhhhiiiijjjjkkkkllllmmmm';
+
+// An uncompressed NAR and a narinfo describing it
+function makeEntry(hash, references, key) {
+  const nar = Buffer.from(`nar contents of ${hash}`);
+  const digest = formatNixHash('sha256', crypto.createHash('sha256').update(nar).digest());
+  let narinfo =
+    `StorePath: /nix/store/${hash}-pkg\n` +
+    `URL: nar/${hash}.nar\n` +
+    'Compression: none\n' +
+    `FileHash: ${digest}\n` +
+    `FileSize: ${nar.length}\n` +
+    `NarHash: ${digest}\n` +
+    `NarSize: ${nar.length}\n` +
+    `References: ${references.map(ref => `${ref}-pkg`).join(' ')}\n`;
+  if (key) {
+    narinfo += `Sig: ${signNarinfo(fingerprintFields(parseNarinfo(narinfo)), key)}\n`;
+  }
+  return { nar, narinfo };
+}
+
+describe('verifyCache', () => {
+  let tmpDir;
+  let storage;
+  let key;
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'static-nix-cache-verify-'));
+    storage = new LocalStorage(tmpDir);
+    key = generateTestKeyPair('cache-1');
+    for (const [hash, refs] of [[hashA, [hashA, hashB]], [hashB, []]]) {
+      const { nar, narinfo } = makeEntry(hash, refs, key.nixPrivKey);
+      fs.writeFileSync(path.join(tmpDir, 'nar', `${hash}.nar`), nar);
+      await storage.putNarinfo(hash, narinfo);
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('passes a healthy cache', async () => {
+    const result = await verifyCache(storage, { publicKeys: [key.nixPubKey] });
+    expect(result).toEqual({ total: 2, ok: 2, signaturesChecked: true, narsHashed: true, problems: [] });
+  });
+
+  test('reports NARs whose contents do not match', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'nar', `${hashB}.nar`), 'corrupted');
+    const result = await verifyCache(storage);
+    expect(result.ok).toBe(1);
+    expect(result.problems).toEqual([{
+      hash: hashB,
+      storePath: `/nix/store/${hashB}-pkg`,
+      check: 'nar',
+      message: expect.stringMatching(/^FileSize: narinfo says \d+ but the stored NAR is 9 bytes$/),
+    }]);
+  });
+
+  test('only checks NAR existence when hashing is skipped', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'nar', `${hashB}.nar`), 'corrupted');
+    fs.rmSync(path.join(tmpDir, 'nar', `${hashA}.nar`));
+    const result = await verifyCache(storage, { hashNars: false });
+    expect(result.narsHashed).toBe(false);
+    expect(result.problems).toEqual([
+      expect.objectContaining({ hash: hashA, check: 'nar', message: `URL: NAR nar/${hashA}.nar does not exist` }),
+    ]);
+  });
+
+  test('reports references without a narinfo', async () => {
+    fs.rmSync(path.join(tmpDir, 'narinfo', `${hashB}.narinfo`));
+    const result = await verifyCache(storage);
+    expect(result.problems).toEqual([
+      expect.objectContaining({
+        hash: hashA,
+        check: 'reference',
+        message: `References: /nix/store/${hashB}-pkg has no narinfo in this cache`,
+      }),
+    ]);
+  });
+
+  test('reports unsigned and wrongly signed narinfo', async () => {
+    const other = generateTestKeyPair('cache-1');
+    await storage.putNarinfo(hashB, makeEntry(hashB, []).narinfo);
+    const result = await verifyCache(storage, { publicKeys: [other.nixPubKey] });
+    expect(result.problems.map(p => [p.hash, p.check, p.message])).toEqual([
+      [hashA, 'signature', 'Sig: no valid signature from a trusted key'],
+      [hashB, 'signature', 'Sig: narinfo is not signed'],
+    ]);
+  });
+
+  test('reports narinfo that do not parse', async () => {
+    await storage.putNarinfo(hashB, 'garbage\n');
+    const result = await verifyCache(storage);
+    expect(result.problems.filter(p => p.hash === hashB).map(p => p.message)).toEqual([
+      'StorePath: missing',
+      'URL: missing',
+      'NarHash: missing',
+      'NarSize: missing',
+    ]);
+  });
+
+  test('formatReport groups problems by narinfo', async () => {
+    fs.rmSync(path.join(tmpDir, 'nar', `${hashB}.nar`));
+    const report = formatReport(await verifyCache(storage));
+    expect(report).toBe(
+      `${hashB}.narinfo (/nix/store/${hashB}-pkg)\n` +
+      `  [nar] URL: NAR nar/${hashB}.nar does not exist\n` +
+      '\n' +
+      'Checked 2 narinfo file(s): 1 ok, 1 with problems\n' +
+      '  Signatures were not checked (no public keys given)\n'
+    );
+  });
+
+  describe('static sites', () => {
+    let siteDir;
+    let originalFetch;
+
+    beforeEach(async () => {
+      siteDir = path.join(tmpDir, 'site');
+      await generateStaticSite({
+        narinfoDirPath: path.join(tmpDir, 'narinfo'),
+        outputDir: siteDir,
+        githubOwner: 'owner',
+        githubRepo: 'repo',
+        githubReleaseTag: 'nix-cache',
+      });
+      originalFetch = global.fetch;
+      global.fetch = jest.fn(async url => {
+        const filename = decodeURIComponent(url.slice(url.lastIndexOf('/') + 1));
+        const file = path.join(tmpDir, 'nar', filename);
+        if (!url.startsWith('https://github.com/owner/repo/releases/download/nix-cache/') || !fs.existsSync(file)) {
+          return new Response(null, { status: 404 });
+        }
+        return new Response(fs.readFileSync(file));
+      });
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    test('fetches NARs from the release the site was generated for', async () => {
+      const result = await verifyCache(new StaticSiteSource(siteDir), { publicKeys: [key.nixPubKey] });
+      expect(result.problems).toEqual([]);
+      expect(result.ok).toBe(2);
+      expect(global.fetch).toHaveBeenCalledWith(
+        `https://github.com/owner/repo/releases/download/nix-cache/${hashA}.nar`,
+        expect.anything()
+      );
+    });
+
+    test('reports NARs missing from the release', async () => {
+      fs.rmSync(path.join(tmpDir, 'nar', `${hashA}.nar`));
+      const result = await verifyCache(new StaticSiteSource(siteDir));
+      expect(result.problems.map(p => p.message)).toEqual([`URL: NAR nar/${hashA}.nar does not exist`]);
+    });
+
+    test('prefers NARs stored in the site directory', async () => {
+      fs.mkdirSync(path.join(siteDir, 'nar'));
+      fs.copyFileSync(path.join(tmpDir, 'nar', `${hashA}.nar`), path.join(siteDir, 'nar', `${hashA}.nar`));
+      fs.copyFileSync(path.join(tmpDir, 'nar', `${hashB}.nar`), path.join(siteDir, 'nar', `${hashB}.nar`));
+      const result = await verifyCache(new StaticSiteSource(siteDir, { narBaseUrl: 'https://example.invalid' }));
+      expect(result.problems).toEqual([]);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
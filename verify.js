@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+'use strict';
+
+const fsp = require('fs/promises');
+const { parseArgs } = require('util');
+const { StaticSiteSource, verifyCache, formatReport } = require('./src/verify');
+const { createStorage } = require('./src/storage');
+const config = require('./src/config');
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      static: { type: 'string' },
+      'nar-base-url': { type: 'string' },
+      'public-key': { type: 'string', multiple: true, default: [] },
+      'skip-nar-hashes': { type: 'boolean', default: false },
+      report: { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (args.help) {
+    console.error('Usage:');
+    console.error('  node verify.js [--static <dir>] [--public-key <key>]... [--report <file>]');
+    console.error('');
+    console.error('Audits every narinfo in the configured storage backend (or a generated');
+    console.error('static site) and exits non-zero if any problems are found.');
+    console.error('');
+    console.error('Options:');
+    console.error('  --static <dir>          Verify a generated static site instead of the storage backend');
+    console.error('  --nar-base-url <url>    Where the static site\'s NARs are hosted (default: from its manifest)');
+    console.error('  --public-key <key>      Trusted public key <keyname>:<base64> (repeatable; default: TRUSTED_PUBLIC_KEYS)');
+    console.error('  --skip-nar-hashes       Only check that NARs exist instead of downloading and hashing them');
+    console.error('  --report <file>         Also write the results as JSON to this file');
+    console.error('');
+    console.error('Environment variables:');
+    console.error('  STORAGE_BACKEND         local, s3, or github-releases (default: local)');
+    console.error('  TRUSTED_PUBLIC_KEYS     Public keys to verify signatures against');
+    console.error('  (plus the storage settings for the chosen backend)');
+    process.exit(1);
+  }
+
+  const publicKeys = args['public-key'].length ? args['public-key'] : config.trustedPublicKeys;
+
+  let source;
+  let description;
+  if (args.static) {
+    source = new StaticSiteSource(args.static, { narBaseUrl: args['nar-base-url'] });
+    description = `static site ${args.static}`;
+  } else {
+    // Audit the backend itself, not what a read cache remembers of it
+    source = createStorage({ ...config, readCache: { ...config.readCache, enabled: false } });
+    description = `${config.storageBackend} storage`;
+    // The github-releases backend keeps narinfo locally; pull in everything
+    // pushed by other jobs first so the whole cache is checked.
+    if (typeof source.fetchAllNarinfo === 'function' && config.github.token) {
+      await source.fetchAllNarinfo();
+    }
+  }
+
+  console.log(`Verifying ${description}...`);
+  console.log('');
+
+  const result = await verifyCache(source, {
+    publicKeys,
+    hashNars: !args['skip-nar-hashes'],
+  });
+
+  process.stdout.write(formatReport(result));
+
+  if (args.report) {
+    await fsp.writeFile(args.report, JSON.stringify({ source: description, ...result }, null, 2) + '\n', 'utf8');
+    console.log(`JSON report written to ${args.report}`);
+  }
+
+  if (result.problems.length) {
+    process.exit(1);
+  }
+}
+
+main().catch(err => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});